@@ -5,11 +5,23 @@
  * Complete CLI for creating and managing Zcash Shielded Assets (meme) tokens
  */
 
+import fs from 'fs';
 import readline from 'readline';
 import { TokenCreator } from './src/token-creator.js';
-import { IssuanceKeys } from './src/keys.js';
 import { WalletManager } from './src/wallet.js';
 import { ZcashBlockchain } from './src/zcash-blockchain.js';
+import { computeAssetBase, computeAssetDigest } from './src/crypto.js';
+import { verifyHandover } from './src/handover.js';
+import { formatAmount, parseAmount, parseDecimals, tokenDecimals } from './src/amount.js';
+import { chunkRecipients, defaultNoteLimit, readAirdropFile, validateAirdropRows } from './src/airdrop.js';
+import { formatBundleReport, verifyBundle } from './src/bundle-verifier.js';
+import { describeLifecycle } from './src/lifecycle.js';
+import {
+  readIssuanceFile,
+  signIssuanceFile,
+  summarizeIssuanceFile,
+  writeIssuanceFile
+} from './src/offline-signing.js';
 
 const rl = readline.createInterface({
   input: process.stdin,
@@ -17,7 +29,7 @@ const rl = readline.createInterface({
 });
 
 const tokenCreator = new TokenCreator();
-const keys = new IssuanceKeys();
+const keys = tokenCreator.keys;
 const walletManager = new WalletManager();
 const blockchain = new ZcashBlockchain();
 
@@ -27,10 +39,81 @@ function question(prompt) {
   });
 }
 
+/**
+ * Parse an amount typed at a prompt, printing the reason and returning null when it is unusable
+ * With decimals the amount is read in whole tokens ("1,234.5") and returned in base units.
+ */
+function readAmount(text, options = {}, prefix = '') {
+  try {
+    return parseAmount(text, options);
+  } catch (error) {
+    console.log(`${prefix}[ERROR] ${error.message}.`);
+    return null;
+  }
+}
+
+/**
+ * Prompt hint for amounts of a token with decimals
+ */
+function unitHint(decimals) {
+  return decimals ? ` (whole tokens, up to ${decimals} decimal places)` : '';
+}
+
+/**
+ * Ask for the decimals of a new token, defaulting to token-config.json
+ */
+async function askDecimals(prefix = '') {
+  let fallback = 0;
+  try {
+    fallback = parseDecimals(JSON.parse(fs.readFileSync(new URL('./token-config.json', import.meta.url), 'utf8')).decimals);
+  } catch (error) {
+    fallback = 0;
+  }
+  const input = await question(`${prefix}Decimals (default: ${fallback}): `);
+  try {
+    return input.trim() ? parseDecimals(input) : fallback;
+  } catch (error) {
+    console.log(`${prefix}[ERROR] ${error.message}.`);
+    return null;
+  }
+}
+
+function questionHidden(prompt) {
+  return new Promise((resolve) => {
+    const writeToOutput = rl._writeToOutput;
+    rl._writeToOutput = (text) => {
+      if (text.startsWith(prompt)) {
+        writeToOutput.call(rl, text);
+      }
+    };
+    rl.question(prompt, (answer) => {
+      rl._writeToOutput = writeToOutput;
+      rl.output.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+async function askNewPassphrase(label = 'Keystore passphrase') {
+  while (true) {
+    const first = await questionHidden(`${label}: `);
+    if (first.length < 8) {
+      console.log('[ERROR] Passphrase must be at least 8 characters.');
+      continue;
+    }
+    const second = await questionHidden(`Confirm ${label.toLowerCase()}: `);
+    if (first !== second) {
+      console.log('[ERROR] Passphrases do not match.');
+      continue;
+    }
+    return first;
+  }
+}
+
 function displayMenu() {
   console.log('\n=== Zcash Meme Coin CLI Tool (ZIP 227) ===\n');
   console.log('1. create-token    - Create a new meme coin');
-  console.log('2. deploy          - Deploy token to Zcash testnet');
+  console.log(`2. deploy          - Deploy token to Zcash ${tokenCreator.network.name}`);
   console.log('3. issue-more      - Issue additional tokens (if not finalized)');
   console.log('4. transfer        - Send tokens to another address');
   console.log('5. burn            - Burn tokens');
@@ -42,6 +125,16 @@ function displayMenu() {
   console.log('11. list-wallets   - List all wallets');
   console.log('12. check-onchain  - Check if token exists on blockchain');
   console.log('13. exit           - Exit CLI');
+  console.log('14. restore-keys   - Restore issuance keys from a BIP-39 mnemonic');
+  console.log('15. change-passphrase - Change the keystore passphrase');
+  console.log('16. accounts       - List, create or select issuer accounts');
+  console.log('17. rotate-issuer  - Move issuance to a new issuer account');
+  console.log('18. offline-sign   - Export, sign or import an issuance for offline signing');
+  console.log('19. watch-only     - Export a watch-only profile or track an asset');
+  console.log('20. seed-shares    - Split the seed into k-of-n shares or recover it');
+  console.log('21. issue-bundle   - Issue several assets in one signed bundle');
+  console.log('22. airdrop        - Issue a token to a CSV or JSON list of recipients');
+  console.log('23. verify-bundle  - Check an issuance bundle (JSON or issuance-only V6 hex) from elsewhere');
   console.log('');
 }
 
@@ -62,9 +155,13 @@ async function cmdCreateToken() {
     }
 
     const description = await question('Description (optional): ');
-    const initialSupply = await question('Initial Supply: ');
-    if (!initialSupply.trim() || isNaN(initialSupply)) {
-      console.log('[ERROR] Invalid initial supply. Must be a number.');
+    const decimals = await askDecimals();
+    if (decimals === null) {
+      return;
+    }
+    const initialSupply = await question(`Initial Supply${unitHint(decimals)}: `);
+    const supply = readAmount(initialSupply, { label: 'Initial supply', allowZero: true, decimals });
+    if (supply === null) {
       return;
     }
 
@@ -97,8 +194,16 @@ async function cmdCreateToken() {
       }
     }
 
+    const accounts = keys.listAccounts();
+    let account = null;
+    if (accounts.length > 1) {
+      const active = keys.resolveAccount();
+      account = await question(`Issuer account (name or index, default: ${active.name}): `);
+    }
+
     const finalizeInput = await question('Finalize token? (yes/no, default: no): ');
     const finalize = finalizeInput.toLowerCase() === 'yes';
+    const offline = await askOffline();
 
     console.log('\n[INFO] Creating token according to ZIP 227...');
     console.log('[INFO] Generating issuance keys...');
@@ -107,9 +212,12 @@ async function cmdCreateToken() {
       name: name.trim(),
       symbol: symbol.trim(),
       description: description.trim(),
-      initialSupply: initialSupply.trim(),
+      initialSupply: supply.toString(),
+      decimals,
       recipientAddress: recipientAddress.trim(),
-      finalize: finalize
+      finalize: finalize,
+      account: account ? account.trim() : null,
+      offline
     });
 
     console.log('\n[SUCCESS] Token created successfully!');
@@ -117,10 +225,15 @@ async function cmdCreateToken() {
     console.log('Symbol:', token.symbol);
     console.log('Asset ID:', token.assetId);
     console.log('Issuer:', token.issuer);
-    console.log('Initial Supply:', parseInt(token.initialSupply).toLocaleString());
+    console.log('Issuer Account:', `${token.issuerAccount.name} (#${token.issuerAccount.index})`);
+    console.log('Decimals:', token.decimals);
+    console.log('Initial Supply:', formatAmount(token.initialSupply, token.decimals));
     console.log('Finalized:', token.finalized ? 'Yes' : 'No');
-    console.log('Status:', token.status);
-    console.log('\n[NOTE] Token is stored and ready for deployment when ZSAs become available on testnet.');
+    console.log('Status:', describeLifecycle(token));
+    if (offline) {
+      console.log('\n[NOTE] The issuance is unsigned. Use "offline-sign" to export it for the offline machine.');
+    }
+    console.log(`\n[NOTE] Token is stored and ready for deployment when ZSAs become available on ${tokenCreator.network.name}.`);
     console.log('[NOTE] Use "info" command with Asset ID to view full details.');
   } catch (error) {
     console.error('[ERROR] Error creating token:', error.message);
@@ -128,8 +241,8 @@ async function cmdCreateToken() {
 }
 
 async function cmdDeploy() {
-  console.log('\n--- Deploy Token to Zcash Testnet ---\n');
-  console.log('[NOTE] Deployment requires ZSAs to be available on testnet.');
+  console.log(`\n--- Deploy Token to Zcash ${tokenCreator.network.name} ---\n`);
+  console.log(`[NOTE] Deployment requires ZSAs to be available on ${tokenCreator.network.name}.`);
   console.log('[NOTE] This will use the Rust CLI to issue the token on-chain.\n');
 
   try {
@@ -145,8 +258,8 @@ async function cmdDeploy() {
       return;
     }
 
-    if (token.status === 'deployed') {
-      console.log('[INFO] Token is already deployed.');
+    if (token.status === 'deployed' && token.lifecycle.issuance === 'none') {
+      console.log('[INFO] Token is already deployed and has no new issuance to broadcast.');
       console.log('Transaction ID:', token.transactionId || 'N/A');
       return;
     }
@@ -171,7 +284,7 @@ async function cmdDeploy() {
     }
     console.log('Asset ID:', result.assetId);
     console.log('Token:', result.token.name, '(', result.token.symbol, ')');
-    console.log('Status:', result.token.status);
+    console.log('Status:', describeLifecycle(result.token));
   } catch (error) {
     console.error('[ERROR] Deployment failed:', error.message);
   }
@@ -187,9 +300,16 @@ async function cmdIssueMore() {
       return;
     }
 
-    const amount = await question('Amount to issue: ');
-    if (!amount.trim() || isNaN(amount)) {
-      console.log('[ERROR] Invalid amount. Must be a number.');
+    const token = tokenCreator.getTokenByAssetId(assetId.trim());
+    if (!token) {
+      console.log('[ERROR] Token not found.');
+      return;
+    }
+
+    const decimals = tokenDecimals(token);
+    const amount = await question(`Amount to issue${unitHint(decimals)}: `);
+    const issueAmount = readAmount(amount, { decimals });
+    if (issueAmount === null) {
       return;
     }
 
@@ -199,13 +319,18 @@ async function cmdIssueMore() {
       return;
     }
 
+    const offline = await askOffline();
+
     console.log('\n[INFO] Issuing additional tokens...');
-    const result = await tokenCreator.issueMore(assetId.trim(), amount.trim(), recipientAddress.trim());
+    const result = await tokenCreator.issueMore(assetId.trim(), issueAmount.toString(), recipientAddress.trim(), { offline });
 
     console.log('\n[SUCCESS] Additional tokens issued!');
-    console.log('Amount issued:', parseInt(result.amountIssued).toLocaleString());
-    console.log('New total supply:', parseInt(result.token.totalSupply).toLocaleString());
+    console.log('Amount issued:', formatAmount(result.amountIssued, decimals));
+    console.log('New total supply:', formatAmount(result.token.totalSupply, decimals));
     console.log('Token:', result.token.name, '(', result.token.symbol, ')');
+    if (offline) {
+      console.log('[NOTE] The issuance is unsigned. Use "offline-sign" to export it for the offline machine.');
+    }
   } catch (error) {
     console.error('[ERROR] Error issuing tokens:', error.message);
   }
@@ -213,7 +338,7 @@ async function cmdIssueMore() {
 
 async function cmdTransfer() {
   console.log('\n--- Transfer Tokens ---\n');
-  console.log('[NOTE] Transfer functionality requires ZSAs to be available on testnet.');
+  console.log(`[NOTE] Transfer functionality requires ZSAs to be available on ${tokenCreator.network.name}.`);
   console.log('[NOTE] This will use ZIP 226 (OrchardZSA) for transfers.\n');
   
   try {
@@ -235,15 +360,10 @@ async function cmdTransfer() {
       return;
     }
 
-    const amount = await question('Amount to transfer: ');
-    if (!amount.trim() || isNaN(amount)) {
-      console.log('[ERROR] Invalid amount. Must be a number.');
-      return;
-    }
-
-    const numericAmount = BigInt(amount.trim());
-    if (numericAmount <= 0n) {
-      console.log('[ERROR] Transfer amount must be greater than zero.');
+    const decimals = tokenDecimals(token);
+    const amount = await question(`Amount to transfer${unitHint(decimals)}: `);
+    const numericAmount = readAmount(amount, { label: 'Transfer amount', decimals });
+    if (numericAmount === null) {
       return;
     }
 
@@ -266,7 +386,7 @@ async function cmdTransfer() {
     }
     console.log('Asset ID:', result.token.assetId);
     console.log('Recipient:', toAddress.trim());
-    console.log('Amount:', parseInt(amount).toLocaleString());
+    console.log('Amount:', formatAmount(numericAmount, decimals));
   } catch (error) {
     console.error('[ERROR] Error:', error.message);
   }
@@ -274,7 +394,7 @@ async function cmdTransfer() {
 
 async function cmdBurn() {
   console.log('\n--- Burn Tokens ---\n');
-  console.log('[NOTE] Burn functionality requires ZSAs to be available on testnet.');
+  console.log(`[NOTE] Burn functionality requires ZSAs to be available on ${tokenCreator.network.name}.`);
   console.log('[NOTE] This will use ZIP 226 (OrchardZSA) for burns.\n');
 
   try {
@@ -290,15 +410,10 @@ async function cmdBurn() {
       return;
     }
 
-    const amount = await question('Amount to burn: ');
-    if (!amount.trim() || isNaN(amount)) {
-      console.log('[ERROR] Invalid amount. Must be a number.');
-      return;
-    }
-
-    const burnAmount = BigInt(amount.trim());
-    if (burnAmount <= 0n) {
-      console.log('[ERROR] Burn amount must be greater than zero.');
+    const decimals = tokenDecimals(token);
+    const amount = await question(`Amount to burn${unitHint(decimals)}: `);
+    const burnAmount = readAmount(amount, { label: 'Burn amount', decimals });
+    if (burnAmount === null) {
       return;
     }
 
@@ -320,10 +435,10 @@ async function cmdBurn() {
       console.log('[INFO] Transaction ID:', result.transaction.tx_id);
     }
     console.log('Asset ID:', result.token.assetId);
-    console.log('Burned Amount:', parseInt(result.amountBurned).toLocaleString());
+    console.log('Burned Amount:', formatAmount(result.amountBurned, decimals));
     console.log('Incinerator Wallet:', result.burnAddress);
-    console.log('New Total Supply:', parseInt(result.token.totalSupply).toLocaleString());
-    console.log('Total Burned Supply:', parseInt(result.token.burnedSupply || '0').toLocaleString());
+    console.log('New Total Supply:', formatAmount(result.token.totalSupply, decimals));
+    console.log('Total Burned Supply:', formatAmount(result.token.burnedSupply || '0', decimals));
   } catch (error) {
     console.error('[ERROR] Error:', error.message);
   }
@@ -331,7 +446,7 @@ async function cmdBurn() {
 
 async function cmdBalance() {
   console.log('\n--- Check Token Balance ---\n');
-  console.log('[NOTE] Balance queries require ZSAs to be available on testnet.\n');
+  console.log(`[NOTE] Balance queries require ZSAs to be available on ${tokenCreator.network.name}.\n`);
   
   try {
     const assetId = await question('Asset ID (or "all" for all tokens): ');
@@ -348,7 +463,7 @@ async function cmdBalance() {
       }
       console.log('\nYour Tokens:');
       tokens.forEach(token => {
-        console.log(`  ${token.name} (${token.symbol}): ${parseInt(token.totalSupply).toLocaleString()} - Status: ${token.status}`);
+        console.log(`  ${token.name} (${token.symbol}): ${formatAmount(token.totalSupply, tokenDecimals(token))} - Status: ${describeLifecycle(token)}`);
       });
     } else {
       const token = tokenCreator.getTokenByAssetId(assetId.trim());
@@ -359,7 +474,7 @@ async function cmdBalance() {
       console.log('\nToken Information:');
       console.log('Name:', token.name);
       console.log('Symbol:', token.symbol);
-      console.log('Total Supply:', parseInt(token.totalSupply).toLocaleString());
+      console.log('Total Supply:', formatAmount(token.totalSupply, tokenDecimals(token)));
       console.log('[NOTE] Balance queries for specific addresses will be available when ZSAs are deployed.');
     }
   } catch (error) {
@@ -387,7 +502,7 @@ async function cmdListAssets() {
       const name = token.name.padEnd(11).substring(0, 11);
       const symbol = token.symbol.padEnd(8).substring(0, 8);
       const assetId = token.assetId.substring(0, 40) + '...';
-      const supply = parseInt(token.totalSupply).toLocaleString().padEnd(11).substring(0, 11);
+      const supply = (token.tracked ? 'tracked' : formatAmount(token.totalSupply, tokenDecimals(token))).padEnd(11).substring(0, 11);
       const finalized = (token.finalized ? 'Yes' : 'No').padEnd(8).substring(0, 8);
       console.log(`│ ${name} │ ${symbol} │ ${assetId.padEnd(40)} │ ${supply} │ ${finalized} │`);
     });
@@ -420,11 +535,23 @@ async function cmdInfo() {
     console.log('Description:', token.description || 'N/A');
     console.log('Asset ID:', token.assetId);
     console.log('Asset Desc Hash:', token.assetDescHash);
+    console.log('Asset Base (Pallas):', computeAssetBase(computeAssetDigest(token.assetId)));
     console.log('Issuer:', token.issuer);
-    console.log('Total Supply:', parseInt(token.totalSupply).toLocaleString());
-    console.log('Initial Supply:', parseInt(token.initialSupply).toLocaleString());
+    if (token.issuerAccount) {
+      console.log('Issuer Account:', `${token.issuerAccount.name} (#${token.issuerAccount.index})`);
+    }
+    if (token.tracked) {
+      console.log('Supply: not known locally (tracked asset issued elsewhere)');
+    } else {
+      console.log('Total Supply:', formatAmount(token.totalSupply, tokenDecimals(token)));
+      console.log('Initial Supply:', formatAmount(token.initialSupply, tokenDecimals(token)));
+      console.log('Decimals:', tokenDecimals(token));
+    }
     console.log('Finalized:', token.finalized ? 'Yes' : 'No');
-    console.log('Status:', token.status);
+    if (token.frozen) {
+      console.log('Issuance Frozen: Yes (handover', token.frozen.handoverId + ')');
+    }
+    console.log('Status:', describeLifecycle(token));
     console.log('Network:', token.network);
     console.log('Recipient Address:', token.recipientAddress);
     console.log('Created At:', new Date(token.createdAt).toLocaleString());
@@ -442,7 +569,7 @@ async function cmdInfo() {
         const base = `${index + 1}. ${event.type} @ ${time}`;
         const details = [];
         if (event.amount) {
-          details.push(`amount=${parseInt(event.amount).toLocaleString()}`);
+          details.push(`amount=${formatAmount(event.amount, tokenDecimals(token))}`);
         }
         if (event.recipient) {
           details.push(`recipient=${event.recipient}`);
@@ -465,6 +592,176 @@ async function cmdInfo() {
   }
 }
 
+async function askRecipients(symbol, decimals = 0) {
+  const recipients = [];
+  while (true) {
+    const address = await question(`  ${symbol} recipient ${recipients.length + 1} address (Enter to finish): `);
+    if (!address.trim()) {
+      return recipients;
+    }
+    const amount = await question(`  ${symbol} amount for ${address.trim()}${unitHint(decimals)}: `);
+    const parsed = readAmount(amount, { decimals }, '  ');
+    if (parsed === null) {
+      continue;
+    }
+    recipients.push({ address: address.trim(), amount: parsed.toString() });
+  }
+}
+
+async function cmdIssueBundle() {
+  console.log('\n--- Issue Bundle (several assets, one transaction) ---\n');
+  console.log('Add each asset in turn. Enter an existing Asset ID to issue more of a token,');
+  console.log('or leave it empty to create a new one. Leave the symbol empty to finish.\n');
+
+  try {
+    const assets = [];
+    while (true) {
+      const assetId = (await question(`Asset ${assets.length + 1} - existing Asset ID (optional): `)).trim();
+      let asset;
+      if (assetId) {
+        const token = tokenCreator.getTokenByAssetId(assetId);
+        if (!token) {
+          console.log('[ERROR] Token not found.');
+          continue;
+        }
+        asset = { assetId, symbol: token.symbol, decimals: tokenDecimals(token) };
+      } else {
+        const symbol = (await question(`Asset ${assets.length + 1} - Token Symbol (Enter to finish): `)).trim();
+        if (!symbol) {
+          break;
+        }
+        const name = await question('  Token Name: ');
+        const description = await question('  Description (optional): ');
+        const decimals = await askDecimals('  ');
+        if (decimals === null) {
+          continue;
+        }
+        asset = { name: name.trim(), symbol, description: description.trim(), decimals };
+      }
+
+      asset.recipients = await askRecipients(asset.symbol, asset.decimals);
+      if (asset.recipients.length === 0) {
+        console.log('[ERROR] An asset needs at least one recipient; skipped.');
+        continue;
+      }
+      const finalizeInput = await question('  Finalize this asset? (yes/no, default: no): ');
+      asset.finalize = finalizeInput.toLowerCase() === 'yes';
+      assets.push(asset);
+    }
+
+    if (assets.length === 0) {
+      console.log('[INFO] No assets entered.');
+      return;
+    }
+
+    const accounts = keys.listAccounts();
+    const account = accounts.length > 1
+      ? await question(`Issuer account (name or index, default: ${keys.resolveAccount().name}): `)
+      : '';
+    const offline = await askOffline();
+
+    const result = await tokenCreator.issueBundle(assets, { account: account.trim() || null, offline });
+
+    console.log(`\n[SUCCESS] Bundle ${result.bundleId} issues ${result.tokens.length} asset(s):`);
+    result.tokens.forEach(token => {
+      console.log(`  ${token.symbol.padEnd(10)} ${token.assetId.substring(0, 24)}...  supply ${formatAmount(token.totalSupply, tokenDecimals(token))}${token.finalized ? ' (finalized)' : ''}`);
+    });
+    if (offline) {
+      console.log('[NOTE] The bundle is unsigned. Use "offline-sign" with any of its Asset IDs to export it.');
+    }
+    console.log('[NOTE] Deploying any of these tokens deploys the whole bundle.');
+  } catch (error) {
+    console.error('[ERROR] Error issuing bundle:', error.message);
+  }
+}
+
+async function cmdAirdrop() {
+  console.log('\n--- Airdrop ---\n');
+  console.log('The list is a CSV (address,amount per line) or a JSON array of { address, amount }.');
+  console.log('Amounts are whole tokens when the token has decimals; do not use thousands separators in CSV.\n');
+
+  // The tx-tool pays one recipient per transaction, so airdrop chunks cannot be deployed through it
+  if (tokenCreator.shouldUseCli()) {
+    console.log('[ERROR] Airdrops cannot be deployed through the Rust tx-tool yet.');
+    console.log('[INFO] Set ZSA_USE_CLI=false to build and deploy airdrops.');
+    return;
+  }
+
+  try {
+    const assetId = (await question('Asset ID (leave empty to create a new token): ')).trim();
+    let target;
+    let decimals;
+    if (assetId) {
+      const token = tokenCreator.getTokenByAssetId(assetId);
+      if (!token) {
+        console.log('[ERROR] Token not found.');
+        return;
+      }
+      target = { assetId };
+      decimals = tokenDecimals(token);
+    } else {
+      const name = await question('Token Name: ');
+      const symbol = await question('Token Symbol (2-10 characters): ');
+      const description = await question('Description (optional): ');
+      decimals = await askDecimals();
+      if (decimals === null) {
+        return;
+      }
+      target = { name: name.trim(), symbol: symbol.trim(), description: description.trim(), decimals };
+    }
+
+    const filePath = (await question('Airdrop list file: ')).trim();
+    const rows = readAirdropFile(filePath);
+    const limitInput = await question(`Notes per transaction (default: ${defaultNoteLimit()}): `);
+    const noteLimit = limitInput.trim() ? parseInt(limitInput, 10) : defaultNoteLimit();
+
+    // Validate up front so the summary matches what will be issued
+    const { recipients, total } = validateAirdropRows(rows, { network: tokenCreator.network, decimals });
+    const chunks = chunkRecipients(recipients, noteLimit, { reserveFirst: assetId ? 0 : 1 });
+    console.log(`\nRecipients: ${recipients.length}`);
+    console.log(`Total:      ${formatAmount(total, decimals)}`);
+    console.log(`Transactions: ${chunks.length} (up to ${noteLimit} notes each)`);
+
+    const confirm = await question('Issue this airdrop? (yes/no): ');
+    if (confirm.toLowerCase() !== 'yes') {
+      console.log('[INFO] Airdrop cancelled.');
+      return;
+    }
+
+    const result = await tokenCreator.airdrop(target, rows, { noteLimit });
+    console.log('\n[SUCCESS] Airdrop built! Deploy the token to broadcast its transactions.');
+    console.log('Token:', result.token.name, '(', result.token.symbol, ')');
+    console.log('Asset ID:', result.token.assetId);
+    result.batches.forEach((batch, index) => {
+      console.log(`  ${index + 1}. ${batch.transactionId}  ${batch.notes} notes, ${formatAmount(batch.amount, decimals)}`);
+    });
+    console.log('New total supply:', formatAmount(result.token.totalSupply, decimals));
+  } catch (error) {
+    console.error('[ERROR] Airdrop failed:', error.message);
+  }
+}
+
+async function cmdVerifyBundle() {
+  console.log('\n--- Verify Issuance Bundle ---\n');
+  console.log('Accepts a bundle, transaction, token record or signing file as JSON, or V6 transaction hex.');
+  console.log('V6 hex must be an issuance-only transaction: no transparent, Sapling or Orchard parts.\n');
+
+  try {
+    const input = (await question('File path or transaction hex: ')).trim();
+    if (!input) {
+      console.log('[ERROR] A file or hex string is required.');
+      return;
+    }
+
+    const content = fs.existsSync(input) ? fs.readFileSync(input, 'utf8') : input;
+    const report = verifyBundle(content);
+    console.log('');
+    formatBundleReport(report).forEach(line => console.log(line));
+  } catch (error) {
+    console.error('[ERROR] Could not verify bundle:', error.message);
+  }
+}
+
 async function cmdFinalize() {
   console.log('\n--- Finalize Token ---\n');
   console.log('[WARNING] Finalizing a token prevents any further issuance.\n');
@@ -482,13 +779,18 @@ async function cmdFinalize() {
       return;
     }
 
+    const offline = await askOffline();
+
     console.log('\n[INFO] Finalizing token...');
-    const result = await tokenCreator.finalizeToken(assetId.trim());
+    const result = await tokenCreator.finalizeToken(assetId.trim(), { offline });
 
     console.log('\n[SUCCESS] Token finalized!');
     console.log('Token:', result.token.name, '(', result.token.symbol, ')');
-    console.log('Final Supply:', parseInt(result.token.totalSupply).toLocaleString());
+    console.log('Final Supply:', formatAmount(result.token.totalSupply, tokenDecimals(result.token)));
     console.log('[WARNING] No more tokens can be issued for this asset.');
+    if (offline) {
+      console.log('[NOTE] The finalization is unsigned. Use "offline-sign" to export it for the offline machine.');
+    }
   } catch (error) {
     console.error('[ERROR] Error finalizing token:', error.message);
   }
@@ -517,7 +819,7 @@ async function cmdCreateWallet() {
     console.log('Type:', wallet.type);
     console.log('Network:', wallet.network);
     console.log('\n[WARNING] Private key is stored locally. Keep it secure!');
-    console.log('[NOTE] This is a testnet wallet for testing purposes.');
+    console.log(`[NOTE] This is a ${wallet.network} wallet for testing purposes.`);
   } catch (error) {
     console.error('[ERROR] Error creating wallet:', error.message);
   }
@@ -587,7 +889,7 @@ async function cmdCheckOnChain() {
       console.log('\n--- Local Token Info ---');
       console.log('Name:', token.name);
       console.log('Symbol:', token.symbol);
-      console.log('Status:', token.status);
+      console.log('Status:', describeLifecycle(token));
       if (token.transactionId) {
         console.log('Local Transaction ID:', token.transactionId);
       }
@@ -597,16 +899,401 @@ async function cmdCheckOnChain() {
   }
 }
 
+function showWords(phrase) {
+  const words = phrase.split(' ');
+  for (let i = 0; i < words.length; i += 4) {
+    const row = words.slice(i, i + 4).map((word, j) => `${String(i + j + 1).padStart(2)}. ${word.padEnd(10)}`);
+    console.log('  ' + row.join(' '));
+  }
+  console.log('');
+}
+
+function showMnemonicOnce(mnemonic) {
+  console.log('\n[WARNING] Write down this recovery phrase. It will NOT be shown again.');
+  console.log('[WARNING] Anyone with it (and your passphrase, if set) controls every asset you issue.\n');
+  showWords(mnemonic);
+}
+
+async function cmdCreateKeys() {
+  console.log('[INFO] No issuance keys found.');
+  const mode = await question('Create new keys, recover from seed shares or import a watch-only profile? (new/shares/watch, default: new): ');
+  if (mode.trim().toLowerCase() === 'watch') {
+    await cmdImportWatchOnly();
+    return;
+  }
+  if (mode.trim().toLowerCase() === 'shares') {
+    await cmdRecoverShares();
+    return;
+  }
+
+  console.log('[INFO] Creating new keys from a BIP-39 mnemonic...');
+  const passphrase = await question('Optional BIP-39 passphrase (leave empty for none): ');
+  console.log('[INFO] Choose a keystore passphrase. It encrypts the keys file on this machine.');
+  const keystorePassphrase = await askNewPassphrase();
+  const { mnemonic } = keys.createKeys({ passphrase, keystorePassphrase });
+  showMnemonicOnce(mnemonic);
+  await question('Press Enter once you have stored the recovery phrase...');
+}
+
+async function cmdUnlockKeys() {
+  if (!keys.isKeystoreEncrypted()) {
+    console.log('[WARNING] Issuance keys are stored in plaintext.');
+    const encrypt = await question('Encrypt them with a keystore passphrase now? (yes/no, default: yes): ');
+    if (encrypt.toLowerCase() !== 'no') {
+      keys.unlock(await askNewPassphrase());
+      console.log('[SUCCESS] Issuance keys encrypted.');
+    }
+    return;
+  }
+
+  for (let attempt = 1; attempt <= 3; attempt += 1) {
+    const passphrase = await questionHidden('Keystore passphrase: ');
+    try {
+      keys.unlock(passphrase);
+      console.log('[INFO] Issuance keys unlocked.');
+      return;
+    } catch (error) {
+      console.log(`[ERROR] ${error.message}`);
+    }
+  }
+  console.log('[WARNING] Keys remain locked. Commands that sign issuance will fail.');
+}
+
+async function cmdChangePassphrase() {
+  console.log('\n--- Change Keystore Passphrase ---\n');
+
+  try {
+    const current = keys.isKeystoreEncrypted() ? await questionHidden('Current passphrase: ') : null;
+    const next = await askNewPassphrase('New keystore passphrase');
+    keys.changePassphrase(current, next);
+    console.log('\n[SUCCESS] Keystore passphrase changed.');
+  } catch (error) {
+    console.error('[ERROR] Error changing passphrase:', error.message);
+  }
+}
+
+async function cmdRestoreKeys() {
+  console.log('\n--- Restore Issuance Keys ---\n');
+
+  try {
+    const mnemonic = await question('Recovery phrase (BIP-39 words separated by spaces): ');
+    if (!mnemonic.trim()) {
+      console.log('[ERROR] Recovery phrase is required.');
+      return;
+    }
+    const passphrase = await question('BIP-39 passphrase (leave empty if none was set): ');
+    const keystorePassphrase = keys.keystorePassphrase || await askNewPassphrase();
+    const expectedIssuers = tokenCreator.getAllTokens().map(token => token.issuer);
+
+    let restored;
+    try {
+      restored = keys.restoreFromMnemonic(mnemonic, passphrase, { keystorePassphrase, expectedIssuers });
+    } catch (error) {
+      if (!error.message.startsWith('Existing keys belong to issuer')) {
+        throw error;
+      }
+      console.log(`[WARNING] ${error.message}`);
+      const confirm = await question('Replace the existing keys? (yes/no): ');
+      if (confirm.toLowerCase() !== 'yes') {
+        console.log('[INFO] Restore cancelled.');
+        return;
+      }
+      restored = keys.restoreFromMnemonic(mnemonic, passphrase, { overwrite: true, keystorePassphrase, expectedIssuers });
+    }
+
+    console.log('\n[SUCCESS] Issuance keys restored!');
+    console.log('Issuer:', restored.issuer);
+  } catch (error) {
+    console.error('[ERROR] Error restoring keys:', error.message);
+  }
+}
+
+async function cmdAccounts() {
+  console.log('\n--- Issuer Accounts ---\n');
+
+  try {
+    const active = keys.resolveAccount();
+    keys.listAccounts().forEach(account => {
+      const marker = account.index === active.index ? '*' : ' ';
+      console.log(`${marker} #${account.index} ${account.name.padEnd(16)} ${account.issuer.substring(0, 16)}...`);
+    });
+    console.log('');
+
+    const action = await question('Action (create/select, Enter to return): ');
+    switch (action.trim().toLowerCase()) {
+      case 'create': {
+        const name = await question('Account name: ');
+        const account = keys.createAccount(name);
+        console.log(`\n[SUCCESS] Created account #${account.index} ${account.name}`);
+        console.log('Issuer:', account.issuer);
+        break;
+      }
+      case 'select': {
+        const target = await question('Account name or index: ');
+        const account = keys.selectAccount(target.trim());
+        console.log(`\n[SUCCESS] Active issuer account: ${account.name} (#${account.index})`);
+        break;
+      }
+      default:
+        break;
+    }
+  } catch (error) {
+    console.error('[ERROR] Error managing accounts:', error.message);
+  }
+}
+
+async function cmdRotateIssuer() {
+  console.log('\n--- Rotate Issuer ---\n');
+
+  try {
+    const current = keys.resolveAccount();
+    const openTokens = tokenCreator.getTokensByIssuer(current.issuer).filter(t => !t.finalized);
+    console.log(`Current issuer account: ${current.name} (#${current.index})`);
+    console.log(`Assets still issuable under it: ${openTokens.map(t => t.symbol).join(', ') || 'none'}`);
+
+    const newAccountName = await question('New account name: ');
+    const policy = await question('Open assets: finalize, freeze or leave-open (default: freeze): ');
+    const reason = await question('Reason (recorded in the handover statement): ');
+    const confirm = await question(`Rotate away from ${current.name}? (yes/no): `);
+    if (confirm.toLowerCase() !== 'yes') {
+      console.log('[INFO] Rotation cancelled.');
+      return;
+    }
+
+    const record = await tokenCreator.rotateIssuer({
+      newAccountName: newAccountName.trim(),
+      openAssets: policy.trim() || 'freeze',
+      reason: reason.trim()
+    });
+
+    console.log('\n[SUCCESS] Issuer rotated!');
+    console.log('Old Issuer:', record.statement.oldIssuer);
+    console.log('New Issuer:', record.statement.newIssuer);
+    record.statement.assets.forEach(asset => {
+      console.log(`  ${asset.symbol}: ${asset.action}`);
+    });
+    console.log('Handover ID:', record.id);
+    console.log('Handover Record:', tokenCreator.getHandoversFile());
+    console.log('Signatures valid:', verifyHandover(record) ? 'Yes' : 'No');
+  } catch (error) {
+    console.error('[ERROR] Error rotating issuer:', error.message);
+  }
+}
+
+async function cmdImportWatchOnly() {
+  const source = (await question('Watch-only profile file, ik or issuer (hex): ')).trim();
+  const profile = fs.existsSync(source) ? JSON.parse(fs.readFileSync(source, 'utf8')) : source;
+  const keysData = keys.importWatchOnly(profile);
+  console.log(`[SUCCESS] Watch-only profile imported with ${keysData.accounts.length} issuer account(s).`);
+}
+
+async function cmdWatchOnly() {
+  console.log('\n--- Watch-Only ---\n');
+  console.log('export - write the public ik/issuer of every account for a watch-only machine');
+  console.log('track  - compute the asset ID of a token issued by a watched issuer and list it\n');
+
+  try {
+    const action = (await question('Action (export/track): ')).trim().toLowerCase();
+    switch (action) {
+      case 'export': {
+        const filePath = (await question('Output file (default: watch-only-profile.json): ')).trim() || 'watch-only-profile.json';
+        const profile = keys.exportWatchOnlyProfile();
+        fs.writeFileSync(filePath, JSON.stringify(profile, null, 2));
+        console.log(`\n[SUCCESS] Watch-only profile with ${profile.accounts.length} account(s) written to ${filePath}`);
+        console.log('[NOTE] The file holds no secret keys. Import it on the analyst machine at first start.');
+        break;
+      }
+      case 'track': {
+        const name = await question('Token Name: ');
+        const symbol = await question('Token Symbol: ');
+        const description = await question('Description (optional): ');
+        const decimals = await question('Decimals (default: 0): ');
+        const accounts = keys.listAccounts();
+        const account = accounts.length > 1 ? await question('Issuer account (name or index, default: active): ') : '';
+        const token = tokenCreator.trackToken({
+          name,
+          symbol,
+          description: description.trim(),
+          decimals: decimals.trim(),
+          account: account.trim() || null
+        });
+        console.log('\n[SUCCESS] Tracking asset');
+        console.log('Asset ID:', token.assetId);
+        console.log('Issuer:', token.issuer);
+        console.log('Asset Description (ZIP 227):', token.assetDesc);
+        break;
+      }
+      default:
+        console.log('[ERROR] Unknown action. Use export or track.');
+    }
+  } catch (error) {
+    console.error('[ERROR] Watch-only command failed:', error.message);
+  }
+}
+
+async function cmdSeedShares() {
+  console.log('\n--- Seed Shares (Shamir k-of-n) ---\n');
+
+  const action = (await question('Action (split/recover): ')).trim().toLowerCase();
+  if (action === 'recover') {
+    await cmdRecoverShares();
+    return;
+  }
+  if (action !== 'split') {
+    console.log('[ERROR] Unknown action. Use split or recover.');
+    return;
+  }
+
+  try {
+    const count = parseInt(await question('Number of shares (n, up to 16): '), 10);
+    const threshold = parseInt(await question('Shares needed to recover (k): '), 10);
+    const backup = keys.splitSeed({ threshold, shares: count });
+    const dir = (await question('Write shares to a directory (leave empty to print them one by one): ')).trim();
+
+    if (dir) {
+      const files = keys.writeSeedShares(backup, dir);
+      console.log(`\n[SUCCESS] Wrote ${files.length} share files:`);
+      files.forEach(file => console.log(`  ${file}`));
+      console.log('[WARNING] Move each file to a different location and delete it from this machine.');
+    } else {
+      for (const share of backup.shares) {
+        await question(`\nPress Enter to show share ${share.index} of ${backup.count}...`);
+        console.log(`\nShare ${share.index} of ${backup.count} (any ${backup.threshold} recover the seed)`);
+        showWords(share.words);
+        await question('Press Enter once this share is written down...');
+        console.clear();
+      }
+    }
+    console.log(`\n[INFO] Issuer: ${backup.issuer}`);
+    console.log(`[INFO] Any ${backup.threshold} of ${backup.count} shares rebuild the seed. Each share checks its own words.`);
+  } catch (error) {
+    console.error('[ERROR] Error splitting seed:', error.message);
+  }
+}
+
+async function cmdRecoverShares() {
+  console.log('\n--- Recover Seed From Shares ---\n');
+  console.log('Enter a share file path or the share words, one share per line. Leave empty to finish.\n');
+
+  try {
+    const shares = [];
+    let fileIssuer = null;
+    while (true) {
+      const input = (await question(`Share ${shares.length + 1}: `)).trim();
+      if (!input) {
+        break;
+      }
+      if (fs.existsSync(input)) {
+        const record = keys.readSeedShare(input);
+        fileIssuer = fileIssuer || record.issuer;
+        shares.push(record.words);
+      } else {
+        shares.push(input);
+      }
+    }
+
+    const known = keys.hasKeys() ? keys.getIssuer(0) : fileIssuer;
+    const answer = await question(`Expected issuer${known ? ` (default: ${known})` : ''}: `);
+    const expectedIssuer = answer.trim() || known;
+    const keystorePassphrase = keys.keystorePassphrase || await askNewPassphrase();
+
+    const restored = keys.recoverFromShares(shares, { expectedIssuer, keystorePassphrase });
+    console.log('\n[SUCCESS] Seed recovered and issuer verified!');
+    console.log('Issuer:', restored.issuer);
+  } catch (error) {
+    console.error('[ERROR] Error recovering seed:', error.message);
+  }
+}
+
+async function askOffline() {
+  const fallback = keys.isUnlocked() ? 'no' : 'yes';
+  const answer = await question(`Sign on an offline machine? (yes/no, default: ${fallback}): `);
+  return (answer.trim().toLowerCase() || fallback) === 'yes';
+}
+
+async function cmdOfflineSign() {
+  console.log('\n--- Offline Signing ---\n');
+  console.log('export - (online) write the unsigned issuance of a token to a file');
+  console.log('sign   - (offline) review and sign an exported file with the local issuance keys');
+  console.log('import - (online) attach a signed file to its token for deployment\n');
+
+  try {
+    const action = (await question('Action (export/sign/import): ')).trim().toLowerCase();
+    switch (action) {
+      case 'export': {
+        const assetId = await question('Asset ID: ');
+        const filePath = await question('Output file (default: <symbol>.unsigned.json): ');
+        const token = tokenCreator.getTokenByAssetId(assetId.trim());
+        if (!token) {
+          console.log('[ERROR] Token not found.');
+          return;
+        }
+        const target = filePath.trim() || `${token.symbol.toLowerCase()}.unsigned.json`;
+        const file = tokenCreator.exportUnsignedIssuance(token.assetId, target);
+        console.log(`\n[SUCCESS] Unsigned ${file.purpose} written to ${target}`);
+        console.log('Sighash:', file.sighash);
+        break;
+      }
+      case 'sign': {
+        const filePath = (await question('Unsigned file: ')).trim();
+        const file = readIssuanceFile(filePath);
+
+        console.log('\nYou are about to authorize:\n');
+        summarizeIssuanceFile(file).forEach(line => console.log(`  ${line}`));
+        console.log('');
+
+        const confirm = await question('Sign this issuance? (yes/no): ');
+        if (confirm.toLowerCase() !== 'yes') {
+          console.log('[INFO] Signing cancelled.');
+          return;
+        }
+        if (!keys.isUnlocked()) {
+          await cmdUnlockKeys();
+        }
+
+        const signed = signIssuanceFile(file, keys);
+        const target = filePath.replace(/\.unsigned\.json$/, '') + '.signed.json';
+        writeIssuanceFile(target, signed);
+        console.log(`\n[SUCCESS] Signed with account ${signed.signedBy.name} (#${signed.signedBy.index})`);
+        console.log('Signed file:', target);
+        break;
+      }
+      case 'import': {
+        const filePath = (await question('Signed file: ')).trim();
+        const token = tokenCreator.importSignedIssuance(filePath);
+        console.log('\n[SUCCESS] Signature imported!');
+        console.log('Token:', token.name, '(', token.symbol, ')');
+        console.log('Status:', describeLifecycle(token));
+        console.log('[NOTE] Use "deploy" to broadcast the signed issuance.');
+        break;
+      }
+      default:
+        console.log('[ERROR] Unknown action. Use export, sign or import.');
+    }
+  } catch (error) {
+    console.error('[ERROR] Offline signing failed:', error.message);
+  }
+}
+
 async function main() {
   console.log('Zcash Meme Coin CLI Tool');
   console.log('ZIP 227: Zcash Shielded Assets (ZSA)');
-  console.log('\n[NOTE] ZSAs are not yet fully implemented on testnet.');
+  console.log(`\n[NOTE] ZSAs are not yet fully implemented on ${tokenCreator.network.name}.`);
   console.log('[NOTE] Tokens created here are stored and ready for deployment when ZSAs become available.');
   console.log('[NOTE] This tool follows ZIP 227 specification for asset issuance.\n');
 
   // Initialize keys on startup
   try {
+    if (!keys.hasKeys()) {
+      await cmdCreateKeys();
+    } else if (keys.isWatchOnly()) {
+      console.log('[INFO] Watch-only profile: only ik/issuer are loaded on this machine.');
+      console.log('[INFO] Listing, inspecting and tracking assets works; issuing, deploying and transfers are disabled.');
+    } else if (!keys.isUnlocked() || !keys.isKeystoreEncrypted()) {
+      await cmdUnlockKeys();
+    }
     const issuer = keys.getIssuer();
+    console.log(`[INFO] Network: ${tokenCreator.network.name}`);
     console.log(`[INFO] Issuer identifier: ${issuer.substring(0, 16)}...\n`);
   } catch (error) {
     console.log('[INFO] Generating new issuance keys...\n');
@@ -615,7 +1302,7 @@ async function main() {
 
     while (true) {
     displayMenu();
-    const choice = await question('Select command (1-13): ');
+    const choice = await question('Select command (1-23): ');
 
     switch (choice.trim()) {
       case '1':
@@ -659,8 +1346,38 @@ async function main() {
         rl.close();
         process.exit(0);
         break;
+      case '14':
+        await cmdRestoreKeys();
+        break;
+      case '15':
+        await cmdChangePassphrase();
+        break;
+      case '16':
+        await cmdAccounts();
+        break;
+      case '17':
+        await cmdRotateIssuer();
+        break;
+      case '18':
+        await cmdOfflineSign();
+        break;
+      case '19':
+        await cmdWatchOnly();
+        break;
+      case '20':
+        await cmdSeedShares();
+        break;
+      case '21':
+        await cmdIssueBundle();
+        break;
+      case '22':
+        await cmdAirdrop();
+        break;
+      case '23':
+        await cmdVerifyBundle();
+        break;
       default:
-        console.log('\n[ERROR] Invalid option. Please select 1-13.');
+        console.log('\n[ERROR] Invalid option. Please select 1-23.');
     }
   }
 }
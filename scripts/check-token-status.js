@@ -5,7 +5,9 @@
  */
 
 import { TokenCreator } from '../src/token-creator.js';
+import { formatAmount, tokenDecimals } from '../src/amount.js';
 import { ZcashBlockchain } from '../src/zcash-blockchain.js';
+import { describeLifecycle } from '../src/lifecycle.js';
 
 async function checkTokenStatus() {
   const tokenCreator = new TokenCreator();
@@ -26,8 +28,8 @@ async function checkTokenStatus() {
     for (const token of tokens) {
       console.log('--- Token: ' + token.name + ' (' + token.symbol + ') ---');
       console.log('Asset ID:', token.assetId);
-      console.log('Supply:', parseInt(token.totalSupply).toLocaleString());
-      console.log('Status:', token.status);
+      console.log('Supply:', formatAmount(token.totalSupply, tokenDecimals(token)));
+      console.log('Status:', describeLifecycle(token));
       console.log('Finalized:', token.finalized ? 'Yes' : 'No');
       console.log('');
 
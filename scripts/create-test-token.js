@@ -6,7 +6,9 @@
  */
 
 import { TokenCreator } from '../src/token-creator.js';
+import { formatAmount } from '../src/amount.js';
 import { WalletManager } from '../src/wallet.js';
+import { describeLifecycle } from '../src/lifecycle.js';
 
 async function createTestToken() {
   console.log('Creating test token...\n');
@@ -40,10 +42,10 @@ async function createTestToken() {
     console.log('Symbol:', token.symbol);
     console.log('Asset ID:', token.assetId);
     console.log('Issuer:', token.issuer);
-    console.log('Initial Supply:', parseInt(token.initialSupply).toLocaleString());
+    console.log('Initial Supply:', formatAmount(token.initialSupply, token.decimals));
     console.log('Recipient Address:', token.recipientAddress);
     console.log('Finalized:', token.finalized ? 'Yes' : 'No');
-    console.log('Status:', token.status);
+    console.log('Status:', describeLifecycle(token));
     console.log('');
     console.log('--- Next Steps ---');
     console.log('1. Use the CLI to check on-chain status: npm start -> option 11');
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * FROST threshold signing ceremony, one step per invocation
+ * Each participant runs its own steps against a shared exchange directory
+ * and a private state directory.
+ */
+
+import fs from 'fs';
+import { FrostParticipant, FrostCoordinator } from '../src/frost.js';
+import { IssuanceTransaction } from '../src/issuance.js';
+import { parseAmount, parseDecimals } from '../src/amount.js';
+
+const USAGE = `Usage: node scripts/frost.js <command> --exchange <dir> [options]
+
+Key generation (every participant, in order):
+  dkg-round1 --state <dir> --participant <p> --threshold <t> --participants <n>
+  dkg-round2 --state <dir> --participant <p>
+  dkg-round3 --state <dir> --participant <p>
+
+Signing:
+  start-session --name <name> --symbol <sym> --amount <n> --recipient <addr> [--description <d>] [--decimals <d>] [--finalize] [--reissue]
+  start-session --tx <unsigned-tx.json>
+  commit        --state <dir> --participant <p> --session <id>
+  package       --session <id> [--signers 1,3]
+  sign          --state <dir> --participant <p> --session <id>
+  aggregate     --session <id>`;
+
+function parseArgs(args) {
+  const options = {};
+  const positional = [];
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+    if (arg === '--finalize' || arg === '--reissue') {
+      options[arg.slice(2)] = true;
+    } else if (arg.startsWith('--')) {
+      options[arg.slice(2)] = args[i + 1];
+      i += 1;
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { command: positional[0], options };
+}
+
+function required(options, ...names) {
+  const missing = names.filter(name => options[name] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Missing option(s): ${missing.map(name => `--${name}`).join(', ')}`);
+  }
+}
+
+function participantFor(options) {
+  required(options, 'state', 'participant');
+  return new FrostParticipant({
+    exchangeDir: options.exchange,
+    stateDir: options.state,
+    participant: Number(options.participant)
+  });
+}
+
+function unsignedTransaction(coordinator, options) {
+  if (options.tx) {
+    return JSON.parse(fs.readFileSync(options.tx, 'utf8'));
+  }
+  required(options, 'name', 'symbol', 'amount', 'recipient');
+  const issuance = new IssuanceTransaction(null, { issuer: coordinator.loadGroup().issuer });
+  // With --decimals, --amount is in whole tokens
+  const decimals = parseDecimals(options.decimals);
+  const amount = parseAmount(options.amount, { decimals });
+  return issuance.buildIssuanceTransaction(
+    { name: options.name, symbol: options.symbol, description: options.description || '', decimals },
+    [{ address: options.recipient, amount: amount.toString() }],
+    Boolean(options.finalize),
+    // --reissue: the asset was issued before, so no reference note is added
+    { firstIssuance: !options.reissue }
+  );
+}
+
+function run(command, options) {
+  required(options, 'exchange');
+  const coordinator = new FrostCoordinator({ exchangeDir: options.exchange });
+
+  switch (command) {
+    case 'dkg-round1':
+      required(options, 'threshold', 'participants');
+      return participantFor(options).dkgRound1({
+        threshold: Number(options.threshold),
+        participants: Number(options.participants)
+      });
+    case 'dkg-round2':
+      return participantFor(options).dkgRound2();
+    case 'dkg-round3':
+      return participantFor(options).dkgRound3();
+    case 'start-session':
+      return coordinator.startSession(unsignedTransaction(coordinator, options));
+    case 'commit':
+      required(options, 'session');
+      return participantFor(options).commit(options.session);
+    case 'package':
+      required(options, 'session');
+      return coordinator.createSigningPackage(
+        options.session,
+        options.signers ? options.signers.split(',').map(Number) : null
+      );
+    case 'sign':
+      required(options, 'session');
+      return participantFor(options).signShare(options.session);
+    case 'aggregate': {
+      required(options, 'session');
+      const transaction = coordinator.aggregate(options.session);
+      return {
+        sessionId: options.session,
+        issuer: transaction.issuanceBundle.issuer,
+        signature: transaction.issuanceBundle.signature,
+        assetId: transaction.assetId
+      };
+    }
+    default:
+      throw new Error(`Unknown command: ${command || '(none)'}`);
+  }
+}
+
+try {
+  const { command, options } = parseArgs(process.argv.slice(2));
+  if (!command || command === 'help') {
+    console.log(USAGE);
+    process.exit(command ? 0 : 1);
+  }
+  console.log(JSON.stringify(run(command, options), null, 2));
+} catch (error) {
+  console.error(`[ERROR] ${error.message}`);
+  process.exit(1);
+}
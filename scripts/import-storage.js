@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+/**
+ * Import the tokens/ and wallets/ JSON stores into the SQLite database
+ * Run once, then set ZSA_STORAGE=sqlite. The JSON files are left in place.
+ */
+
+import { TokenCreator } from '../src/token-creator.js';
+import { WalletManager } from '../src/wallet.js';
+import { importJsonStores } from '../src/storage.js';
+
+const USAGE = 'Usage: node scripts/import-storage.js [--database <file>]';
+
+function importStorage(args) {
+  if (args[0] === 'help') {
+    console.log(USAGE);
+    return;
+  }
+  const index = args.indexOf('--database');
+  if (index !== -1 && !args[index + 1]) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const tokenCreator = new TokenCreator({ storage: 'json' });
+  const walletManager = new WalletManager({ storage: 'json' });
+
+  try {
+    const summary = importJsonStores({
+      tokensDir: tokenCreator.tokensDir,
+      walletsDir: walletManager.walletsDir,
+      databaseFile: index !== -1 ? args[index + 1] : tokenCreator.databaseFile
+    });
+
+    console.log(`[OK] Imported into ${summary.databaseFile}`);
+    ['tokens', 'wallets'].forEach(collection => {
+      const { imported, recovered } = summary[collection];
+      const note = recovered ? ` (${recovered} recovered from record files missing in the index)` : '';
+      console.log(`     ${collection}: ${imported}${note}`);
+    });
+    console.log('');
+    console.log('[NOTE] Set ZSA_STORAGE=sqlite to use the database. The JSON files were not changed.');
+  } catch (error) {
+    console.error('[ERROR] Import failed:', error.message);
+    process.exit(1);
+  }
+}
+
+importStorage(process.argv.slice(2));
@@ -12,6 +12,36 @@ export class TxToolCommandError extends Error {
   }
 }
 
+/**
+ * Serialize a payload for the tx-tool
+ * BigInt values are written as bare JSON integers, so u64 amounts reach serde intact.
+ */
+export function serializePayload(payload) {
+  // Tag BigInts with a marker that no string in the payload contains, then unquote them
+  const plain = JSON.stringify(payload, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+  let marker = '__u64__';
+  while (plain.includes(marker)) {
+    marker = `_${marker}_`;
+  }
+  const json = JSON.stringify(payload, (key, value) =>
+    typeof value === 'bigint' ? `${marker}${value.toString()}` : value,
+  );
+  return json.replace(new RegExp(`"${marker}(-?\\d+)"`, 'g'), '$1');
+}
+
+/**
+ * Parse tx-tool JSON output, keeping integers past Number.MAX_SAFE_INTEGER as strings
+ */
+export function parseCommandOutput(json) {
+  const safe = json.replace(/"(?:[^"\\]|\\.)*"|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/g, token => {
+    if (token.startsWith('"') || !/^-?\d+$/.test(token) || Number.isSafeInteger(Number(token))) {
+      return token;
+    }
+    return `"${token}"`;
+  });
+  return JSON.parse(safe);
+}
+
 function parseStatusError(stderr, subcommand) {
   if (!stderr) {
     return null;
@@ -73,7 +103,7 @@ export function runTxToolCommand({
   }
 
   const filePath = join(tmpdir(), `${subcommand}-${Date.now()}.json`);
-  writeFileSync(filePath, JSON.stringify(payload));
+  writeFileSync(filePath, serializePayload(payload));
 
   return new Promise((resolve, reject) => {
     const child = spawn(
@@ -170,7 +200,7 @@ export function runTxToolCommand({
       const jsonString = stdout.slice(jsonStart).trim();
 
       try {
-        const result = JSON.parse(jsonString);
+        const result = parseCommandOutput(jsonString);
         resolve(result);
       } catch (parseErr) {
         reject(
@@ -0,0 +1,176 @@
+/**
+ * Airdrop Lists
+ * Reads address,amount rows from CSV or JSON, validates every row against the active
+ * network and MAX_ISSUE, and splits the recipients into chunks of issue notes.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { detectAddressNetworks, resolveNetwork } from './network.js';
+import { MAX_ISSUE, parseAmount } from './amount.js';
+
+export { MAX_ISSUE };
+export const DEFAULT_AIRDROP_NOTE_LIMIT = 50;
+
+// Errors listed before the rest are summarized
+const MAX_REPORTED_ERRORS = 20;
+
+/**
+ * Note limit from ZSA_AIRDROP_NOTE_LIMIT, or the default
+ */
+export function defaultNoteLimit() {
+  return Number(process.env.ZSA_AIRDROP_NOTE_LIMIT || DEFAULT_AIRDROP_NOTE_LIMIT);
+}
+
+function unquote(value) {
+  const trimmed = String(value ?? '').trim();
+  return trimmed.length >= 2 && trimmed.startsWith('"') && trimmed.endsWith('"')
+    ? trimmed.slice(1, -1).trim()
+    : trimmed;
+}
+
+/**
+ * Parse airdrop rows from CSV text (address,amount per line) or a JSON array
+ * JSON rows may be { address, amount } objects or [address, amount] pairs; amounts past
+ * Number.MAX_SAFE_INTEGER must be JSON strings.
+ * Returns [{ line, address, amount }] with amounts still as strings.
+ */
+export function parseAirdropList(text, format = 'csv') {
+  if (format === 'json') {
+    const data = JSON.parse(text);
+    const rows = Array.isArray(data) ? data : data.recipients;
+    if (!Array.isArray(rows)) {
+      throw new Error('JSON airdrop list must be an array or { recipients: [...] }');
+    }
+    return rows.map((row, index) => {
+      const [address, amount] = Array.isArray(row) ? row : [row?.address, row?.amount];
+      // JSON.parse has already rounded integers past 2^53; refuse them rather than airdrop the wrong amount
+      if (typeof amount === 'number' && !Number.isSafeInteger(amount)) {
+        throw new Error(`Row ${index + 1}: amount ${amount} is not a safe integer; write large amounts as strings`);
+      }
+      return { line: index + 1, address: unquote(address), amount: unquote(amount) };
+    });
+  }
+
+  const rows = [];
+  String(text).split(/\r?\n/).forEach((raw, index) => {
+    const content = raw.trim();
+    if (!content || content.startsWith('#')) {
+      return;
+    }
+    const [address, amount, ...rest] = content.split(',').map(unquote);
+    // Skip a header row such as "address,amount"
+    if (rows.length === 0 && address.toLowerCase() === 'address') {
+      return;
+    }
+    rows.push({ line: index + 1, address, amount, extra: rest.filter(Boolean).length > 0 });
+  });
+  return rows;
+}
+
+/**
+ * Read an airdrop list; the format follows the file extension (.json, otherwise CSV)
+ */
+export function readAirdropFile(filePath) {
+  const format = path.extname(filePath).toLowerCase() === '.json' ? 'json' : 'csv';
+  return parseAirdropList(fs.readFileSync(filePath, 'utf8'), format);
+}
+
+function addressError(address, network) {
+  if (!address) {
+    return 'address is missing';
+  }
+  const hex = address.startsWith('0x') ? address.slice(2) : address;
+  if (/^[0-9a-fA-F]{86}$/.test(hex)) {
+    return null; // raw Orchard address
+  }
+  if (!/^[a-z0-9]+$/.test(address)) {
+    return `address ${address} contains invalid characters`;
+  }
+  const networks = detectAddressNetworks(address);
+  if (networks.length === 0) {
+    return `address ${address} is not a recognized Zcash address`;
+  }
+  if (!networks.includes(network.name)) {
+    return `address ${address} is a ${networks[0]} address, but the active network is ${network.name}`;
+  }
+  return null;
+}
+
+/**
+ * Validate every row and total the amounts
+ * Row amounts are whole tokens when decimals is given, and are returned in base units.
+ * All problems are reported together; the total must fit within maxTotal.
+ * Returns { recipients: [{ address, amount }], total }
+ */
+export function validateAirdropRows(rows, { network = null, maxTotal = MAX_ISSUE, decimals = 0 } = {}) {
+  const active = resolveNetwork(network);
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new Error('Airdrop list has no recipients');
+  }
+
+  const errors = [];
+  const recipients = [];
+  let total = 0n;
+  rows.forEach((row, index) => {
+    const where = `Row ${row.line ?? index + 1}`;
+    if (row.extra) {
+      errors.push(`${where}: expected exactly two columns (address,amount)`);
+      return;
+    }
+    const problem = addressError(row.address, active);
+    if (problem) {
+      errors.push(`${where}: ${problem}`);
+    }
+    let amount;
+    try {
+      amount = parseAmount(row.amount, { decimals, max: null });
+    } catch (error) {
+      const expected = decimals ? `a positive number with at most ${decimals} decimal places` : 'a positive whole number';
+      errors.push(`${where}: amount ${row.amount || '(empty)'} must be ${expected}`);
+      return;
+    }
+    if (amount > MAX_ISSUE) {
+      errors.push(`${where}: amount ${row.amount} exceeds MAX_ISSUE`);
+      return;
+    }
+    if (!problem) {
+      total += amount;
+      recipients.push({ address: row.address, amount: amount.toString() });
+    }
+  });
+
+  if (errors.length > 0) {
+    const shown = errors.slice(0, MAX_REPORTED_ERRORS);
+    if (errors.length > shown.length) {
+      shown.push(`... and ${errors.length - shown.length} more`);
+    }
+    throw new Error(`Airdrop list has ${errors.length} invalid row(s):\n${shown.join('\n')}`);
+  }
+  if (total > maxTotal) {
+    throw new Error(`Airdrop total ${total} exceeds the ${maxTotal} that can still be issued (MAX_ISSUE ${MAX_ISSUE})`);
+  }
+  return { recipients, total };
+}
+
+/**
+ * Split recipients into chunks of at most noteLimit issue notes
+ * reserveFirst leaves room in the first chunk for notes added by the builder (the reference note).
+ */
+export function chunkRecipients(recipients, noteLimit = defaultNoteLimit(), { reserveFirst = 0 } = {}) {
+  const limit = Number(noteLimit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error('Note limit must be a positive integer');
+  }
+  if (limit <= reserveFirst) {
+    throw new Error(`Note limit must be greater than ${reserveFirst} to leave room for the reference note`);
+  }
+  const chunks = [];
+  let start = 0;
+  while (start < recipients.length) {
+    const size = chunks.length === 0 ? limit - reserveFirst : limit;
+    chunks.push(recipients.slice(start, start + size));
+    start += size;
+  }
+  return chunks;
+}
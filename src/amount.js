@@ -0,0 +1,103 @@
+/**
+ * Asset Amounts
+ * Amounts are u64 values (ZIP 227: at most MAX_ISSUE) and are handled as BigInt
+ * everywhere: parsing, validation, tx-tool payloads and display. They are stored in
+ * token records as decimal strings, never as JavaScript numbers, which lose precision
+ * above 2^53.
+ *
+ * A token's decimals only change how amounts are written for people: "1,234.5" of a
+ * token with 8 decimals is 123450000000 base units. Notes, records and payloads always
+ * carry base units.
+ */
+
+// ZIP 227: MAX_ISSUE = 2^64 - 1
+export const MAX_ISSUE = BigInt('18446744073709551615');
+
+// MAX_ISSUE has 20 digits, so more than 18 decimals leaves less than 100 whole tokens
+export const MAX_DECIMALS = 18;
+
+/**
+ * Validate a decimals setting; undefined, null and '' mean 0
+ */
+export function parseDecimals(value) {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+  const text = String(value).trim();
+  const decimals = Number(text);
+  if (!/^\d+$/.test(text) || decimals > MAX_DECIMALS) {
+    throw new Error(`Decimals must be a whole number from 0 to ${MAX_DECIMALS}, got "${text}"`);
+  }
+  return decimals;
+}
+
+/**
+ * Decimals recorded on a token; records written before decimals existed use base units
+ */
+export function tokenDecimals(token) {
+  return Number.isInteger(token?.decimals) ? token.decimals : 0;
+}
+
+/**
+ * Read a decimal string as base units
+ * Accepts "1234.5678" and "1,234.5678" (commas only as thousands separators).
+ */
+function parseUnits(text, decimals, label) {
+  const negative = text.startsWith('-');
+  const unsigned = negative ? text.slice(1) : text;
+  const match = /^(\d+|\d{1,3}(?:,\d{3})+)(?:\.(\d+))?$/.exec(unsigned);
+  if (!match || (match[2] !== undefined && decimals === 0)) {
+    const expected = decimals === 0 ? 'a whole number' : `a number with at most ${decimals} decimal places`;
+    throw new Error(`${label} must be ${expected}, got "${text}"`);
+  }
+
+  const whole = match[1].replace(/,/g, '');
+  const fraction = (match[2] || '').replace(/0+$/, '');
+  if (fraction.length > decimals) {
+    throw new Error(`${label} ${text} has more than ${decimals} decimal places`);
+  }
+  const units = BigInt(whole) * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, '0') || '0');
+  return negative ? -units : units;
+}
+
+/**
+ * Parse an amount given as a BigInt, a safe integer or a decimal string
+ * With decimals, the value is in whole tokens and is converted exactly to base units.
+ * Throws for fractions finer than decimals, negatives, zero (unless allowZero), values above
+ * max (null for no bound), and numbers that are already past Number.MAX_SAFE_INTEGER (they cannot be trusted).
+ */
+export function parseAmount(value, { label = 'Amount', allowZero = false, max = MAX_ISSUE, decimals = 0 } = {}) {
+  let amount;
+  if (typeof value === 'bigint') {
+    amount = value * 10n ** BigInt(decimals);
+  } else if (typeof value === 'number') {
+    if (!Number.isSafeInteger(value)) {
+      throw new Error(`${label} ${value} is not a safe integer; pass large amounts as strings`);
+    }
+    amount = BigInt(value) * 10n ** BigInt(decimals);
+  } else {
+    amount = parseUnits(String(value ?? '').trim(), decimals, label);
+  }
+
+  if (amount < 0n || (!allowZero && amount === 0n)) {
+    throw new Error(`${label} must be ${allowZero ? 'zero or more' : 'greater than zero'}`);
+  }
+  if (max !== null && amount > max) {
+    const shown = units => (decimals ? formatAmount(units, decimals) : units.toString());
+    throw new Error(`${label} ${shown(amount)} exceeds maximum: ${shown(max)}`);
+  }
+  return amount;
+}
+
+/**
+ * Format base units with thousands separators, without going through Number
+ * With decimals, the amount is shown in whole tokens with trailing zeros trimmed.
+ */
+export function formatAmount(value, decimals = 0) {
+  const amount = BigInt(value ?? 0);
+  const digits = (amount < 0n ? -amount : amount).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  const text = fraction ? `${whole}.${fraction}` : whole;
+  return amount < 0n ? `-${text}` : text;
+}
@@ -0,0 +1,315 @@
+/**
+ * Canonical Issuance Bundle Encoding for ZIP 227 / ZIP 246
+ * Serializes IssueBundle and IssueAction into the V6 wire layout and
+ * computes the personalized BLAKE2b digests used for issueAuthSig
+ */
+
+import { blake2b256, computeAssetBase, computeAssetDigest } from './crypto.js';
+
+const MAX_NOTE_VALUE = BigInt('18446744073709551615');
+const ORCHARD_RAW_ADDRESS_LENGTH = 43;
+
+/**
+ * Encode a Bitcoin-style compactSize integer
+ */
+export function encodeCompactSize(value) {
+  const n = Number(value);
+  if (!Number.isSafeInteger(n) || n < 0) {
+    throw new Error(`Invalid compactSize value: ${value}`);
+  }
+
+  if (n < 0xfd) {
+    return Buffer.from([n]);
+  }
+  if (n <= 0xffff) {
+    const buf = Buffer.alloc(3);
+    buf[0] = 0xfd;
+    buf.writeUInt16LE(n, 1);
+    return buf;
+  }
+  if (n <= 0xffffffff) {
+    const buf = Buffer.alloc(5);
+    buf[0] = 0xfe;
+    buf.writeUInt32LE(n, 1);
+    return buf;
+  }
+
+  const buf = Buffer.alloc(9);
+  buf[0] = 0xff;
+  buf.writeBigUInt64LE(BigInt(n), 1);
+  return buf;
+}
+
+/**
+ * Encode a note value as u64 little-endian
+ */
+export function encodeNoteValue(value) {
+  const amount = BigInt(value.toString());
+  if (amount < 0n || amount > MAX_NOTE_VALUE) {
+    throw new Error(`Note value out of range: ${value}`);
+  }
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64LE(amount);
+  return buf;
+}
+
+/**
+ * Encode a note recipient as a 43-byte Orchard raw address
+ * Placeholder testnet addresses (e.g. "zt1...") are utf8 zero-padded to 43 bytes
+ * until they are real Orchard addresses.
+ */
+export function encodeRecipient(address) {
+  const trimmed = (address || '').trim();
+  const hex = trimmed.startsWith('0x') ? trimmed.slice(2) : trimmed;
+  if (hex.length === ORCHARD_RAW_ADDRESS_LENGTH * 2 && /^[0-9a-fA-F]+$/.test(hex)) {
+    return Buffer.from(hex, 'hex');
+  }
+
+  const utf8 = Buffer.from(trimmed, 'utf8');
+  if (utf8.length === 0 || utf8.length > ORCHARD_RAW_ADDRESS_LENGTH) {
+    throw new Error(`Recipient address must fit in ${ORCHARD_RAW_ADDRESS_LENGTH} bytes`);
+  }
+  const buf = Buffer.alloc(ORCHARD_RAW_ADDRESS_LENGTH);
+  utf8.copy(buf);
+  return buf;
+}
+
+function encodeFixed32(hex) {
+  if (!hex) {
+    return Buffer.alloc(32);
+  }
+  const buf = Buffer.from(hex, 'hex');
+  if (buf.length !== 32) {
+    throw new Error(`Expected 32 bytes, got ${buf.length}`);
+  }
+  return buf;
+}
+
+/**
+ * Encode an IssueNote
+ * ZIP 230: recipient || value || rho || rseed
+ * Notes without rho/rseed are encoded with zero bytes in those positions.
+ */
+export function encodeIssueNote(note) {
+  return Buffer.concat([
+    encodeRecipient(note.recipientAddress),
+    encodeNoteValue(note.value),
+    encodeFixed32(note.rho),
+    encodeFixed32(note.rseed)
+  ]);
+}
+
+/**
+ * Encode the issuance flags byte
+ * ZIP 230: bit 0 = finalize, remaining bits reserved
+ */
+export function encodeIssuanceFlags(finalize) {
+  return Buffer.from([finalize ? 0x01 : 0x00]);
+}
+
+/**
+ * Encode an IssueAction
+ * ZIP 230: asset_desc_hash || nNotes || vNotes || flagsIssuance
+ */
+export function encodeIssueAction(action) {
+  const notes = action.notes || [];
+  return Buffer.concat([
+    encodeFixed32(action.assetDescHash),
+    encodeCompactSize(notes.length),
+    ...notes.map(encodeIssueNote),
+    encodeIssuanceFlags(action.finalize)
+  ]);
+}
+
+/**
+ * Encode an IssueBundle
+ * ZIP 230: issuerLength || issuer || nIssueActions || vIssueActions [|| issueAuthSig]
+ */
+export function encodeIssuanceBundle(bundle, { includeSignature = true } = {}) {
+  const issuer = Buffer.from(bundle.issuer, 'hex');
+  const actions = bundle.actions || [];
+  const parts = [
+    encodeCompactSize(issuer.length),
+    issuer,
+    encodeCompactSize(actions.length),
+    ...actions.map(encodeIssueAction)
+  ];
+
+  if (includeSignature && actions.length > 0) {
+    const signature = bundle.signature ? Buffer.from(bundle.signature, 'hex') : Buffer.alloc(0);
+    if (signature.length !== 64) {
+      throw new Error('Issuance bundle must carry a 64-byte issueAuthSig');
+    }
+    parts.push(signature);
+  }
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Sequential reader over a byte buffer
+ */
+export class ByteReader {
+  constructor(bytes) {
+    this.buffer = Buffer.from(bytes);
+    this.offset = 0;
+  }
+
+  remaining() {
+    return this.buffer.length - this.offset;
+  }
+
+  readBytes(length) {
+    if (length > this.remaining()) {
+      throw new Error(`Unexpected end of data: wanted ${length} bytes at offset ${this.offset}`);
+    }
+    const out = this.buffer.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return Buffer.from(out);
+  }
+
+  readUInt8() {
+    return this.readBytes(1)[0];
+  }
+
+  readUInt32LE() {
+    return this.readBytes(4).readUInt32LE(0);
+  }
+
+  readUInt64LE() {
+    return this.readBytes(8).readBigUInt64LE(0);
+  }
+
+  readCompactSize() {
+    const first = this.readUInt8();
+    if (first < 0xfd) {
+      return first;
+    }
+    if (first === 0xfd) {
+      return this.readBytes(2).readUInt16LE(0);
+    }
+    if (first === 0xfe) {
+      return this.readUInt32LE();
+    }
+    const value = this.readUInt64LE();
+    if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+      throw new Error('compactSize value too large');
+    }
+    return Number(value);
+  }
+}
+
+function decodeOptional32(bytes) {
+  return bytes.every(byte => byte === 0) ? undefined : bytes.toString('hex');
+}
+
+/**
+ * Decode an IssueAction written by encodeIssueAction
+ * Asset IDs are recomputed from the bundle issuer; asset descriptions are not on the wire.
+ */
+export function decodeIssueAction(reader, issuer) {
+  const assetDescHash = reader.readBytes(32).toString('hex');
+  const assetId = `00${issuer}${assetDescHash}`;
+  const noteCount = reader.readCompactSize();
+  const notes = [];
+
+  for (let index = 0; index < noteCount; index += 1) {
+    const note = {
+      recipientAddress: reader.readBytes(ORCHARD_RAW_ADDRESS_LENGTH).toString('hex'),
+      value: reader.readUInt64LE().toString(),
+      assetId,
+      index
+    };
+    const rho = decodeOptional32(reader.readBytes(32));
+    const rseed = decodeOptional32(reader.readBytes(32));
+    if (rho) note.rho = rho;
+    if (rseed) note.rseed = rseed;
+    notes.push(note);
+  }
+
+  const flags = reader.readUInt8();
+  if ((flags & 0xfe) !== 0) {
+    throw new Error(`Reserved issuance flag bits set: 0x${flags.toString(16)}`);
+  }
+
+  return {
+    assetDescHash,
+    notes,
+    finalize: (flags & 0x01) === 0x01,
+    assetId
+  };
+}
+
+/**
+ * Decode an IssueBundle written by encodeIssuanceBundle
+ */
+export function decodeIssuanceBundle(reader) {
+  const issuer = reader.readBytes(reader.readCompactSize()).toString('hex');
+  const actionCount = reader.readCompactSize();
+  const actions = [];
+
+  for (let i = 0; i < actionCount; i += 1) {
+    actions.push(decodeIssueAction(reader, issuer));
+  }
+
+  return {
+    issuer,
+    actions,
+    signature: actionCount > 0 ? reader.readBytes(64).toString('hex') : null
+  };
+}
+
+/**
+ * Asset base of an issue action, derived from the bundle issuer and its asset description hash
+ * Notes are never trusted for it: the issuer signs the action, not the note's asset fields.
+ */
+function actionAssetBase(issuer, action) {
+  const assetId = `00${issuer}${action.assetDescHash}`;
+  return Buffer.from(computeAssetBase(computeAssetDigest(assetId)), 'hex');
+}
+
+/**
+ * Compute issue notes digest
+ * ZIP 246: BLAKE2b-256("ZTxIdIAcNoteHash", recipient || value || asset_base || rho || rseed ...)
+ * assetBase: the asset base of the action the notes belong to
+ */
+export function computeIssueNotesDigest(notes = [], assetBase) {
+  const data = Buffer.concat(notes.map(note => Buffer.concat([
+    encodeRecipient(note.recipientAddress),
+    encodeNoteValue(note.value),
+    assetBase,
+    encodeFixed32(note.rho),
+    encodeFixed32(note.rseed)
+  ])));
+  return blake2b256(data, 'ZTxIdIAcNoteHash');
+}
+
+/**
+ * Compute issue actions digest
+ * ZIP 246: BLAKE2b-256("ZTxIdIssuActHash", issue_notes_digest || asset_desc_hash || flagsIssuance ...)
+ */
+export function computeIssueActionsDigest(actions = [], issuer) {
+  const data = Buffer.concat(actions.map(action => Buffer.concat([
+    computeIssueNotesDigest(action.notes, actionAssetBase(issuer, action)),
+    encodeFixed32(action.assetDescHash),
+    encodeIssuanceFlags(action.finalize)
+  ])));
+  return blake2b256(data, 'ZTxIdIssuActHash');
+}
+
+/**
+ * Compute issuance digest
+ * ZIP 246: BLAKE2b-256("ZTxIdSAIssueHash", issue_actions_digest || issuer)
+ * An empty bundle hashes to BLAKE2b-256("ZTxIdSAIssueHash", [])
+ */
+export function computeIssuanceDigest(bundle) {
+  const actions = bundle?.actions || [];
+  if (actions.length === 0) {
+    return blake2b256(Buffer.alloc(0), 'ZTxIdSAIssueHash');
+  }
+
+  return blake2b256(
+    Buffer.concat([computeIssueActionsDigest(actions, bundle.issuer), Buffer.from(bundle.issuer, 'hex')]),
+    'ZTxIdSAIssueHash'
+  );
+}
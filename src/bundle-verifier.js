@@ -0,0 +1,307 @@
+/**
+ * Issuance Bundle Verifier
+ * Checks an issuance bundle received from elsewhere: a bundle, transaction, token record
+ * or signing file as JSON, or the hex bytes of an issuance-only V6 transaction (no transparent,
+ * Sapling or Orchard parts). Every asset description hash
+ * and asset ID is recomputed, note values are checked against MAX_ISSUE, the finalize
+ * semantics are checked, note commitments are recomputed where given, and issueAuthSig
+ * is verified. The result is a pass/fail report.
+ */
+
+import { computeAssetDescHash, computeAssetId, decodeIssuer } from './crypto.js';
+import { MAX_ISSUE } from './amount.js';
+import {
+  computeBundleSighash,
+  findMissingReferenceNotes,
+  firstIssuanceAssetIds,
+  verifyIssuanceBundle
+} from './issuance.js';
+import { computeTxId, decodeTransaction } from './transaction.js';
+import { computeNoteCommitment } from './note-commitment.js';
+import { assetBaseFor } from './issued-assets.js';
+
+/**
+ * Turn verifier input into { source, kind, bundle, transaction, record }
+ * input: an object, JSON text, or issuance-only V6 transaction hex or bytes
+ */
+export function parseBundleInput(input) {
+  if (Buffer.isBuffer(input)) {
+    return parseBundleInput(input.toString('hex'));
+  }
+  if (typeof input === 'string') {
+    const text = input.trim();
+    if (/^[0-9a-fA-F]+$/.test(text)) {
+      if (text.length % 2 !== 0) {
+        throw new Error('Transaction hex has an odd number of digits');
+      }
+      const transaction = decodeTransaction(text);
+      if (!transaction.issuanceBundle) {
+        throw new Error('Transaction carries no issuance bundle');
+      }
+      return { source: 'v6-hex', kind: 'transaction', bundle: transaction.issuanceBundle, transaction, record: null };
+    }
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new Error('Input is neither V6 transaction hex nor JSON');
+    }
+    return { ...parseBundleInput(parsed), source: 'json' };
+  }
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Expected one issuance bundle, transaction, token record or signing file');
+  }
+  if (input.issuer !== undefined && Array.isArray(input.actions)) {
+    return { source: 'json', kind: 'bundle', bundle: input, transaction: null, record: null };
+  }
+  if (input.issuanceBundle) {
+    return { source: 'json', kind: 'transaction', bundle: input.issuanceBundle, transaction: input, record: null };
+  }
+  if (input.transaction && input.transaction.issuanceBundle) {
+    return {
+      source: 'json',
+      kind: input.format ? 'signing-file' : 'token',
+      bundle: input.transaction.issuanceBundle,
+      transaction: input.transaction,
+      record: input
+    };
+  }
+  throw new Error('No issuance bundle found in the input');
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parseValue(value) {
+  const text = String(value ?? '');
+  return /^\d+$/.test(text) ? BigInt(text) : null;
+}
+
+/**
+ * Verify an issuance bundle and report every check
+ * firstIssuance: asset IDs whose reference note is required (defaults to what the input declares)
+ * Returns { valid, source, kind, issuer, txid, checks: [{ check, status: pass|fail|skip, reason }] }
+ */
+export function verifyBundle(input, { firstIssuance = null } = {}) {
+  const { source, kind, bundle, transaction, record } = parseBundleInput(input);
+  const checks = [];
+  const add = (check, status, reason = '') => checks.push({ check, status, reason });
+  if (!isObject(bundle)) {
+    add('bundle', 'fail', 'issuance bundle is not an object');
+    return { valid: false, source, kind, issuer: null, txid: null, checks };
+  }
+  const actions = Array.isArray(bundle.actions) ? bundle.actions : [];
+  if (bundle.actions !== undefined && !Array.isArray(bundle.actions)) {
+    add('actions', 'fail', 'actions is not an array');
+  }
+
+  let issuerOk = true;
+  try {
+    decodeIssuer(bundle.issuer);
+    add('issuer', 'pass', `issuer ${bundle.issuer}`);
+  } catch (error) {
+    issuerOk = false;
+    add('issuer', 'fail', error.message);
+  }
+  if (actions.length === 0) {
+    add('actions', 'fail', 'bundle has no issue actions');
+  }
+
+  const seen = new Set();
+  actions.forEach((action, index) => {
+    const label = `action ${index + 1}`;
+    if (!isObject(action)) {
+      add(label, 'fail', `action is ${action === null ? 'null' : typeof action}, not an object`);
+      return;
+    }
+
+    // Asset description hash and asset ID
+    if (typeof action.assetDesc === 'string') {
+      const descHash = computeAssetDescHash(action.assetDesc).toString('hex');
+      if (descHash === action.assetDescHash) {
+        add(`${label} assetDescHash`, 'pass');
+      } else {
+        add(`${label} assetDescHash`, 'fail', `recomputed ${descHash}, bundle has ${action.assetDescHash}`);
+      }
+      if (issuerOk) {
+        const { assetId } = computeAssetId(bundle.issuer, action.assetDesc);
+        if (action.assetId === undefined || action.assetId === assetId) {
+          add(`${label} assetId`, 'pass', assetId);
+        } else {
+          add(`${label} assetId`, 'fail', `recomputed ${assetId}, bundle has ${action.assetId}`);
+        }
+      } else {
+        add(`${label} assetId`, 'skip', 'cannot be recomputed without a valid issuer');
+      }
+    } else {
+      add(`${label} assetDescHash`, 'skip', 'asset description is not included (V6 bytes carry only its hash)');
+      const expected = `00${bundle.issuer}${action.assetDescHash}`;
+      if (action.assetId !== undefined && action.assetId !== expected) {
+        add(`${label} assetId`, 'fail', `asset ID ${action.assetId} does not match issuer and assetDescHash`);
+      } else {
+        add(`${label} assetId`, 'pass', expected);
+      }
+    }
+    const assetId = action.assetId || `00${bundle.issuer}${action.assetDescHash}`;
+
+    // Note values and MAX_ISSUE
+    const notes = Array.isArray(action.notes) ? action.notes : [];
+    const problems = [];
+    let total = 0n;
+    notes.forEach((note, noteIndex) => {
+      if (!isObject(note)) {
+        problems.push(`note ${noteIndex} is not an object`);
+        return;
+      }
+      const value = parseValue(note.value);
+      if (value === null) {
+        problems.push(`note ${noteIndex} value ${note.value} is not a non-negative integer`);
+        return;
+      }
+      if (value > MAX_ISSUE) {
+        problems.push(`note ${noteIndex} value ${value} exceeds MAX_ISSUE`);
+      }
+      if (note.assetId !== undefined && note.assetId !== assetId) {
+        problems.push(`note ${noteIndex} is for asset ${note.assetId}`);
+      }
+      if (note.assetBase !== undefined && note.assetBase !== assetBaseFor(assetId)) {
+        problems.push(`note ${noteIndex} asset base does not match the action's asset`);
+      }
+      total += value;
+    });
+    if (total > MAX_ISSUE) {
+      problems.push(`total ${total} exceeds MAX_ISSUE`);
+    }
+    add(`${label} notes`, problems.length ? 'fail' : 'pass', problems.length ? problems.join('; ') : `${notes.length} note(s), total ${total}`);
+
+    // Note commitments given with the bundle must match rho/rseed and the note fields
+    const committed = notes.filter(note => isObject(note) && note.cmx);
+    if (committed.length > 0) {
+      const mismatched = [];
+      committed.forEach(note => {
+        let cmx = null;
+        try {
+          cmx = computeNoteCommitment({ ...note, assetId, assetBase: undefined });
+        } catch (error) {
+          cmx = null;
+        }
+        if (cmx !== note.cmx) {
+          mismatched.push(notes.indexOf(note));
+        }
+      });
+      add(
+        `${label} note commitments`,
+        mismatched.length ? 'fail' : 'pass',
+        mismatched.length ? `cmx does not match note(s) ${mismatched.join(', ')}` : `${committed.length} cmx recomputed`
+      );
+    }
+
+    // Finalize semantics
+    const finalizeProblems = [];
+    if (typeof action.finalize !== 'boolean') {
+      finalizeProblems.push('finalize flag is not a boolean');
+    }
+    if (notes.length === 0 && !action.finalize) {
+      finalizeProblems.push('action issues no notes and does not finalize');
+    }
+    if (seen.has(assetId)) {
+      finalizeProblems.push('asset appears in more than one action of the bundle');
+    }
+    seen.add(assetId);
+    if (finalizeProblems.length) {
+      add(`${label} finalize`, 'fail', finalizeProblems.join('; '));
+    } else {
+      add(`${label} finalize`, 'pass', action.finalize ? 'finalizes the asset' : 'leaves the asset open');
+    }
+  });
+
+  // Reference notes on first issuance, when the input says which assets are new
+  const first = firstIssuance || (transaction ? firstIssuanceAssetIds(transaction) : []);
+  if (first.length > 0) {
+    const missing = findMissingReferenceNotes(bundle, first);
+    add(
+      'reference notes',
+      missing.length ? 'fail' : 'pass',
+      missing.length ? `first issuance lacks the reference note: ${missing.join(', ')}` : ''
+    );
+  }
+
+  // Token records and signing files must describe the bundle they carry
+  if (record && kind === 'token' && record.assetId) {
+    const described = actions.some(action => isObject(action) && action.assetId === record.assetId);
+    add('token record', described ? 'pass' : 'fail', described ? '' : `no action issues asset ${record.assetId}`);
+  }
+  if (record && kind === 'signing-file' && record.sighash) {
+    try {
+      const sighash = computeBundleSighash({ ...bundle, signature: null }).toString('hex');
+      add('signing file sighash', sighash === record.sighash ? 'pass' : 'fail', sighash === record.sighash ? '' : `recomputed ${sighash}`);
+    } catch (error) {
+      add('signing file sighash', 'fail', error.message);
+    }
+  }
+
+  // issueAuthSig
+  if (!bundle.signature) {
+    add('signature', 'fail', 'bundle is unsigned');
+  } else {
+    let verified;
+    try {
+      verified = verifyIssuanceBundle(bundle);
+    } catch (error) {
+      verified = error;
+    }
+    if (verified === true) {
+      add('signature', 'pass', 'issueAuthSig verifies under the bundle issuer');
+    } else if (verified instanceof Error) {
+      add('signature', 'fail', `bundle cannot be encoded for its sighash: ${verified.message}`);
+    } else {
+      add('signature', 'fail', 'issueAuthSig does not verify under the bundle issuer');
+    }
+  }
+
+  // The txid is always recomputed; one carried by the input is only checked against it
+  let txid = null;
+  let txidError = null;
+  if (transaction && issuerOk && actions.length > 0) {
+    try {
+      txid = computeTxId(transaction);
+    } catch (error) {
+      txidError = error;
+    }
+  }
+  if (transaction && transaction.txid) {
+    if (txid === null) {
+      add('transaction id', 'fail', `cannot recompute the supplied txid${txidError ? `: ${txidError.message}` : ''}`);
+    } else {
+      add('transaction id', transaction.txid === txid ? 'pass' : 'fail', transaction.txid === txid ? '' : `supplied ${transaction.txid}, recomputed ${txid}`);
+    }
+  }
+
+  return {
+    valid: checks.every(entry => entry.status !== 'fail'),
+    source,
+    kind,
+    issuer: bundle.issuer,
+    txid,
+    checks
+  };
+}
+
+/**
+ * Human-readable report lines
+ */
+export function formatBundleReport(report) {
+  const lines = [
+    `Result: ${report.valid ? 'PASS' : 'FAIL'}`,
+    `Input: ${report.kind} (${report.source})`
+  ];
+  if (report.txid) {
+    lines.push(`Transaction ID: ${report.txid}`);
+  }
+  report.checks.forEach(({ check, status, reason }) => {
+    lines.push(`  [${status.toUpperCase()}] ${check}${reason ? ` - ${reason}` : ''}`);
+  });
+  return lines;
+}
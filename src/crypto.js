@@ -3,9 +3,10 @@
  * Implements BLAKE2b hashing and asset ID calculations
  */
 
-import crypto from 'crypto';
 import { blake2b } from '@noble/hashes/blake2.js';
 import { utf8ToBytes } from '@noble/hashes/utils.js';
+import { schnorr } from '@noble/curves/secp256k1.js';
+import { pallasHashToCurve, encodePallasPoint } from './pallas.js';
 
 function ensurePersonalization(personalization) {
   if (!personalization) {
@@ -96,23 +97,52 @@ export function computeAssetDigest(assetId) {
 /**
  * Compute asset base
  * ZIP 227: asset_base = GroupHash("z.cash:OrchardZSA", asset_digest)
- * Used in OrchardZSA notes
+ * Used in OrchardZSA notes; returned as a compressed Pallas point (hex)
  */
 export function computeAssetBase(assetDigest) {
-  // Simplified - in production use proper GroupHash
-  const domain = 'z.cash:OrchardZSA';
-  const hash = crypto.createHash('sha256');
-  hash.update(domain);
-  hash.update(assetDigest);
-  return hash.digest().toString('hex');
+  const point = pallasHashToCurve('z.cash:OrchardZSA', assetDigest);
+  return encodePallasPoint(point).toString('hex');
+}
+
+/**
+ * Decode issuer identifier back into the BIP-340 validating key (ik)
+ * ZIP 227: issuer = 0x00 || ik, where ik is a 32-byte x-only public key
+ */
+export function decodeIssuer(issuer) {
+  const issuerBuffer = Buffer.from(issuer || '', 'hex');
+  if (issuerBuffer.length !== 33 || issuerBuffer[0] !== 0x00) {
+    throw new Error('Issuer must be 0x00 followed by a 32-byte validating key');
+  }
+  return issuerBuffer.subarray(1);
+}
+
+/**
+ * Create a BIP-340 Schnorr signature over a 32-byte message
+ * ZIP 227: issueAuthSig = BIP340.Sign(isk, sighash)
+ */
+export function schnorrSign(message, secretKey) {
+  return Buffer.from(schnorr.sign(message, secretKey));
+}
+
+/**
+ * Verify a BIP-340 Schnorr signature against an x-only validating key
+ */
+export function schnorrVerify(signature, message, publicKey) {
+  try {
+    return schnorr.verify(signature, message, publicKey);
+  } catch (error) {
+    return false;
+  }
 }
 
 /**
  * Create asset description string
- * Format: "name|symbol|description"
+ * Format: "name|symbol|description", followed by "|decimals=N" when the asset has decimals.
+ * Assets without decimals keep the original format, so their asset IDs do not change.
  */
-export function createAssetDescription(name, symbol, description = '') {
-  return `${name}|${symbol}|${description}`;
+export function createAssetDescription(name, symbol, description = '', decimals = 0) {
+  const assetDesc = `${name}|${symbol}|${description}`;
+  return decimals ? `${assetDesc}|decimals=${decimals}` : assetDesc;
 }
 
 /**
@@ -120,9 +150,14 @@ export function createAssetDescription(name, symbol, description = '') {
  */
 export function parseAssetDescription(assetDesc) {
   const parts = assetDesc.split('|');
+  const metadata = parts.length > 3 ? /^decimals=(\d+)$/.exec(parts[parts.length - 1]) : null;
+  if (metadata) {
+    parts.pop();
+  }
   return {
     name: parts[0] || '',
     symbol: parts[1] || '',
-    description: parts.slice(2).join('|') || ''
+    description: parts.slice(2).join('|') || '',
+    decimals: metadata ? Number(metadata[1]) : 0
   };
 }
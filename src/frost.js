@@ -0,0 +1,451 @@
+/**
+ * FROST Threshold Signing for ZIP 227 Issuance Bundles
+ * t-of-n FROST (RFC 9591, secp256k1 Taproot ciphersuite) producing a BIP-340
+ * issueAuthSig that verifies under the group's issuer = 0x00 || ik.
+ *
+ * Every round is a file on disk so participants can run on separate machines:
+ *
+ *   exchangeDir/dkg/round1-<p>.json            public, broadcast to everyone
+ *   exchangeDir/dkg/round2-<from>-to-<to>.json secret share, encrypted to <to>
+ *   exchangeDir/dkg/group-<p>.json             group public package as seen by <p>
+ *   exchangeDir/signing/<session>/request.json unsigned transaction and sighash
+ *   exchangeDir/signing/<session>/commit-<p>.json, package.json, share-<p>.json
+ *   stateDir/dkg-state.json, key-share.json, nonces-<session>.json (never shared, mode 600)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { schnorr_FROST as FROST } from '@noble/curves/secp256k1.js';
+import { computeBundleSighash, firstIssuanceAssetIds, verifyIssuanceBundle } from './issuance.js';
+
+/**
+ * JSON encoding for FROST packages, which hold bigints and byte arrays
+ */
+function replacer(key, value) {
+  if (typeof value === 'bigint') {
+    return { $bigint: value.toString(16) };
+  }
+  if (value instanceof Uint8Array) {
+    return { $bytes: Buffer.from(value).toString('hex') };
+  }
+  return value;
+}
+
+function reviver(key, value) {
+  if (value && typeof value === 'object' && typeof value.$bigint === 'string') {
+    return BigInt(`0x${value.$bigint}`);
+  }
+  if (value && typeof value === 'object' && typeof value.$bytes === 'string') {
+    return Uint8Array.from(Buffer.from(value.$bytes, 'hex'));
+  }
+  return value;
+}
+
+function readJson(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Missing FROST file: ${file}`);
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'), reviver);
+}
+
+/**
+ * Write a FROST file; secret files (key shares, DKG state, nonces) are readable by the owner only
+ */
+function writeJson(file, data, { secret = false } = {}) {
+  fs.mkdirSync(path.dirname(file), secret ? { recursive: true, mode: 0o700 } : { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, replacer, 2), secret ? { mode: 0o600 } : undefined);
+  if (secret) {
+    // mode only applies when the file is created
+    fs.chmodSync(file, 0o600);
+  }
+}
+
+/**
+ * AES-256-GCM key for round 2 shares between two participants
+ * X25519 between one's round 1 encryption key and the other's, then HKDF-SHA256
+ */
+function shareKey(privateKey, publicKey, from, to) {
+  const secret = crypto.diffieHellman({
+    privateKey: crypto.createPrivateKey({ key: Buffer.from(privateKey, 'hex'), format: 'der', type: 'pkcs8' }),
+    publicKey: crypto.createPublicKey({ key: Buffer.from(publicKey, 'hex'), format: 'der', type: 'spki' })
+  });
+  const [low, high] = [from, to].sort((a, b) => a - b);
+  return Buffer.from(crypto.hkdfSync('sha256', secret, Buffer.alloc(0), `ZSA FROST DKG share ${low}-${high}`, 32));
+}
+
+/**
+ * Encrypt a round 2 package to its recipient, binding sender and recipient as associated data
+ */
+function sealShare(share, key, from, to) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(`${from}-to-${to}`, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(share, replacer), 'utf8'), cipher.final()]);
+  return {
+    cipher: 'x25519-hkdf-sha256-aes-256-gcm',
+    iv: iv.toString('hex'),
+    ciphertext: ciphertext.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex')
+  };
+}
+
+function openShare(sealed, key, from, to) {
+  if (!sealed || sealed.cipher !== 'x25519-hkdf-sha256-aes-256-gcm') {
+    throw new Error(`Round 2 share from participant ${from} is not encrypted`);
+  }
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(sealed.iv, 'hex'));
+    decipher.setAAD(Buffer.from(`${from}-to-${to}`, 'utf8'));
+    decipher.setAuthTag(Buffer.from(sealed.tag, 'hex'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(sealed.ciphertext, 'hex')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'), reviver);
+  } catch (error) {
+    throw new Error(`Round 2 share from participant ${from} cannot be decrypted by participant ${to}`);
+  }
+}
+
+/**
+ * Participant numbers (1..n) found in files named <prefix><p>.json
+ */
+function listParticipantFiles(dir, prefix) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  const pattern = new RegExp(`^${prefix}(\\d+)\\.json$`);
+  return fs.readdirSync(dir)
+    .map(name => pattern.exec(name))
+    .filter(Boolean)
+    .map(match => Number(match[1]))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Order-independent encoding of a group public package, for comparing copies
+ */
+function groupFingerprint(publicPackage) {
+  const shares = Object.keys(publicPackage.verifyingShares).sort()
+    .map(id => [id, publicPackage.verifyingShares[id]]);
+  return JSON.stringify([publicPackage.signers, publicPackage.commitments, shares], replacer);
+}
+
+function identifierFor(participant) {
+  return FROST.Identifier.fromNumber(participant);
+}
+
+/**
+ * Issuer identifier for a FROST group public package
+ * The group key is x-only under BIP-340, so issuer = 0x00 || x(groupKey)
+ */
+export function groupIssuer(publicPackage) {
+  const groupKey = Buffer.from(publicPackage.commitments[0]);
+  const ik = groupKey.length === 33 ? groupKey.subarray(1) : groupKey;
+  return `00${ik.toString('hex')}`;
+}
+
+export class FrostParticipant {
+  constructor({ exchangeDir, stateDir, participant }) {
+    if (!Number.isInteger(participant) || participant < 1) {
+      throw new Error('Participant number must be a positive integer');
+    }
+    this.exchangeDir = exchangeDir;
+    this.stateDir = stateDir;
+    this.participant = participant;
+    this.identifier = identifierFor(participant);
+  }
+
+  dkgFile(name) {
+    return path.join(this.exchangeDir, 'dkg', name);
+  }
+
+  sessionFile(sessionId, name) {
+    return path.join(this.exchangeDir, 'signing', sessionId, name);
+  }
+
+  stateFile(name) {
+    return path.join(this.stateDir, name);
+  }
+
+  /**
+   * Key generation round 1: publish commitments, proof of knowledge and an encryption key for round 2
+   */
+  dkgRound1({ threshold, participants }) {
+    if (!Number.isInteger(threshold) || !Number.isInteger(participants) || threshold < 2 || threshold > participants) {
+      throw new Error('Threshold must be an integer between 2 and the number of participants');
+    }
+    if (this.participant > participants) {
+      throw new Error(`Participant ${this.participant} is outside 1..${participants}`);
+    }
+    if (fs.existsSync(this.stateFile('key-share.json'))) {
+      throw new Error(`Participant ${this.participant} already holds a key share in ${this.stateDir}`);
+    }
+
+    const signers = { min: threshold, max: participants };
+    const round1 = FROST.DKG.round1(this.identifier, signers);
+    const encryption = crypto.generateKeyPairSync('x25519', {
+      publicKeyEncoding: { type: 'spki', format: 'der' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'der' }
+    });
+    writeJson(this.stateFile('dkg-state.json'), {
+      participant: this.participant,
+      signers,
+      secret: round1.secret,
+      encryptionKey: encryption.privateKey.toString('hex')
+    }, { secret: true });
+    writeJson(this.dkgFile(`round1-${this.participant}.json`), {
+      participant: this.participant,
+      signers,
+      package: round1.public,
+      encryptionKey: encryption.publicKey.toString('hex')
+    });
+    return { participant: this.participant, signers };
+  }
+
+  /**
+   * Round 1 packages from every other participant, checked for matching parameters
+   */
+  readOthersRound1(signers) {
+    const others = [];
+    for (let p = 1; p <= signers.max; p += 1) {
+      if (p === this.participant) {
+        continue;
+      }
+      const round1 = readJson(this.dkgFile(`round1-${p}.json`));
+      if (round1.signers.min !== signers.min || round1.signers.max !== signers.max) {
+        throw new Error(`Participant ${p} used different threshold parameters`);
+      }
+      others.push(round1.package);
+    }
+    return others;
+  }
+
+  /**
+   * Round 1 encryption key of another participant
+   */
+  peerEncryptionKey(participant) {
+    const { encryptionKey } = readJson(this.dkgFile(`round1-${participant}.json`));
+    if (typeof encryptionKey !== 'string') {
+      throw new Error(`Participant ${participant} published no round 1 encryption key; rerun key generation`);
+    }
+    return encryptionKey;
+  }
+
+  /**
+   * Key generation round 2: send one secret share to each other participant, encrypted to them
+   */
+  dkgRound2() {
+    const state = readJson(this.stateFile('dkg-state.json'));
+    const outgoing = FROST.DKG.round2(state.secret, this.readOthersRound1(state.signers));
+
+    for (let p = 1; p <= state.signers.max; p += 1) {
+      if (p === this.participant) {
+        continue;
+      }
+      const key = shareKey(state.encryptionKey, this.peerEncryptionKey(p), this.participant, p);
+      writeJson(this.dkgFile(`round2-${this.participant}-to-${p}.json`), {
+        from: this.participant,
+        to: p,
+        encrypted: sealShare(outgoing[identifierFor(p)], key, this.participant, p)
+      });
+    }
+    writeJson(this.stateFile('dkg-state.json'), state, { secret: true });
+    return { participant: this.participant, sent: state.signers.max - 1 };
+  }
+
+  /**
+   * Key generation round 3: combine received shares into this participant's key share
+   */
+  dkgRound3() {
+    const state = readJson(this.stateFile('dkg-state.json'));
+    const incoming = [];
+    for (let p = 1; p <= state.signers.max; p += 1) {
+      if (p !== this.participant) {
+        const key = shareKey(state.encryptionKey, this.peerEncryptionKey(p), p, this.participant);
+        const { encrypted } = readJson(this.dkgFile(`round2-${p}-to-${this.participant}.json`));
+        incoming.push(openShare(encrypted, key, p, this.participant));
+      }
+    }
+
+    const key = FROST.DKG.round3(state.secret, this.readOthersRound1(state.signers), incoming);
+    const issuer = groupIssuer(key.public);
+
+    writeJson(this.stateFile('key-share.json'), { participant: this.participant, issuer, ...key }, { secret: true });
+    writeJson(this.dkgFile(`group-${this.participant}.json`), { participant: this.participant, issuer, public: key.public });
+    fs.rmSync(this.stateFile('dkg-state.json'), { force: true });
+    return { participant: this.participant, issuer };
+  }
+
+  loadKeyShare() {
+    return readJson(this.stateFile('key-share.json'));
+  }
+
+  /**
+   * Signing round 1: publish nonce commitments for a session
+   */
+  commit(sessionId) {
+    const keyShare = this.loadKeyShare();
+    const request = readJson(this.sessionFile(sessionId, 'request.json'));
+    if (request.issuer !== keyShare.issuer) {
+      throw new Error(`Session ${sessionId} is for issuer ${request.issuer}, not this group`);
+    }
+
+    const { nonces, commitments } = FROST.commit(keyShare.secret);
+    writeJson(this.stateFile(`nonces-${sessionId}.json`), nonces, { secret: true });
+    writeJson(this.sessionFile(sessionId, `commit-${this.participant}.json`), {
+      participant: this.participant,
+      commitments
+    });
+    return { participant: this.participant, sessionId };
+  }
+
+  /**
+   * Signing round 2: sign the bundle sighash with this participant's share
+   * The sighash is recomputed from the bundle in the request, never taken on trust.
+   */
+  signShare(sessionId) {
+    const keyShare = this.loadKeyShare();
+    const request = readJson(this.sessionFile(sessionId, 'request.json'));
+    const signingPackage = readJson(this.sessionFile(sessionId, 'package.json'));
+    if (!signingPackage.signers.includes(this.participant)) {
+      throw new Error(`Participant ${this.participant} is not a signer in session ${sessionId}`);
+    }
+
+    const bundle = request.transaction.issuanceBundle;
+    if (bundle.issuer !== keyShare.issuer) {
+      throw new Error(`Session ${sessionId} bundle is for issuer ${bundle.issuer}, not this group`);
+    }
+    const sighash = computeBundleSighash({ ...bundle, signature: null });
+    if (sighash.toString('hex') !== signingPackage.sighash) {
+      throw new Error(`Signing package sighash does not match the bundle in session ${sessionId}`);
+    }
+
+    const noncesFile = this.stateFile(`nonces-${sessionId}.json`);
+    const nonces = readJson(noncesFile);
+    const share = FROST.signShare(keyShare.secret, keyShare.public, nonces, signingPackage.commitments, sighash);
+    // Nonces are single use
+    fs.rmSync(noncesFile, { force: true });
+
+    writeJson(this.sessionFile(sessionId, `share-${this.participant}.json`), {
+      participant: this.participant,
+      share
+    });
+    return { participant: this.participant, sessionId };
+  }
+}
+
+export class FrostCoordinator {
+  constructor({ exchangeDir }) {
+    this.exchangeDir = exchangeDir;
+  }
+
+  sessionDir(sessionId) {
+    return path.join(this.exchangeDir, 'signing', sessionId);
+  }
+
+  sessionFile(sessionId, name) {
+    return path.join(this.sessionDir(sessionId), name);
+  }
+
+  /**
+   * Load the group public package published after key generation
+   * All published copies must agree.
+   */
+  loadGroup() {
+    const dkgDir = path.join(this.exchangeDir, 'dkg');
+    const published = listParticipantFiles(dkgDir, 'group-').map(p => readJson(path.join(dkgDir, `group-${p}.json`)));
+    if (published.length === 0) {
+      throw new Error('No FROST group has been published; finish key generation first');
+    }
+
+    const [first] = published;
+    const expected = groupFingerprint(first.public);
+    published.forEach(group => {
+      if (groupFingerprint(group.public) !== expected) {
+        throw new Error(`Participant ${group.participant} disagrees on the group public key`);
+      }
+    });
+    return { issuer: first.issuer, public: first.public, signers: first.public.signers };
+  }
+
+  /**
+   * Open a signing session for an unsigned issuance transaction
+   */
+  startSession(transaction) {
+    const group = this.loadGroup();
+    const bundle = transaction.issuanceBundle;
+    if (!bundle || bundle.issuer !== group.issuer) {
+      throw new Error(`Transaction bundle must be built for the group issuer ${group.issuer}`);
+    }
+
+    const sessionId = crypto.randomBytes(8).toString('hex');
+    const sighash = computeBundleSighash({ ...bundle, signature: null }).toString('hex');
+    writeJson(this.sessionFile(sessionId, 'request.json'), {
+      sessionId,
+      issuer: group.issuer,
+      sighash,
+      transaction: { ...transaction, issuanceBundle: { ...bundle, signature: null } },
+      createdAt: new Date().toISOString()
+    });
+    return { sessionId, sighash };
+  }
+
+  /**
+   * Collect commitments and choose the signers for a session
+   * Uses the given participants, or the first threshold participants that committed.
+   */
+  createSigningPackage(sessionId, signers = null) {
+    const group = this.loadGroup();
+    const request = readJson(this.sessionFile(sessionId, 'request.json'));
+    const committed = listParticipantFiles(this.sessionDir(sessionId), 'commit-');
+    const chosen = signers || committed.slice(0, group.signers.min);
+
+    if (chosen.length < group.signers.min) {
+      throw new Error(`Need ${group.signers.min} commitments, have ${chosen.length}`);
+    }
+    const missing = chosen.filter(p => !committed.includes(p));
+    if (missing.length > 0) {
+      throw new Error(`No commitments from participant(s) ${missing.join(', ')}`);
+    }
+
+    const commitments = chosen.map(p => readJson(this.sessionFile(sessionId, `commit-${p}.json`)).commitments);
+    writeJson(this.sessionFile(sessionId, 'package.json'), {
+      sessionId,
+      sighash: request.sighash,
+      signers: chosen,
+      commitments
+    });
+    return { sessionId, signers: chosen };
+  }
+
+  /**
+   * Verify each signature share and aggregate them into the bundle's issueAuthSig
+   */
+  aggregate(sessionId) {
+    const group = this.loadGroup();
+    const request = readJson(this.sessionFile(sessionId, 'request.json'));
+    const signingPackage = readJson(this.sessionFile(sessionId, 'package.json'));
+    const sighash = Buffer.from(signingPackage.sighash, 'hex');
+
+    const shares = {};
+    signingPackage.signers.forEach(p => {
+      const { share } = readJson(this.sessionFile(sessionId, `share-${p}.json`));
+      const identifier = identifierFor(p);
+      if (!FROST.verifyShare(group.public, signingPackage.commitments, sighash, identifier, share)) {
+        throw new Error(`Invalid signature share from participant ${p}`);
+      }
+      shares[identifier] = share;
+    });
+
+    const signature = FROST.aggregate(group.public, signingPackage.commitments, sighash, shares);
+    const transaction = {
+      ...request.transaction,
+      issuanceBundle: { ...request.transaction.issuanceBundle, signature: Buffer.from(signature).toString('hex') }
+    };
+    if (!verifyIssuanceBundle(transaction.issuanceBundle, { firstIssuance: firstIssuanceAssetIds(transaction) })) {
+      throw new Error('Aggregated signature does not verify under the group issuer');
+    }
+
+    writeJson(this.sessionFile(sessionId, 'signed-transaction.json'), transaction);
+    return transaction;
+  }
+}
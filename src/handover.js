@@ -0,0 +1,109 @@
+/**
+ * Issuer Handover Records
+ * A handover statement moves issuance from an old issuer to a new one and is
+ * signed by both issuance keys, so anyone holding the record can verify it offline.
+ */
+
+import { blake2b256, decodeIssuer, schnorrSign, schnorrVerify } from './crypto.js';
+
+export const HANDOVER_TYPE = 'zsa-issuer-handover';
+export const HANDOVER_VERSION = 1;
+
+// What happened to an asset that was still issuable under the old issuer; a finalization is
+// only built at handover and reaches the chain when the token is next deployed
+export const HANDOVER_ASSET_ACTIONS = ['finalization_queued', 'frozen', 'left_open'];
+
+/**
+ * Serialize a value as JSON with object keys sorted, so the digest is stable
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Compute the handover digest that both keys sign
+ * BLAKE2b-256("ZSA-IssuerHndovr", canonical JSON of the statement)
+ */
+export function computeHandoverDigest(statement) {
+  return blake2b256(Buffer.from(canonicalJson(statement), 'utf8'), 'ZSA-IssuerHndovr');
+}
+
+/**
+ * Build an unsigned handover statement
+ */
+export function createHandoverStatement({ network, oldAccount, newAccount, assets = [], reason = '' }) {
+  if (oldAccount.issuer === newAccount.issuer) {
+    throw new Error('Handover requires two different issuers');
+  }
+  assets.forEach(asset => {
+    if (!HANDOVER_ASSET_ACTIONS.includes(asset.action)) {
+      throw new Error(`Unknown handover action for ${asset.assetId}: ${asset.action}`);
+    }
+  });
+
+  return {
+    type: HANDOVER_TYPE,
+    version: HANDOVER_VERSION,
+    network,
+    oldIssuer: oldAccount.issuer,
+    newIssuer: newAccount.issuer,
+    oldAccount: { index: oldAccount.index, name: oldAccount.name },
+    newAccount: { index: newAccount.index, name: newAccount.name },
+    assets,
+    reason,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Sign a statement with the old and new issuance keys (BIP 340)
+ */
+export function signHandoverStatement(statement, oldISK, newISK) {
+  const digest = computeHandoverDigest(statement);
+  return {
+    statement,
+    digest: digest.toString('hex'),
+    signatures: {
+      oldIssuer: schnorrSign(digest, oldISK).toString('hex'),
+      newIssuer: schnorrSign(digest, newISK).toString('hex')
+    }
+  };
+}
+
+/**
+ * Verify both signatures on a handover record against the issuers it names
+ */
+export function verifyHandover(record) {
+  if (!record || !record.statement || !record.signatures) {
+    return false;
+  }
+
+  const { statement, signatures } = record;
+  if (statement.type !== HANDOVER_TYPE || statement.oldIssuer === statement.newIssuer) {
+    return false;
+  }
+
+  const digest = computeHandoverDigest(statement);
+  if (record.digest && record.digest !== digest.toString('hex')) {
+    return false;
+  }
+
+  try {
+    return (
+      schnorrVerify(Buffer.from(signatures.oldIssuer, 'hex'), digest, decodeIssuer(statement.oldIssuer)) &&
+      schnorrVerify(Buffer.from(signatures.newIssuer, 'hex'), digest, decodeIssuer(statement.newIssuer))
+    );
+  } catch (error) {
+    return false;
+  }
+}
@@ -3,41 +3,171 @@
  * Implements issuance transaction construction according to ZIP 227
  */
 
-import crypto from 'crypto';
-import { computeAssetDescHash, computeAssetId, createAssetDescription } from './crypto.js';
+import {
+  computeAssetDescHash,
+  computeAssetId,
+  createAssetDescription,
+  decodeIssuer,
+  schnorrSign,
+  schnorrVerify
+} from './crypto.js';
 import { IssuanceKeys } from './keys.js';
+import { computeIssuanceDigest, encodeRecipient } from './bundle-encoding.js';
+import { encodeTransaction, computeTxId } from './transaction.js';
+import { assignNoteRandomness, mockIssuanceNullifier } from './note-commitment.js';
+
+// ZIP 227: the first issuance of an asset carries a zero-value reference note to the
+// default address of the issuance reference keys, so the asset base can be checked.
+// These are placeholder raw address bytes until this tool derives Orchard addresses;
+// the tx-tool supplies the real reference address on-chain.
+export const REFERENCE_NOTE_RECIPIENT = '00'.repeat(43);
+
+/**
+ * Build the reference note for an asset
+ */
+export function createReferenceNote(assetId) {
+  return {
+    recipientAddress: REFERENCE_NOTE_RECIPIENT,
+    value: '0',
+    assetId,
+    index: 0,
+    reference: true
+  };
+}
+
+/**
+ * Check whether a note is a reference note (zero value to the reference recipient)
+ */
+export function isReferenceNote(note) {
+  // Malformed values are simply not a reference note
+  if (!note || typeof note !== 'object' || !/^0+$/.test(String(note.value ?? ''))) {
+    return false;
+  }
+  try {
+    return encodeRecipient(note.recipientAddress).equals(Buffer.from(REFERENCE_NOTE_RECIPIENT, 'hex'));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Asset IDs a transaction built by IssuanceTransaction issues for the first time
+ */
+export function firstIssuanceAssetIds(tx) {
+  if (Array.isArray(tx?.assets)) {
+    return tx.assets.filter(asset => asset && asset.firstIssuance).map(asset => asset.assetId);
+  }
+  return tx?.firstIssuance ? [tx.assetId] : [];
+}
+
+/**
+ * Asset IDs whose first issuance in the bundle does not start with a reference note
+ * firstIssuance: asset IDs (array or Set) or a predicate over asset IDs
+ */
+export function findMissingReferenceNotes(bundle, firstIssuance) {
+  const isFirst = typeof firstIssuance === 'function'
+    ? firstIssuance
+    : assetId => new Set(firstIssuance || []).has(assetId);
+  return (bundle?.actions || [])
+    .filter(action => action && isFirst(action.assetId) && !isReferenceNote(action.notes?.[0]))
+    .map(action => action.assetId);
+}
+
+/**
+ * Throw when a first issuance in the bundle lacks its reference note
+ */
+export function assertReferenceNotes(bundle, firstIssuance) {
+  const missing = findMissingReferenceNotes(bundle, firstIssuance);
+  if (missing.length > 0) {
+    throw new Error(`First issuance of asset ${missing[0]} lacks the ZIP 227 reference note`);
+  }
+}
+
+/**
+ * Compute the digest that issueAuthSig commits to
+ * ZIP 246: issuance_digest over the canonical bundle bytes (signature excluded)
+ */
+export function computeBundleSighash(bundle) {
+  return computeIssuanceDigest(bundle);
+}
+
+/**
+ * Verify issueAuthSig of an issuance bundle
+ * Only public data is needed: the signature is checked against ik taken from bundle.issuer.
+ * With firstIssuance (asset IDs or a predicate), those assets must also carry a reference note.
+ */
+export function verifyIssuanceBundle(bundle, { firstIssuance = null } = {}) {
+  if (!bundle || typeof bundle.signature !== 'string') {
+    return false;
+  }
+  if (firstIssuance && findMissingReferenceNotes(bundle, firstIssuance).length > 0) {
+    return false;
+  }
+
+  const signature = Buffer.from(bundle.signature, 'hex');
+  if (signature.length !== 64) {
+    return false;
+  }
+
+  let ik;
+  try {
+    ik = decodeIssuer(bundle.issuer);
+  } catch (error) {
+    return false;
+  }
+
+  return schnorrVerify(signature, computeBundleSighash(bundle), ik);
+}
 
 export class IssuanceTransaction {
-  constructor(keys = null) {
+  constructor(keys = null, { account = null, issuer = null } = {}) {
     this.keys = keys || new IssuanceKeys();
+    this.account = account; // issuer account index or name; null uses the active account
+    this.externalIssuer = issuer; // issuer whose key is held elsewhere (e.g. a FROST group)
+  }
+
+  /**
+   * Issuer the bundles are built for
+   */
+  getIssuer() {
+    return this.externalIssuer || this.keys.getIssuer(this.account);
   }
 
   /**
    * Create asset description from token data
    */
   createAssetDesc(tokenData) {
-    const { name, symbol, description = '' } = tokenData;
-    return createAssetDescription(name, symbol, description);
+    // A stored description is reused as is, so later issuances keep the first one's asset ID
+    if (tokenData.assetDesc) {
+      return tokenData.assetDesc;
+    }
+    const { name, symbol, description = '', decimals = 0 } = tokenData;
+    return createAssetDescription(name, symbol, description, decimals);
   }
 
   /**
    * Build issuance action
    * ZIP 227: IssueAction contains asset_desc_hash, notes, and finalize flag
+   * On the first issuance of an asset the reference note is added as the first note.
    */
-  buildIssueAction(assetDesc, recipients, finalize = false) {
+  buildIssueAction(assetDesc, recipients, finalize = false, { firstIssuance = false } = {}) {
     const assetDescHash = computeAssetDescHash(assetDesc);
-    const issuer = this.keys.getIssuer();
+    const issuer = this.getIssuer();
     const { assetId } = computeAssetId(issuer, assetDesc);
 
     // Create issue notes for each recipient
+    const offset = firstIssuance ? 1 : 0;
     const notes = recipients.map((recipient, index) => {
       return {
         recipientAddress: recipient.address,
         value: recipient.amount,
         assetId: assetId,
-        index: index
+        index: index + offset
       };
     });
+    if (firstIssuance) {
+      notes.unshift(createReferenceNote(assetId));
+    }
 
     return {
       assetDescHash: assetDescHash.toString('hex'),
@@ -51,13 +181,30 @@ export class IssuanceTransaction {
   /**
    * Build issuance bundle
    * ZIP 227: IssuanceBundle contains issuer, actions, and signature
+   * Accepts one IssueAction or several for different asset descriptions.
+   * Notes get rho and rseed derived from nullifier (the transaction's first Orchard nullifier),
+   * or from a stand-in hashed from the bundle when the transaction has no Orchard actions.
    */
-  buildIssuanceBundle(issueAction) {
-    const issuer = this.keys.getIssuer();
-    
+  buildIssuanceBundle(issueActions, { nullifier = null } = {}) {
+    const issuer = this.getIssuer();
+    const actions = Array.isArray(issueActions) ? issueActions : [issueActions];
+    if (actions.length === 0) {
+      throw new Error('Issuance bundle needs at least one issue action');
+    }
+
+    // ZIP 227: an asset may appear in at most one action of a bundle
+    const seen = new Set();
+    actions.forEach(action => {
+      if (seen.has(action.assetDescHash)) {
+        throw new Error(`Duplicate issue action for asset ${action.assetId}`);
+      }
+      seen.add(action.assetDescHash);
+    });
+    assignNoteRandomness(actions, nullifier || mockIssuanceNullifier(issuer, actions));
+
     return {
       issuer: issuer,
-      actions: [issueAction],
+      actions,
       signature: null // Will be signed later
     };
   }
@@ -67,41 +214,63 @@ export class IssuanceTransaction {
    * ZIP 227: Sign with isk using BIP 340 Schnorr signature
    */
   signIssuanceBundle(bundle) {
-    // Simplified signature - in production use proper Schnorr signature
-    const isk = this.keys.getISK();
-    const bundleData = JSON.stringify(bundle);
-    const hash = crypto.createHash('sha256');
-    hash.update(bundleData);
-    hash.update('ZcashSA_Issue_V1_Sig');
-    const sighash = hash.digest();
-    
-    // Simplified signature (in production, use proper Schnorr)
-    const hmac = crypto.createHmac('sha256', isk);
-    hmac.update(sighash);
-    
-    bundle.signature = hmac.digest().toString('hex');
+    if (this.externalIssuer) {
+      throw new Error('Issuer key is not held locally; collect the signature externally and use applySignature');
+    }
+    const { normalizedISK } = this.keys.deriveValidatingKey(this.keys.getISK(this.account));
+    const sighash = computeBundleSighash(bundle);
+
+    bundle.signature = schnorrSign(sighash, normalizedISK).toString('hex');
     return bundle;
   }
 
+  /**
+   * Verify issuance bundle signature against its issuer
+   */
+  verifyIssuanceBundle(bundle) {
+    return verifyIssuanceBundle(bundle);
+  }
+
+  /**
+   * Attach an externally produced issueAuthSig and check it against the bundle issuer
+   */
+  applySignature(tx, signature) {
+    const signatureHex = signature instanceof Uint8Array ? Buffer.from(signature).toString('hex') : signature;
+    const bundle = { ...tx.issuanceBundle, signature: signatureHex };
+    if (!verifyIssuanceBundle(bundle)) {
+      throw new Error(`Signature does not verify under issuer ${bundle.issuer}`);
+    }
+    return { ...tx, issuanceBundle: bundle };
+  }
+
   /**
    * Build complete issuance transaction
    * ZIP 227: Transaction V6 with issuance bundle
+   * With sign = false (or an external issuer) the bundle is returned unsigned.
+   * Set firstIssuance when the asset has never been issued, to add the reference note.
+   * nullifier is the first Orchard nullifier of the transaction, when known.
    */
-  buildIssuanceTransaction(tokenData, recipients, finalize = false) {
+  buildIssuanceTransaction(
+    tokenData,
+    recipients,
+    finalize = false,
+    { sign = !this.externalIssuer, firstIssuance = false, nullifier = null } = {}
+  ) {
     // 1. Create asset description
     const assetDesc = this.createAssetDesc(tokenData);
     
     // 2. Build issue action
-    const issueAction = this.buildIssueAction(assetDesc, recipients, finalize);
+    const issueAction = this.buildIssueAction(assetDesc, recipients, finalize, { firstIssuance });
     
-    // 3. Build issuance bundle
-    const bundle = this.buildIssuanceBundle(issueAction);
+    // 3. Build issuance bundle (note rho/rseed come from the first nullifier)
+    const firstNullifier = nullifier || mockIssuanceNullifier(this.getIssuer(), [issueAction]);
+    const bundle = this.buildIssuanceBundle(issueAction, { nullifier: firstNullifier });
     
     // 4. Sign bundle
-    const signedBundle = this.signIssuanceBundle(bundle);
+    const signedBundle = sign ? this.signIssuanceBundle(bundle) : bundle;
     
     // 5. Get asset ID
-    const issuer = this.keys.getIssuer();
+    const issuer = this.getIssuer();
     const { assetId } = computeAssetId(issuer, assetDesc);
     
     return {
@@ -109,18 +278,48 @@ export class IssuanceTransaction {
       issuanceBundle: signedBundle,
       assetId: assetId,
       assetDesc: assetDesc,
-      finalize: finalize
+      finalize: finalize,
+      firstIssuance,
+      firstNullifier
+    };
+  }
+
+  /**
+   * Build one issuance transaction that issues several assets
+   * assets: [{ tokenData | assetDesc, recipients, finalize, firstIssuance }], all under this issuer
+   */
+  buildMultiAssetIssuanceTransaction(assets, { sign = !this.externalIssuer, nullifier = null } = {}) {
+    const actions = assets.map(({ tokenData, assetDesc, recipients, finalize = false, firstIssuance = false }) =>
+      this.buildIssueAction(assetDesc || this.createAssetDesc(tokenData), recipients, finalize, { firstIssuance })
+    );
+    const firstNullifier = nullifier || mockIssuanceNullifier(this.getIssuer(), actions);
+    const bundle = this.buildIssuanceBundle(actions, { nullifier: firstNullifier });
+    const signedBundle = sign ? this.signIssuanceBundle(bundle) : bundle;
+
+    return {
+      version: 6,
+      issuanceBundle: signedBundle,
+      assetIds: actions.map(action => action.assetId),
+      assets: actions.map(({ assetId, assetDesc, finalize }, index) => ({
+        assetId,
+        assetDesc,
+        finalize,
+        firstIssuance: Boolean(assets[index].firstIssuance)
+      })),
+      firstNullifier
     };
   }
 
   /**
    * Prepare transaction for submission
+   * Serializes the V6 transaction so it can be handed to sendrawtransaction
    */
   prepareTransaction(tx) {
-    // In production, this would build the actual transaction bytes
-    // For now, return the structured data
+    const rawTransaction = encodeTransaction(tx).toString('hex');
     return {
       txData: tx,
+      rawTransaction,
+      txid: computeTxId(tx),
       ready: true,
       note: 'Transaction prepared according to ZIP 227. Ready for submission when ZSAs are available.'
     };
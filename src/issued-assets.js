@@ -0,0 +1,191 @@
+/**
+ * Local issued_assets State
+ * Mirrors the consensus map from AssetBase to { balance, is_finalized, reference_note }
+ * (ZIP 227 issuance, ZIP 226 burns) so the rules a node would apply are enforced locally
+ * and survive across sessions, independent of the flags kept on token records.
+ */
+
+import { computeAssetBase, computeAssetDigest } from './crypto.js';
+import { MAX_ISSUE } from './amount.js';
+import { isReferenceNote } from './issuance.js';
+import { assertSameNetwork, resolveNetwork } from './network.js';
+import { readStoreFile, writeStoreFile } from './storage.js';
+
+export const ISSUED_ASSETS_FILE_TYPE = 'zsa-issued-assets';
+export const ISSUED_ASSETS_VERSION = 1;
+
+/**
+ * A bundle or burn that a node would reject under the ZSA consensus rules
+ */
+export class ConsensusRuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConsensusRuleError';
+  }
+}
+
+/**
+ * AssetBase for an asset ID: GroupHash("z.cash:OrchardZSA", asset_digest), hex encoded
+ */
+export function assetBaseFor(assetId) {
+  return computeAssetBase(computeAssetDigest(assetId));
+}
+
+export class IssuedAssetsState {
+  constructor({ file, network = null }) {
+    this.file = file;
+    this.network = resolveNetwork(network);
+    this.assets = {};
+    this.bases = new Map();
+  }
+
+  /**
+   * Read the state file; a missing file is an empty map, an unreadable one is an error
+   */
+  load() {
+    const content = readStoreFile(this.file);
+    if (content === null) {
+      this.assets = {};
+      return this;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Issued assets state ${this.file} is unreadable: ${error.message}`);
+    }
+    if (data.type !== ISSUED_ASSETS_FILE_TYPE || data.version !== ISSUED_ASSETS_VERSION) {
+      throw new Error(`${this.file} is not a version ${ISSUED_ASSETS_VERSION} issued assets state`);
+    }
+    assertSameNetwork(data.network, this.network, 'Issued assets state');
+    this.assets = data.assets || {};
+    return this;
+  }
+
+  save() {
+    writeStoreFile(this.file, JSON.stringify({
+      type: ISSUED_ASSETS_FILE_TYPE,
+      version: ISSUED_ASSETS_VERSION,
+      network: this.network.label,
+      assets: this.assets
+    }, null, 2));
+  }
+
+  assetBase(assetId) {
+    if (!this.bases.has(assetId)) {
+      this.bases.set(assetId, assetBaseFor(assetId));
+    }
+    return this.bases.get(assetId);
+  }
+
+  /**
+   * Record for an asset, or null when it was never issued
+   */
+  get(assetId) {
+    return this.assets[this.assetBase(assetId)] || null;
+  }
+
+  /**
+   * Add a record for an asset issued before this state existed (no reference note known)
+   */
+  seed(assetId, { balance = '0', isFinalized = false } = {}) {
+    const base = this.assetBase(assetId);
+    if (!this.assets[base]) {
+      this.assets[base] = {
+        assetId,
+        balance: BigInt(balance).toString(),
+        is_finalized: Boolean(isFinalized),
+        reference_note: null,
+        seeded: true
+      };
+    }
+    return this.assets[base];
+  }
+
+  /**
+   * Check an issuance bundle against the state and return the records it would produce
+   * - no issuance of a finalized asset
+   * - the first issuance of an asset carries the reference note
+   * - the balance stays within MAX_ISSUE
+   */
+  checkIssuanceBundle(bundle) {
+    if (!bundle || !Array.isArray(bundle.actions)) {
+      throw new ConsensusRuleError('Issuance bundle has no actions');
+    }
+
+    const updates = {};
+    bundle.actions.forEach(action => {
+      const base = this.assetBase(action.assetId);
+      const current = updates[base] || this.assets[base];
+      if (current && current.is_finalized) {
+        throw new ConsensusRuleError(`Asset ${action.assetId} is finalized; no further issuance is allowed`);
+      }
+      const notes = action.notes || [];
+      if (!current && !isReferenceNote(notes[0])) {
+        throw new ConsensusRuleError(`First issuance of asset ${action.assetId} lacks the ZIP 227 reference note`);
+      }
+
+      const balance = notes.reduce((sum, note) => {
+        const value = BigInt(note.value);
+        if (value < 0n) {
+          throw new ConsensusRuleError(`Asset ${action.assetId} has a negative note value`);
+        }
+        return sum + value;
+      }, current ? BigInt(current.balance) : 0n);
+      if (balance > MAX_ISSUE) {
+        throw new ConsensusRuleError(`Issuing asset ${action.assetId} would take its balance past MAX_ISSUE (${MAX_ISSUE})`);
+      }
+
+      updates[base] = {
+        ...(current || {}),
+        assetId: action.assetId,
+        balance: balance.toString(),
+        is_finalized: Boolean(action.finalize),
+        reference_note: current ? current.reference_note : notes[0]
+      };
+    });
+    return updates;
+  }
+
+  /**
+   * Apply an issuance bundle; nothing changes if any action breaks a rule
+   */
+  applyIssuanceBundle(bundle) {
+    Object.assign(this.assets, this.checkIssuanceBundle(bundle));
+    return this;
+  }
+
+  /**
+   * Check burns ([{ assetId, amount }]) and return the records they would produce
+   * ZIP 226: the asset must have been issued and the amount must be positive and within its balance.
+   */
+  checkBurn(burns) {
+    const updates = {};
+    burns.forEach(({ assetId, amount }) => {
+      const base = this.assetBase(assetId);
+      const current = updates[base] || this.assets[base];
+      if (!current) {
+        throw new ConsensusRuleError(`Cannot burn asset ${assetId}: it was never issued`);
+      }
+      const value = BigInt(amount);
+      if (value <= 0n) {
+        throw new ConsensusRuleError('Burn amount must be greater than zero');
+      }
+      const balance = BigInt(current.balance);
+      if (value > balance) {
+        throw new ConsensusRuleError(`Burn of ${value} exceeds the ${balance} issued supply of asset ${assetId}`);
+      }
+      updates[base] = { ...current, balance: (balance - value).toString() };
+    });
+    return updates;
+  }
+
+  /**
+   * Apply burns; nothing changes if any of them breaks a rule
+   */
+  applyBurn(burns) {
+    Object.assign(this.assets, this.checkBurn(burns));
+    return this;
+  }
+}
@@ -8,14 +8,39 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import secp256k1 from 'secp256k1';
+import { generateMnemonic, mnemonicToSeedSync, validateMnemonic } from '@scure/bip39';
+import { wordlist } from '@scure/bip39/wordlists/english.js';
+import { decodeIssuer } from './crypto.js';
+import { combineShares, decodeShare, encodeShare, splitSecret } from './shamir.js';
+import { LEGACY_COIN_TYPE, assertSameNetwork, resolveNetwork } from './network.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Fields that never leave the keystore in plaintext
+const SECRET_FIELDS = ['seed', 'masterKey', 'chainCode', 'isk'];
+const KEYSTORE_KDF_PARAMS = { n: 32768, r: 8, p: 1, dklen: 32 };
+
+export const WATCH_ONLY_PROFILE_TYPE = 'zsa-watch-only';
+export const SEED_SHARE_FILE_TYPE = 'zsa-seed-share';
+
+/**
+ * Raised when an operation needs the isk but only a watch-only profile is loaded
+ */
+export class WatchOnlyError extends Error {
+  constructor(action = 'sign issuance') {
+    super(`Cannot ${action}: this is a watch-only profile that holds only ik/issuer and no issuance keys`);
+    this.name = 'WatchOnlyError';
+  }
+}
+
 export class IssuanceKeys {
-  constructor() {
+  constructor({ network = null } = {}) {
+    this.network = resolveNetwork(network);
     this.keysDir = path.join(__dirname, '..', 'keys');
     this.keysFile = path.join(this.keysDir, 'issuance-keys.json');
+    this.keystorePassphrase = process.env.ZSA_KEYSTORE_PASSPHRASE || null;
+    this.unlockedKeys = null;
     this.ensureKeysDir();
   }
 
@@ -57,15 +82,14 @@ export class IssuanceKeys {
    * Derive issuance key from master key
    * Path: m_Issuance/purpose'/coin_type'/account'
    * purpose = 227 (0xe3)
-   * coin_type = 133 for testnet (from ZIP 32)
-   * account = 0
+   * coin_type = 133 for mainnet, 1 for testnet and regtest (ZIP 32)
    * Example: m/227'/133'/0'
    */
-  deriveIssuanceKey(masterKey, chainCode, account = 0) {
+  deriveIssuanceKey(masterKey, chainCode, account = 0, coinType = LEGACY_COIN_TYPE) {
     const hardened = (index) => (index | 0x80000000) >>> 0;
     const path = [
       hardened(227), // purpose
-      hardened(133), // zcash testnet coin type per ZIP-32 draft
+      hardened(coinType),
       hardened(account)
     ];
 
@@ -139,6 +163,8 @@ export class IssuanceKeys {
 
   /**
    * Generate or load issuance keys
+   * Encrypted keystores return public fields only until unlocked. Plaintext files are
+   * upgraded and, when a keystore passphrase is known, migrated to the encrypted format.
    */
   generateOrLoadKeys() {
     // Ensure directory exists
@@ -148,9 +174,16 @@ export class IssuanceKeys {
     if (fs.existsSync(this.keysFile)) {
       try {
         const keysData = JSON.parse(fs.readFileSync(this.keysFile, 'utf8'));
-        if (keysData.issuer && keysData.issuer.length === 66) {
+        assertSameNetwork(keysData.network, this.network, 'Issuance key file');
+        if (keysData.watchOnly) {
           return keysData;
         }
+        if (this.isEncrypted(keysData)) {
+          return this.loadEncryptedKeys(keysData);
+        }
+        if (keysData.issuer && keysData.issuer.length === 66) {
+          return this.migrateToKeystore(keysData);
+        }
         loadedKeys = keysData;
       } catch (error) {
         if (error.code !== 'ENOENT' && error.code !== 'EPERM') {
@@ -162,19 +195,59 @@ export class IssuanceKeys {
       if (loadedKeys) {
         const upgraded = this.upgradeLegacyKeys(loadedKeys);
         fs.writeFileSync(this.keysFile, JSON.stringify(upgraded, null, 2));
-        return upgraded;
+        return this.migrateToKeystore(upgraded);
       }
     }
 
-    // Generate new keys
-    const seed = this.generateSeed(32);
+    // Generate new keys from a fresh mnemonic; the mnemonic is returned once and never stored
+    const { keysData, mnemonic } = this.createKeys({ overwrite: true });
+    return { ...keysData, mnemonic };
+  }
+
+  /**
+   * Check whether an issuance key file exists
+   */
+  hasKeys() {
+    return fs.existsSync(this.keysFile);
+  }
+
+  /**
+   * Generate a BIP-39 mnemonic (24 words by default)
+   */
+  generateMnemonic(strength = 256) {
+    return generateMnemonic(wordlist, strength);
+  }
+
+  /**
+   * Normalize and validate a BIP-39 mnemonic
+   */
+  normalizeMnemonic(mnemonic) {
+    const normalized = (mnemonic || '').trim().toLowerCase().split(/\s+/).join(' ');
+    if (!validateMnemonic(normalized, wordlist)) {
+      throw new Error('Invalid BIP-39 mnemonic');
+    }
+    return normalized;
+  }
+
+  /**
+   * Derive the 64-byte BIP-39 seed from a mnemonic and optional passphrase
+   */
+  mnemonicToSeed(mnemonic, passphrase = '') {
+    return Buffer.from(mnemonicToSeedSync(this.normalizeMnemonic(mnemonic), passphrase));
+  }
+
+  /**
+   * Derive the full key record from a seed, using the active network's coin type
+   */
+  deriveKeysFromSeed(seed, extra = {}, coinType = this.network.coinType) {
+    const { name: network } = this.network;
     const { masterKey, chainCode } = this.generateMasterKey(seed);
-    let { isk, chainCode: derivedChainCode } = this.deriveIssuanceKey(masterKey, chainCode, 0);
+    let { isk } = this.deriveIssuanceKey(masterKey, chainCode, 0, coinType);
     const { ik, normalizedISK } = this.deriveValidatingKey(isk);
     isk = normalizedISK;
     const issuer = this.encodeIssuer(ik);
 
-    const keysData = {
+    return {
       seed: seed.toString('hex'),
       masterKey: masterKey.toString('hex'),
       chainCode: chainCode.toString('hex'),
@@ -182,25 +255,477 @@ export class IssuanceKeys {
       ik: ik.toString('hex'),
       issuerEncoding: issuer,
       issuer: issuer,
+      network,
+      coinType,
+      ...extra,
       createdAt: new Date().toISOString()
     };
+  }
+
+  /**
+   * Create and save new keys from a BIP-39 mnemonic
+   * Returns the mnemonic so the caller can show it to the user once.
+   */
+  createKeys({ passphrase = '', mnemonic = null, overwrite = false, keystorePassphrase = null } = {}) {
+    if (keystorePassphrase) {
+      this.keystorePassphrase = keystorePassphrase;
+    }
+    if (!overwrite && this.hasKeys()) {
+      throw new Error(`Issuance keys already exist at ${this.keysFile}`);
+    }
+
+    const phrase = mnemonic ? this.normalizeMnemonic(mnemonic) : this.generateMnemonic();
+    const seed = this.mnemonicToSeed(phrase, passphrase);
+    const keysData = this.deriveKeysFromSeed(seed, {
+      seedSource: 'bip39',
+      hasPassphrase: passphrase.length > 0
+    });
+
+    this.saveKeys(keysData);
+    return { keysData, mnemonic: phrase };
+  }
+
+  /**
+   * Restore keys from a BIP-39 mnemonic (and passphrase) on another machine
+   * Refuses to replace existing keys for a different issuer unless overwrite is set.
+   * expectedIssuers: issuers of stored tokens; with the existing key file's issuer they pick the
+   * coin type, so a phrase created before networks were configurable restores the same issuer.
+   */
+  restoreFromMnemonic(mnemonic, passphrase = '', { overwrite = false, keystorePassphrase = null, expectedIssuers = [] } = {}) {
+    const existing = this.hasKeys() ? JSON.parse(fs.readFileSync(this.keysFile, 'utf8')) : null;
+    const seed = this.mnemonicToSeed(mnemonic, passphrase);
+    const expected = [existing?.issuer, ...expectedIssuers].filter(Boolean);
+    const candidates = [...new Set([existing?.coinType ?? this.network.coinType, this.network.coinType, LEGACY_COIN_TYPE])]
+      .map(coinType => this.deriveKeysFromSeed(seed, {
+        seedSource: 'bip39',
+        hasPassphrase: passphrase.length > 0,
+        restoredAt: new Date().toISOString()
+      }, coinType));
+    const restored = candidates.find(candidate => expected.includes(candidate.issuer))
+      || candidates.find(candidate => candidate.coinType === this.network.coinType);
+
+    if (existing && !overwrite && existing.issuer !== restored.issuer) {
+      throw new Error(
+        `Existing keys belong to issuer ${existing.issuer}; restore would replace them with ${restored.issuer}`
+      );
+    }
+
+    this.keepExistingKeystore(existing, restored, keystorePassphrase);
+    this.saveKeys(restored);
+    return restored;
+  }
+
+  /**
+   * Split the seed into k-of-n Shamir shares (SLIP-39 style)
+   * Each share is a word list with its own checksum; store every share in a different place.
+   */
+  splitSeed({ threshold, shares }) {
+    const keysData = this.generateOrLoadKeys();
+    if (keysData.watchOnly) {
+      throw new WatchOnlyError('back up the seed');
+    }
+    if (keysData.locked) {
+      throw new Error('Issuance keys are locked. Unlock the keystore with its passphrase first.');
+    }
+    if (!keysData.seed) {
+      throw new Error('These issuance keys have no seed to split');
+    }
+
+    const split = splitSecret(Buffer.from(keysData.seed, 'hex'), threshold, shares);
+    return {
+      issuer: keysData.issuer,
+      network: this.network.name,
+      threshold,
+      count: shares,
+      identifier: split[0].identifier,
+      shares: split.map(share => ({ index: share.index + 1, words: encodeShare(share) }))
+    };
+  }
+
+  /**
+   * Write each share of a splitSeed backup to its own file (share-<i>-of-<n>.json)
+   */
+  writeSeedShares(backup, dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    return backup.shares.map(share => {
+      const filePath = path.join(dir, `share-${share.index}-of-${backup.count}.json`);
+      const record = {
+        type: SEED_SHARE_FILE_TYPE,
+        issuer: backup.issuer,
+        network: backup.network,
+        identifier: backup.identifier,
+        index: share.index,
+        threshold: backup.threshold,
+        count: backup.count,
+        words: share.words,
+        createdAt: new Date().toISOString()
+      };
+      fs.writeFileSync(filePath, JSON.stringify(record, null, 2), { mode: 0o600 });
+      return filePath;
+    });
+  }
+
+  /**
+   * Read a share file written by writeSeedShares
+   */
+  readSeedShare(filePath) {
+    const record = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (record.type !== SEED_SHARE_FILE_TYPE || !record.words) {
+      throw new Error(`Not a seed share file: ${filePath}`);
+    }
+    return record;
+  }
+
+  /**
+   * Rebuild the seed from Shamir shares and save it, after checking it gives the expected issuer
+   * The expected issuer defaults to the one in the current keys file (which may be watch-only).
+   */
+  recoverFromShares(shareWords, { expectedIssuer = null, keystorePassphrase = null } = {}) {
+    const existing = this.hasKeys() ? JSON.parse(fs.readFileSync(this.keysFile, 'utf8')) : null;
+    const expected = expectedIssuer || (existing && existing.issuer);
+    if (!expected) {
+      throw new Error('An expected issuer is required to check the recovered seed');
+    }
+    if (existing && existing.issuer !== expected) {
+      throw new Error(`Existing keys belong to issuer ${existing.issuer}; recovery expects ${expected}`);
+    }
+
+    const seed = combineShares(shareWords.map(words => decodeShare(words)));
+    // Key files written before networks were configurable used coin type 133
+    const candidates = [...new Set([existing?.coinType ?? this.network.coinType, this.network.coinType, LEGACY_COIN_TYPE])];
+    const restored = candidates
+      .map(coinType => this.deriveKeysFromSeed(seed, {
+        seedSource: existing?.seedSource || 'shamir',
+        restoredAt: new Date().toISOString()
+      }, coinType))
+      .find(candidate => candidate.issuer === expected);
+    if (!restored) {
+      const actual = this.deriveKeysFromSeed(seed).issuer;
+      throw new Error(`Recovered seed produces issuer ${actual}, expected ${expected}`);
+    }
+
+    this.keepExistingKeystore(existing, restored, keystorePassphrase);
+    this.saveKeys(restored);
+    return restored;
+  }
+
+  /**
+   * Carry the existing key file's accounts and encryption over to keys restored for the same issuer
+   * An encrypted keystore is never replaced by plaintext: the passphrase it was unlocked with is
+   * reused, or a new one must be given.
+   */
+  keepExistingKeystore(existing, restored, keystorePassphrase = null) {
+    if (keystorePassphrase) {
+      this.keystorePassphrase = keystorePassphrase;
+    }
+    if (this.isEncrypted(existing) && !this.keystorePassphrase) {
+      throw new Error('Existing keys are encrypted. A keystore passphrase is required to replace them.');
+    }
+    if (existing && existing.issuer === restored.issuer && Array.isArray(existing.accounts)) {
+      restored.accounts = existing.accounts;
+      restored.activeAccount = existing.activeAccount;
+    }
+  }
 
-    // Save keys (in production, encrypt this!)
+  /**
+   * Save key record to the keys file
+   * Secret fields are encrypted whenever a keystore passphrase is set.
+   */
+  saveKeys(keysData) {
+    const stored = this.keystorePassphrase
+      ? this.encryptKeysData(keysData, this.keystorePassphrase)
+      : keysData;
+
+    this.ensureKeysDir();
     fs.mkdirSync(path.dirname(this.keysFile), { recursive: true });
     try {
-      fs.writeFileSync(this.keysFile, JSON.stringify(keysData, null, 2));
+      fs.writeFileSync(this.keysFile, JSON.stringify(stored, null, 2));
     } catch (error) {
       if (error.code === 'ENOENT') {
         this.ensureKeysDir();
-        fs.writeFileSync(this.keysFile, JSON.stringify(keysData, null, 2));
+        fs.writeFileSync(this.keysFile, JSON.stringify(stored, null, 2));
       } else {
         throw error;
       }
     }
 
+    if (this.keystorePassphrase) {
+      this.unlockedKeys = keysData;
+    }
+  }
+
+  /**
+   * Check whether a key record is an encrypted keystore
+   */
+  isEncrypted(keysData) {
+    return Boolean(keysData && keysData.keystore);
+  }
+
+  /**
+   * Check whether the keys file on disk is encrypted
+   */
+  isKeystoreEncrypted() {
+    if (!this.hasKeys()) {
+      return false;
+    }
+    return this.isEncrypted(JSON.parse(fs.readFileSync(this.keysFile, 'utf8')));
+  }
+
+  /**
+   * Check whether secret key material is currently available
+   */
+  isUnlocked() {
+    if (this.isWatchOnly()) {
+      return false;
+    }
+    return this.unlockedKeys !== null || (this.hasKeys() && !this.isKeystoreEncrypted());
+  }
+
+  /**
+   * Check whether the keys file is a watch-only profile (ik/issuer only)
+   */
+  isWatchOnly() {
+    if (!this.hasKeys()) {
+      return false;
+    }
+    return Boolean(JSON.parse(fs.readFileSync(this.keysFile, 'utf8')).watchOnly);
+  }
+
+  /**
+   * Throw a WatchOnlyError when no issuance keys can exist on this machine
+   */
+  assertNotWatchOnly(action) {
+    if (this.isWatchOnly()) {
+      throw new WatchOnlyError(action);
+    }
+  }
+
+  /**
+   * Public fields of every account, for handing to a watch-only machine
+   */
+  exportWatchOnlyProfile() {
+    const keysData = this.generateOrLoadKeys();
+    return {
+      type: WATCH_ONLY_PROFILE_TYPE,
+      version: 1,
+      network: this.network.name,
+      accounts: this.listAccounts().map(({ index, name, ik, issuer }) => ({ index, name, ik, issuer })),
+      activeAccount: keysData.activeAccount ?? 0,
+      exportedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Parse an ik (32 bytes) or issuer (0x00 || ik) and check it is a valid x-only key
+   */
+  parseWatchedKey(value) {
+    const hex = String(value || '').trim().toLowerCase();
+    const ik = hex.length === 66 ? decodeIssuer(hex) : Buffer.from(hex, 'hex');
+    if (ik.length !== 32 || ik.toString('hex') !== hex.slice(-64)) {
+      throw new Error('Expected a 32-byte ik or a 33-byte issuer (0x00 || ik) in hex');
+    }
+    if (!secp256k1.publicKeyVerify(Buffer.concat([Buffer.from([0x02]), ik]))) {
+      throw new Error('ik is not a valid secp256k1 x-only public key');
+    }
+    return { ik: ik.toString('hex'), issuer: this.encodeIssuer(ik) };
+  }
+
+  /**
+   * Write a watch-only profile from an exported profile, an ik or an issuer
+   * The profile can list and verify assets but never holds a seed or isk.
+   */
+  importWatchOnly(source, { name = 'default', overwrite = false } = {}) {
+    if (!overwrite && this.hasKeys()) {
+      throw new Error(`Issuance keys already exist at ${this.keysFile}`);
+    }
+
+    let accounts;
+    let activeAccount = 0;
+    if (source && typeof source === 'object') {
+      if (source.type !== WATCH_ONLY_PROFILE_TYPE || !Array.isArray(source.accounts) || source.accounts.length === 0) {
+        throw new Error('Not a watch-only profile');
+      }
+      assertSameNetwork(source.network, this.network, 'Watch-only profile');
+      accounts = source.accounts.map(account => {
+        const { ik, issuer } = this.parseWatchedKey(account.ik);
+        if (account.issuer && account.issuer !== issuer) {
+          throw new Error(`Watch-only account ${account.name} has an issuer that does not match its ik`);
+        }
+        return { index: account.index, name: account.name, ik, issuer };
+      });
+      activeAccount = source.activeAccount ?? accounts[0].index;
+    } else {
+      accounts = [{ index: 0, name, ...this.parseWatchedKey(source) }];
+    }
+
+    const createdAt = new Date().toISOString();
+    const primary = accounts.find(a => a.index === activeAccount) || accounts[0];
+    const keysData = {
+      watchOnly: true,
+      ik: primary.ik,
+      issuer: primary.issuer,
+      network: this.network.name,
+      accounts: accounts.map(account => ({ ...account, createdAt })),
+      activeAccount: primary.index,
+      createdAt
+    };
+
+    this.lock();
+    this.ensureKeysDir();
+    fs.writeFileSync(this.keysFile, JSON.stringify(keysData, null, 2));
     return keysData;
   }
 
+  deriveKeystoreKey(passphrase, salt, params) {
+    return crypto.scryptSync(Buffer.from(passphrase, 'utf8'), salt, params.dklen, {
+      N: params.n,
+      r: params.r,
+      p: params.p,
+      maxmem: 256 * params.n * params.r
+    });
+  }
+
+  /**
+   * Encrypt secret fields with a passphrase-derived key
+   * KDF: scrypt; AEAD: AES-256-GCM with the issuer bound as associated data
+   */
+  encryptKeysData(keysData, passphrase) {
+    if (!passphrase) {
+      throw new Error('Keystore passphrase is required');
+    }
+
+    const secrets = {};
+    const publicData = {};
+    Object.entries(keysData).forEach(([field, value]) => {
+      if (SECRET_FIELDS.includes(field)) {
+        secrets[field] = value;
+      } else if (field !== 'keystore' && field !== 'mnemonic') {
+        publicData[field] = value;
+      }
+    });
+
+    const salt = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(12);
+    const key = this.deriveKeystoreKey(passphrase, salt, KEYSTORE_KDF_PARAMS);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(publicData.issuer || '', 'utf8'));
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+
+    return {
+      ...publicData,
+      keystore: {
+        version: 1,
+        kdf: 'scrypt',
+        kdfparams: { ...KEYSTORE_KDF_PARAMS, salt: salt.toString('hex') },
+        cipher: 'aes-256-gcm',
+        iv: iv.toString('hex'),
+        ciphertext: ciphertext.toString('hex'),
+        tag: cipher.getAuthTag().toString('hex')
+      }
+    };
+  }
+
+  /**
+   * Decrypt an encrypted keystore back into a full key record
+   */
+  decryptKeysData(keysData, passphrase) {
+    const { keystore, ...publicData } = keysData;
+    if (!keystore || keystore.kdf !== 'scrypt' || keystore.cipher !== 'aes-256-gcm') {
+      throw new Error('Unsupported issuance keystore format');
+    }
+
+    const { salt, ...params } = keystore.kdfparams;
+    const key = this.deriveKeystoreKey(passphrase || '', Buffer.from(salt, 'hex'), params);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(keystore.iv, 'hex'));
+    decipher.setAAD(Buffer.from(publicData.issuer || '', 'utf8'));
+    decipher.setAuthTag(Buffer.from(keystore.tag, 'hex'));
+
+    let secrets;
+    try {
+      const plaintext = Buffer.concat([
+        decipher.update(Buffer.from(keystore.ciphertext, 'hex')),
+        decipher.final()
+      ]);
+      secrets = JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+      throw new Error('Invalid keystore passphrase');
+    }
+
+    return { ...publicData, ...secrets };
+  }
+
+  loadEncryptedKeys(keysData) {
+    if (this.unlockedKeys && this.unlockedKeys.issuer === keysData.issuer) {
+      return this.unlockedKeys;
+    }
+    if (this.keystorePassphrase) {
+      this.unlockedKeys = this.decryptKeysData(keysData, this.keystorePassphrase);
+      return this.unlockedKeys;
+    }
+
+    const { keystore, ...publicData } = keysData;
+    return { ...publicData, locked: true };
+  }
+
+  migrateToKeystore(keysData) {
+    if (!this.keystorePassphrase) {
+      return keysData;
+    }
+    this.saveKeys({ ...keysData, encryptedAt: new Date().toISOString() });
+    return this.unlockedKeys;
+  }
+
+  /**
+   * Unlock the keystore with its passphrase
+   * A plaintext key file is encrypted with this passphrase on unlock.
+   */
+  unlock(passphrase) {
+    this.assertNotWatchOnly('unlock the keystore');
+    if (!passphrase) {
+      throw new Error('Keystore passphrase is required');
+    }
+    if (!this.hasKeys()) {
+      throw new Error(`No issuance keys found at ${this.keysFile}`);
+    }
+
+    const keysData = JSON.parse(fs.readFileSync(this.keysFile, 'utf8'));
+    if (this.isEncrypted(keysData)) {
+      this.unlockedKeys = this.decryptKeysData(keysData, passphrase);
+      this.keystorePassphrase = passphrase;
+      return this.unlockedKeys;
+    }
+
+    this.keystorePassphrase = passphrase;
+    return this.generateOrLoadKeys();
+  }
+
+  /**
+   * Forget decrypted key material and the keystore passphrase
+   */
+  lock() {
+    this.unlockedKeys = null;
+    this.keystorePassphrase = null;
+  }
+
+  /**
+   * Re-encrypt the keystore under a new passphrase
+   */
+  changePassphrase(currentPassphrase, newPassphrase) {
+    this.assertNotWatchOnly('change the keystore passphrase');
+    if (!newPassphrase) {
+      throw new Error('New keystore passphrase is required');
+    }
+
+    const keysData = JSON.parse(fs.readFileSync(this.keysFile, 'utf8'));
+    const decrypted = this.isEncrypted(keysData)
+      ? this.decryptKeysData(keysData, currentPassphrase)
+      : keysData;
+
+    this.keystorePassphrase = newPassphrase;
+    this.saveKeys({ ...decrypted, passphraseChangedAt: new Date().toISOString() });
+    return this.unlockedKeys;
+  }
+
   upgradeLegacyKeys(keysData) {
     if (!keysData || !keysData.isk) {
       throw new Error('Unable to upgrade legacy issuance keys');
@@ -221,18 +746,154 @@ export class IssuanceKeys {
   }
 
   /**
-   * Get issuer identifier
+   * Derive isk/ik/issuer for an account index from the master key
+   * Key files without a coinType predate network support and used coin type 133.
    */
-  getIssuer() {
-    const keys = this.generateOrLoadKeys();
-    return keys.issuer;
+  deriveAccountKeys(keysData, index) {
+    if (!keysData.masterKey || !keysData.chainCode) {
+      throw new Error('Additional issuer accounts require a seed-derived master key');
+    }
+    const { isk } = this.deriveIssuanceKey(
+      Buffer.from(keysData.masterKey, 'hex'),
+      Buffer.from(keysData.chainCode, 'hex'),
+      index,
+      keysData.coinType ?? LEGACY_COIN_TYPE
+    );
+    const { ik, normalizedISK } = this.deriveValidatingKey(isk);
+    return { isk: normalizedISK, ik, issuer: this.encodeIssuer(ik) };
+  }
+
+  /**
+   * Update non-secret fields of the keys file without touching the keystore
+   */
+  updatePublicFields(fields) {
+    const stored = JSON.parse(fs.readFileSync(this.keysFile, 'utf8'));
+    fs.writeFileSync(this.keysFile, JSON.stringify({ ...stored, ...fields }, null, 2));
+    if (this.unlockedKeys) {
+      this.unlockedKeys = { ...this.unlockedKeys, ...fields };
+    }
+  }
+
+  /**
+   * List issuer accounts; account 0 ("default") always exists
+   */
+  listAccounts() {
+    const keysData = this.generateOrLoadKeys();
+    if (Array.isArray(keysData.accounts) && keysData.accounts.length > 0) {
+      return keysData.accounts;
+    }
+    return [{
+      index: 0,
+      name: 'default',
+      ik: keysData.ik,
+      issuer: keysData.issuer,
+      createdAt: keysData.createdAt
+    }];
+  }
+
+  /**
+   * Resolve an account by index or name; defaults to the active account
+   */
+  resolveAccount(account = null) {
+    const accounts = this.listAccounts();
+    let target = account;
+    if (target === null || target === undefined || target === '') {
+      target = this.generateOrLoadKeys().activeAccount ?? 0;
+    }
+
+    const isIndex = typeof target === 'number' || /^\d+$/.test(String(target));
+    const found = isIndex
+      ? accounts.find(a => a.index === Number(target))
+      : accounts.find(a => a.name === String(target).trim());
+    if (!found) {
+      throw new Error(`Issuer account not found: ${target}`);
+    }
+    return found;
+  }
+
+  /**
+   * Find the account that owns an issuer identifier
+   */
+  findAccountByIssuer(issuer) {
+    return this.listAccounts().find(a => a.issuer === issuer) || null;
   }
 
   /**
-   * Get issuance authorizing key (isk)
+   * Create a named issuer account at the next (or given) account index
    */
-  getISK() {
+  createAccount(name, { index = null } = {}) {
+    const accountName = (name || '').trim();
+    if (!accountName || /^\d+$/.test(accountName)) {
+      throw new Error('Account name is required and cannot be numeric');
+    }
+
+    const keysData = this.generateOrLoadKeys();
+    if (keysData.watchOnly) {
+      throw new WatchOnlyError('create an issuer account');
+    }
+    if (keysData.locked) {
+      throw new Error('Issuance keys are locked. Unlock the keystore with its passphrase first.');
+    }
+
+    const accounts = this.listAccounts();
+    if (accounts.some(a => a.name === accountName)) {
+      throw new Error(`Issuer account already exists: ${accountName}`);
+    }
+    const accountIndex = index ?? Math.max(...accounts.map(a => a.index)) + 1;
+    if (accounts.some(a => a.index === accountIndex)) {
+      throw new Error(`Account index ${accountIndex} is already in use`);
+    }
+
+    const { ik, issuer } = this.deriveAccountKeys(keysData, accountIndex);
+    const account = {
+      index: accountIndex,
+      name: accountName,
+      ik: ik.toString('hex'),
+      issuer,
+      createdAt: new Date().toISOString()
+    };
+
+    this.updatePublicFields({ accounts: [...accounts, account] });
+    return account;
+  }
+
+  /**
+   * Select the account used when no account is given
+   */
+  selectAccount(account) {
+    const resolved = this.resolveAccount(account);
+    this.updatePublicFields({ activeAccount: resolved.index });
+    return resolved;
+  }
+
+  /**
+   * Get issuer identifier (active account by default)
+   */
+  getIssuer(account = null) {
+    return this.resolveAccount(account).issuer;
+  }
+
+  /**
+   * Get issuance authorizing key (isk) (active account by default)
+   */
+  getISK(account = null) {
     const keys = this.generateOrLoadKeys();
-    return Buffer.from(keys.isk, 'hex');
+    if (keys.watchOnly) {
+      throw new WatchOnlyError();
+    }
+    if (!keys.isk) {
+      throw new Error('Issuance keys are locked. Unlock the keystore with its passphrase first.');
+    }
+
+    const resolved = this.resolveAccount(account);
+    if (resolved.index === 0) {
+      return Buffer.from(keys.isk, 'hex');
+    }
+
+    const { isk, issuer } = this.deriveAccountKeys(keys, resolved.index);
+    if (issuer !== resolved.issuer) {
+      throw new Error(`Derived issuer does not match account ${resolved.name}`);
+    }
+    return isk;
   }
 }
@@ -0,0 +1,328 @@
+/**
+ * Token Lifecycle
+ * A token record tracks three independent states in token.lifecycle:
+ * - deployment: whether the asset has reached the chain
+ *     pending -> deploying -> deployed, deploying -> failed -> deploying; tracked assets stay tracked
+ * - issuance: the bundle built locally and not yet broadcast
+ *     none -> ready | awaiting_signature -> ready -> broadcasting -> none (or back to ready on failure)
+ * - finalization: open -> pending (finalize flag built) -> finalized (finalize flag broadcast)
+ * token.status mirrors the deployment state and token.finalized is true once finalization
+ * leaves open; both are derived and never set on their own.
+ * A broadcast records its owner process in token.broadcast; one whose owner is gone is reset
+ * when the record is read, so the issuance can be broadcast again.
+ */
+
+import os from 'os';
+
+export const DEPLOYMENT_STATES = ['pending', 'deploying', 'deployed', 'failed', 'tracked'];
+export const ISSUANCE_STATES = ['none', 'awaiting_signature', 'ready', 'broadcasting'];
+export const FINALIZATION_STATES = ['open', 'pending', 'finalized'];
+
+const TRANSITIONS = {
+  deployment: {
+    pending: ['deploying', 'deployed'],
+    deploying: ['deployed', 'failed'],
+    failed: ['deploying', 'deployed'],
+    deployed: [],
+    tracked: []
+  },
+  issuance: {
+    none: ['ready', 'awaiting_signature'],
+    // A bundle that was not broadcast yet is replaced by the next one built
+    ready: ['ready', 'awaiting_signature', 'broadcasting', 'none'],
+    awaiting_signature: ['ready'],
+    broadcasting: ['none', 'ready']
+  },
+  finalization: {
+    open: ['pending'],
+    pending: ['finalized'],
+    finalized: []
+  }
+};
+
+// A broadcast started on another host is taken as abandoned after this long
+const FOREIGN_BROADCAST_STALE_MS = 60 * 60 * 1000;
+
+// History entries that build an issuance bundle for the token
+const ISSUING_ENTRIES = ['creation', 'issuance', 'airdrop', 'finalization', 'offline_signature'];
+
+/**
+ * An operation the token's lifecycle state does not allow
+ */
+export class LifecycleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LifecycleError';
+  }
+}
+
+function label(token) {
+  return token.symbol || token.assetId;
+}
+
+/**
+ * Lifecycle of a token that has just had its first issuance built
+ */
+export function initialLifecycle({ offline = false, finalize = false } = {}) {
+  return {
+    deployment: 'pending',
+    issuance: offline ? 'awaiting_signature' : 'ready',
+    finalization: finalize ? 'pending' : 'open'
+  };
+}
+
+/**
+ * Lifecycle of an asset issued elsewhere and only tracked here
+ */
+export function trackedLifecycle() {
+  return { deployment: 'tracked', issuance: 'none', finalization: 'open' };
+}
+
+/**
+ * Derive the lifecycle of a record written before lifecycles existed from its history
+ * An interrupted deployment (status deploying) has no history entry, so it reads as not
+ * deployed and can be retried.
+ */
+export function backfillLifecycle(token) {
+  const history = Array.isArray(token.history) ? token.history : [];
+  if (token.tracked || token.status === 'tracked') {
+    return trackedLifecycle();
+  }
+
+  const lastIndex = predicate => history.reduce((found, entry, index) => (predicate(entry) ? index : found), -1);
+  const deployedAt = lastIndex(entry => entry.type === 'deployment');
+  const failedAt = lastIndex(entry => entry.type === 'deployment_failed');
+  const builtAt = lastIndex(entry => ISSUING_ENTRIES.includes(entry.type));
+  const finalizedAt = lastIndex(entry => entry.type === 'finalization' || entry.finalized === true);
+
+  let deployment = 'pending';
+  if (deployedAt !== -1) {
+    deployment = 'deployed';
+  } else if (failedAt !== -1) {
+    deployment = 'failed';
+  }
+
+  let issuance = 'none';
+  if (token.unsignedTransaction) {
+    issuance = 'awaiting_signature';
+  } else if (builtAt > deployedAt || (deployedAt === -1 && history.length === 0)) {
+    issuance = 'ready';
+  }
+
+  let finalization = 'open';
+  if (finalizedAt !== -1 || token.finalized) {
+    finalization = finalizedAt !== -1 && finalizedAt < deployedAt ? 'finalized' : 'pending';
+  }
+
+  return { deployment, issuance, finalization };
+}
+
+/**
+ * Whether a broadcast was left behind by a process that is no longer running
+ * Records from before owners were recorded have none and count as abandoned.
+ */
+export function isStaleBroadcast(token) {
+  const owner = token.broadcast;
+  if (!owner || !owner.pid) {
+    return true;
+  }
+  if (owner.hostname !== os.hostname()) {
+    return Date.now() - Date.parse(owner.startedAt) > FOREIGN_BROADCAST_STALE_MS;
+  }
+  try {
+    process.kill(owner.pid, 0);
+    return false;
+  } catch (error) {
+    return error.code === 'ESRCH';
+  }
+}
+
+/**
+ * Reset an abandoned broadcast as if it had failed: the issuance is ready again and a first
+ * deployment is failed, so it can be retried.
+ */
+function recoverStaleBroadcast(token) {
+  const { lifecycle } = token;
+  if (lifecycle.issuance !== 'broadcasting' || !isStaleBroadcast(token)) {
+    return;
+  }
+  lifecycle.issuance = 'ready';
+  if (lifecycle.deployment === 'deploying') {
+    lifecycle.deployment = 'failed';
+  }
+  delete token.broadcast;
+}
+
+/**
+ * Keep status and finalized in step with the lifecycle
+ */
+function syncMirrors(token) {
+  token.status = token.lifecycle.deployment;
+  token.finalized = token.lifecycle.finalization !== 'open';
+  return token;
+}
+
+/**
+ * Give a record its lifecycle, back-filling it from history when missing
+ */
+export function withLifecycle(token) {
+  if (!token.lifecycle) {
+    token.lifecycle = backfillLifecycle(token);
+  }
+  recoverStaleBroadcast(token);
+  return syncMirrors(token);
+}
+
+/**
+ * Move one part of a token's lifecycle, refusing transitions the model does not allow
+ */
+export function transition(token, part, to) {
+  const { lifecycle } = withLifecycle(token);
+  const from = lifecycle[part];
+  if (!TRANSITIONS[part][to]) {
+    throw new LifecycleError(`Unknown ${part} state: ${to}`);
+  }
+  if (!TRANSITIONS[part][from].includes(to)) {
+    throw new LifecycleError(`Token ${label(token)} cannot move ${part} from ${from} to ${to}`);
+  }
+  lifecycle[part] = to;
+  return syncMirrors(token);
+}
+
+/**
+ * Throw a LifecycleError unless the token's state allows the operation
+ * operation: 'issue' | 'finalize' | 'deploy' | 'transfer' | 'burn'
+ */
+export function assertOperation(token, operation) {
+  const { deployment, issuance, finalization } = withLifecycle(token).lifecycle;
+  const name = label(token);
+
+  if (deployment === 'tracked') {
+    throw new LifecycleError(`Token ${name} is tracked from another issuer's store; it can only be inspected`);
+  }
+  if (issuance === 'broadcasting' && ['issue', 'finalize', 'deploy'].includes(operation)) {
+    throw new LifecycleError(`Token ${name} has an issuance being broadcast; wait for the deployment to finish`);
+  }
+
+  switch (operation) {
+    case 'issue':
+      if (finalization !== 'open') {
+        throw new LifecycleError(`Token ${name} is finalized. No more tokens can be issued.`);
+      }
+      return;
+    case 'finalize':
+      if (finalization !== 'open') {
+        throw new LifecycleError(`Token ${name} is already finalized`);
+      }
+      return;
+    case 'deploy':
+      if (issuance === 'none') {
+        throw new LifecycleError(
+          deployment === 'deployed'
+            ? `Token ${name} already deployed and has no new issuance to broadcast`
+            : `Token ${name} has no issuance to broadcast`
+        );
+      }
+      return;
+    case 'transfer':
+    case 'burn':
+      if (deployment !== 'deployed') {
+        throw new LifecycleError(`Cannot ${operation} ${name}: the token has not been deployed yet (status ${deployment})`);
+      }
+      return;
+    default:
+      throw new LifecycleError(`Unknown token operation: ${operation}`);
+  }
+}
+
+/**
+ * Record a newly built issuance bundle, signed now or awaiting an offline signature
+ */
+export function queueIssuance(token, { offline = false, finalize = false } = {}) {
+  transition(token, 'issuance', offline ? 'awaiting_signature' : 'ready');
+  if (finalize && token.lifecycle.finalization === 'open') {
+    transition(token, 'finalization', 'pending');
+  }
+  return token;
+}
+
+/**
+ * Start broadcasting the pending issuance; a first deployment moves to deploying
+ */
+export function startBroadcast(token) {
+  assertOperation(token, 'deploy');
+  if (token.lifecycle.issuance === 'awaiting_signature') {
+    throw new LifecycleError(`Token ${label(token)} has an issuance awaiting an offline signature; import the signed file first`);
+  }
+  // The owner is recorded first so the transitions below do not see an abandoned broadcast
+  token.broadcast = { pid: process.pid, hostname: os.hostname(), startedAt: new Date().toISOString() };
+  transition(token, 'issuance', 'broadcasting');
+  if (token.lifecycle.deployment !== 'deployed') {
+    transition(token, 'deployment', 'deploying');
+  }
+  return token;
+}
+
+/**
+ * The pending issuance reached the chain
+ * finalize: whether the broadcast bundle carried the finalize flag; only then is a built
+ * finalization final.
+ */
+export function completeBroadcast(token, { finalize = false } = {}) {
+  const { lifecycle } = withLifecycle(token);
+  if (lifecycle.deployment === 'deployed' && lifecycle.issuance === 'none') {
+    throw new LifecycleError(`Token ${label(token)} already deployed and has no new issuance to broadcast`);
+  }
+  if (lifecycle.issuance === 'awaiting_signature') {
+    throw new LifecycleError(`Token ${label(token)} has an issuance awaiting an offline signature; import the signed file first`);
+  }
+  if (lifecycle.issuance !== 'none') {
+    transition(token, 'issuance', 'none');
+  }
+  delete token.broadcast;
+  if (lifecycle.deployment !== 'deployed') {
+    transition(token, 'deployment', 'deployed');
+  }
+  if (finalize && lifecycle.finalization === 'open') {
+    transition(token, 'finalization', 'pending');
+  }
+  if (finalize && lifecycle.finalization === 'pending') {
+    transition(token, 'finalization', 'finalized');
+  }
+  return token;
+}
+
+/**
+ * The broadcast failed; the issuance can be broadcast again
+ */
+export function failBroadcast(token) {
+  const { lifecycle } = withLifecycle(token);
+  if (lifecycle.issuance === 'broadcasting') {
+    transition(token, 'issuance', 'ready');
+  }
+  delete token.broadcast;
+  if (lifecycle.deployment !== 'deployed') {
+    transition(token, 'deployment', 'failed');
+  }
+  return token;
+}
+
+/**
+ * One-line summary for display, e.g. "deployed, issuance ready to broadcast, finalization pending"
+ */
+export function describeLifecycle(token) {
+  const { deployment, issuance, finalization } = withLifecycle(token).lifecycle;
+  const parts = [deployment];
+  const issuanceText = {
+    awaiting_signature: 'issuance awaiting offline signature',
+    ready: deployment === 'deployed' ? 'issuance ready to broadcast' : null,
+    broadcasting: deployment === 'deployed' ? 'issuance broadcasting' : null
+  }[issuance];
+  if (issuanceText) {
+    parts.push(issuanceText);
+  }
+  if (finalization !== 'open') {
+    parts.push(`finalization ${finalization}`);
+  }
+  return parts.join(', ');
+}
@@ -0,0 +1,102 @@
+/**
+ * Network Parameters for Zcash
+ * Coin types (ZIP 32), address prefixes and RPC ports for mainnet, testnet and regtest
+ */
+
+export const NETWORKS = {
+  mainnet: {
+    name: 'mainnet',
+    label: 'zcash-mainnet',
+    chain: 'main',
+    coinType: 133,
+    rpcPort: 8232,
+    saplingHrp: 'zs',
+    unifiedHrp: 'u',
+    addressPrefixes: ['zs1', 'u1', 't1', 't3']
+  },
+  testnet: {
+    name: 'testnet',
+    label: 'zcash-testnet',
+    chain: 'test',
+    coinType: 1,
+    rpcPort: 18232,
+    saplingHrp: 'ztestsapling',
+    unifiedHrp: 'utest',
+    // zt1 is the placeholder prefix used by earlier versions of this tool
+    addressPrefixes: ['ztestsapling1', 'utest1', 'zt1', 'tm', 't2']
+  },
+  regtest: {
+    name: 'regtest',
+    label: 'zcash-regtest',
+    chain: 'regtest',
+    coinType: 1,
+    rpcPort: 18232,
+    saplingHrp: 'zregtestsapling',
+    unifiedHrp: 'uregtest',
+    addressPrefixes: ['zregtestsapling1', 'uregtest1', 'tm', 't2']
+  }
+};
+
+export const DEFAULT_NETWORK = 'testnet';
+
+// Coin type used by key files written before networks were configurable
+export const LEGACY_COIN_TYPE = 133;
+
+const ALIASES = {
+  main: 'mainnet',
+  'zcash-mainnet': 'mainnet',
+  test: 'testnet',
+  'zcash-testnet': 'testnet',
+  'zcash-regtest': 'regtest'
+};
+
+/**
+ * Resolve a network name, alias or record label to its parameters
+ * Defaults to ZSA_NETWORK, then testnet
+ */
+export function resolveNetwork(network = null) {
+  if (network && typeof network === 'object') {
+    return resolveNetwork(network.name);
+  }
+
+  const requested = String(network || process.env.ZSA_NETWORK || DEFAULT_NETWORK).trim().toLowerCase();
+  const name = ALIASES[requested] || requested;
+  if (!NETWORKS[name]) {
+    throw new Error(`Unknown network: ${network || requested}. Expected mainnet, testnet or regtest`);
+  }
+  return NETWORKS[name];
+}
+
+/**
+ * Throw when a stored record belongs to a different network
+ * Records without a network field are accepted as legacy testnet records.
+ */
+export function assertSameNetwork(recordNetwork, activeNetwork, what = 'Record') {
+  const active = resolveNetwork(activeNetwork);
+  const recorded = resolveNetwork(recordNetwork || DEFAULT_NETWORK);
+  if (recorded.name !== active.name) {
+    throw new Error(`${what} belongs to ${recorded.name}, but the active network is ${active.name}`);
+  }
+}
+
+/**
+ * Networks whose address prefixes match an encoded address
+ * Returns an empty list for raw (hex) addresses, which carry no network.
+ */
+export function detectAddressNetworks(address) {
+  const value = String(address || '').trim().toLowerCase();
+  return Object.values(NETWORKS)
+    .filter(network => network.addressPrefixes.some(prefix => value.startsWith(prefix)))
+    .map(network => network.name);
+}
+
+/**
+ * Throw when an encoded address belongs to a different network
+ */
+export function assertAddressNetwork(address, activeNetwork) {
+  const active = resolveNetwork(activeNetwork);
+  const matches = detectAddressNetworks(address);
+  if (matches.length > 0 && !matches.includes(active.name)) {
+    throw new Error(`Address ${address} is a ${matches[0]} address, but the active network is ${active.name}`);
+  }
+}
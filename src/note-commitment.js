@@ -0,0 +1,244 @@
+/**
+ * Issue Note Randomness and Note Commitments (ZIP 227 / ZIP 226)
+ * Derives rho and samples rseed for issue notes the way the Rust orchard crate does, and
+ * computes OrchardZSA note commitments (cmx) with Sinsemilla over Pallas, so bundles can be
+ * compared note for note with the Rust tooling.
+ */
+
+import crypto from 'crypto';
+import { blake2b512, computeAssetBase, computeAssetDigest } from './crypto.js';
+import { PALLAS_P, PALLAS_Q, decodePallasPoint, encodePallasPoint, pallasHashToCurve } from './pallas.js';
+import { encodeIssuanceFlags, encodeNoteValue, encodeRecipient } from './bundle-encoding.js';
+
+const SINSEMILLA_K = 10;
+const SINSEMILLA_MAX_CHUNKS = 253;
+const DIVERSIFIER_LENGTH = 11;
+const ORCHARD_RAW_ADDRESS_LENGTH = 43;
+
+// PRF^expand domain separators (Zcash spec §4.2.3, ZIP 227)
+const EXPAND_ESK = 0x04;
+const EXPAND_RCM = 0x05;
+const EXPAND_PSI = 0x09;
+const EXPAND_ISSUED_RHO = 0x84;
+
+function uint32LE(value) {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32LE(value >>> 0);
+  return buf;
+}
+
+function toLE32(value) {
+  return Buffer.from(value.toString(16).padStart(64, '0'), 'hex').reverse();
+}
+
+function fromLE(bytes) {
+  return BigInt(`0x${Buffer.from(bytes).reverse().toString('hex') || '0'}`);
+}
+
+/**
+ * PRF^expand_sk(t) = BLAKE2b-512("Zcash_ExpandSeed", sk || t)
+ */
+export function prfExpand(sk, t) {
+  return blake2b512(Buffer.concat([Buffer.from(sk), Buffer.from(t)]), 'Zcash_ExpandSeed');
+}
+
+/**
+ * ToBase^Orchard: 64 bytes little-endian, reduced into the Pallas base field
+ */
+export function toBase(bytes) {
+  return fromLE(bytes) % PALLAS_P;
+}
+
+/**
+ * ToScalar^Orchard: 64 bytes little-endian, reduced into the Pallas scalar field
+ */
+export function toScalar(bytes) {
+  return fromLE(bytes) % PALLAS_Q;
+}
+
+/**
+ * rho of an issue note
+ * ZIP 227: DeriveIssuedRho(nf, i_action, i_note) = ToBase(PRF^expand_nf([0x84] || i_action || i_note)),
+ * where nf is the first nullifier of the transaction's Orchard bundle
+ */
+export function deriveIssuedRho(nullifier, actionIndex, noteIndex) {
+  const t = Buffer.concat([Buffer.from([EXPAND_ISSUED_RHO]), uint32LE(actionIndex), uint32LE(noteIndex)]);
+  return toLE32(toBase(prfExpand(Buffer.from(nullifier, 'hex'), t))).toString('hex');
+}
+
+/**
+ * Check that rseed is valid for rho: esk = ToScalar(PRF^expand_rseed([4] || rho)) must be nonzero
+ */
+export function isValidRseed(rseed, rho) {
+  const t = Buffer.concat([Buffer.from([EXPAND_ESK]), Buffer.from(rho, 'hex')]);
+  return toScalar(prfExpand(Buffer.from(rseed, 'hex'), t)) !== 0n;
+}
+
+/**
+ * rseed of an issue note
+ * ZIP 227 takes rseed from the issuer's randomness, as for any Orchard note: 32 uniformly random
+ * bytes, sampled again while they would give a zero esk (orchard RandomSeed::random).
+ * randomBytes can be passed to make the choice reproducible in tests.
+ */
+export function sampleIssuedRseed(rho, randomBytes = crypto.randomBytes) {
+  for (;;) {
+    const rseed = Buffer.from(randomBytes(32)).toString('hex');
+    if (isValidRseed(rseed, rho)) {
+      return rseed;
+    }
+  }
+}
+
+/**
+ * Stand-in for the first Orchard nullifier when a transaction has no Orchard actions
+ * Hashes the issuer and the actions without any note randomness, reduced into the base field.
+ */
+export function mockIssuanceNullifier(issuer, actions) {
+  const data = Buffer.concat([
+    Buffer.from(issuer, 'hex'),
+    ...actions.map(action => Buffer.concat([
+      Buffer.from(action.assetDescHash, 'hex'),
+      encodeIssuanceFlags(action.finalize),
+      ...(action.notes || []).map(note => Buffer.concat([
+        encodeRecipient(note.recipientAddress),
+        encodeNoteValue(note.value)
+      ]))
+    ]))
+  ]);
+  return toLE32(toBase(blake2b512(data, 'ZSA-IssueNullifr'))).toString('hex');
+}
+
+// Sinsemilla generators are GroupHash outputs; cache them for the life of the process
+const generators = new Map();
+
+function groupHash(domain, message) {
+  const key = `${domain}:${Buffer.from(message).toString('hex')}`;
+  if (!generators.has(key)) {
+    generators.set(key, pallasHashToCurve(domain, message));
+  }
+  return generators.get(key);
+}
+
+function bytesToBits(bytes, length = bytes.length * 8) {
+  const bits = [];
+  for (let i = 0; i < length; i += 1) {
+    bits.push((bytes[i >> 3] >> (i & 7)) & 1);
+  }
+  return bits;
+}
+
+/**
+ * SinsemillaHashToPoint(D, M) over a bit array (Zcash spec §5.4.1.9)
+ */
+export function sinsemillaHashToPoint(domain, bits) {
+  const chunks = Math.ceil(bits.length / SINSEMILLA_K);
+  if (chunks > SINSEMILLA_MAX_CHUNKS) {
+    throw new Error(`Sinsemilla message of ${bits.length} bits is too long`);
+  }
+
+  let acc = groupHash('z.cash:SinsemillaQ', Buffer.from(domain, 'utf8'));
+  for (let i = 0; i < chunks; i += 1) {
+    let index = 0;
+    for (let j = 0; j < SINSEMILLA_K; j += 1) {
+      index |= (bits[i * SINSEMILLA_K + j] || 0) << j;
+    }
+    const s = groupHash('z.cash:SinsemillaS', uint32LE(index));
+    acc = acc.add(s).add(acc);
+  }
+  return acc;
+}
+
+/**
+ * Split an Orchard raw address into g_d and pk_d
+ * Returns null for placeholder recipients (not 43 raw bytes) or an invalid pk_d.
+ */
+function orchardAddressPoints(recipientAddress) {
+  const trimmed = (recipientAddress || '').trim();
+  const hex = trimmed.startsWith('0x') ? trimmed.slice(2) : trimmed;
+  if (hex.length !== ORCHARD_RAW_ADDRESS_LENGTH * 2 || !/^[0-9a-fA-F]+$/.test(hex)) {
+    return null;
+  }
+
+  const raw = Buffer.from(hex, 'hex');
+  let pkD;
+  try {
+    pkD = decodePallasPoint(raw.subarray(DIVERSIFIER_LENGTH));
+  } catch (error) {
+    return null;
+  }
+  if (pkD.is0()) {
+    return null;
+  }
+
+  // DiversifyHash(d) = GroupHash("z.cash:Orchard-gd", d), or of the empty string if that is the identity
+  const diversifier = raw.subarray(0, DIVERSIFIER_LENGTH);
+  let gD = groupHash('z.cash:Orchard-gd', diversifier);
+  if (gD.is0()) {
+    gD = groupHash('z.cash:Orchard-gd', Buffer.alloc(0));
+  }
+  return { gD, pkD };
+}
+
+/**
+ * OrchardZSA note commitment x-coordinate (cmx) of an issue note, as 32-byte little-endian hex
+ * ZIP 226: SinsemillaHashToPoint("z.cash:ZSA-NoteCommit-M", g_d* || pk_d* || v || rho || psi || AssetBase*)
+ *          + [rcm] GroupHash("z.cash:Orchard-NoteCommit-r", "")
+ * with rcm = ToScalar(PRF^expand_rseed([5] || rho)) and psi = ToBase(PRF^expand_rseed([9] || rho)).
+ * Returns null when the recipient is not an Orchard raw address or rho/rseed are missing.
+ */
+export function computeNoteCommitment(note) {
+  if (!note.rho || !note.rseed) {
+    return null;
+  }
+  const points = orchardAddressPoints(note.recipientAddress);
+  if (!points) {
+    return null;
+  }
+
+  const rho = Buffer.from(note.rho, 'hex');
+  const rseed = Buffer.from(note.rseed, 'hex');
+  const rcm = toScalar(prfExpand(rseed, Buffer.concat([Buffer.from([EXPAND_RCM]), rho])));
+  const psi = toBase(prfExpand(rseed, Buffer.concat([Buffer.from([EXPAND_PSI]), rho])));
+  const assetBase = note.assetBase
+    ? Buffer.from(note.assetBase, 'hex')
+    : Buffer.from(computeAssetBase(computeAssetDigest(note.assetId)), 'hex');
+
+  const bits = [
+    ...bytesToBits(encodePallasPoint(points.gD)),
+    ...bytesToBits(encodePallasPoint(points.pkD)),
+    ...bytesToBits(encodeNoteValue(note.value)),
+    ...bytesToBits(rho, 255),
+    ...bytesToBits(toLE32(psi), 255),
+    ...bytesToBits(assetBase)
+  ];
+
+  let cm = sinsemillaHashToPoint('z.cash:ZSA-NoteCommit-M', bits);
+  if (rcm !== 0n) {
+    cm = cm.add(groupHash('z.cash:Orchard-NoteCommit-r', Buffer.alloc(0)).multiply(rcm));
+  }
+  // Extract_P: the x-coordinate, or 0 for the identity
+  return toLE32(cm.is0() ? 0n : cm.toAffine().x).toString('hex');
+}
+
+/**
+ * Give every note in the actions its rho, rseed and (where computable) cmx
+ * nullifier: the first Orchard nullifier of the transaction, as 32-byte hex
+ */
+export function assignNoteRandomness(actions, nullifier) {
+  if (!/^[0-9a-fA-F]{64}$/.test(nullifier || '')) {
+    throw new Error('First nullifier must be 32 bytes of hex');
+  }
+  actions.forEach((action, actionIndex) => {
+    (action.notes || []).forEach((note, noteIndex) => {
+      note.rho = deriveIssuedRho(nullifier, actionIndex, noteIndex);
+      note.rseed = sampleIssuedRseed(note.rho);
+      const cmx = computeNoteCommitment(note);
+      if (cmx) {
+        note.cmx = cmx;
+      } else {
+        delete note.cmx;
+      }
+    });
+  });
+  return actions;
+}
@@ -0,0 +1,187 @@
+/**
+ * Offline (Air-Gapped) Signing Files for Issuance Bundles
+ * An online machine exports an unsigned issuance transaction, an offline machine that
+ * holds the issuance keys reviews and signs it, and the online machine imports the result.
+ * The file carries everything needed to review the bundle, much like a PCZT does for
+ * shielded transfers.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { computeAssetDescHash, computeAssetId, parseAssetDescription, schnorrSign } from './crypto.js';
+import {
+  assertReferenceNotes,
+  computeBundleSighash,
+  firstIssuanceAssetIds,
+  isReferenceNote,
+  verifyIssuanceBundle
+} from './issuance.js';
+import { assertSameNetwork } from './network.js';
+import { formatAmount, parseAmount } from './amount.js';
+import { assetBaseFor } from './issued-assets.js';
+
+export const UNSIGNED_ISSUANCE_FORMAT = 'zsa-unsigned-issuance';
+export const SIGNED_ISSUANCE_FORMAT = 'zsa-signed-issuance';
+export const ISSUANCE_FILE_VERSION = 1;
+
+function unsignedBundle(bundle) {
+  return { ...bundle, signature: null };
+}
+
+/**
+ * Wrap an unsigned issuance transaction for export
+ * purpose: creation | issuance | finalization
+ */
+export function createUnsignedIssuanceFile(transaction, { network, purpose, token }) {
+  const bundle = transaction.issuanceBundle;
+  if (!bundle || bundle.signature) {
+    throw new Error('Only unsigned issuance transactions can be exported for offline signing');
+  }
+
+  return {
+    format: UNSIGNED_ISSUANCE_FORMAT,
+    version: ISSUANCE_FILE_VERSION,
+    network,
+    purpose,
+    token: { assetId: token.assetId, name: token.name, symbol: token.symbol },
+    sighash: computeBundleSighash(bundle).toString('hex'),
+    transaction,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Check that a file is internally consistent and return its sighash
+ * The asset descriptions shown to the signer must be the ones the sighash commits to.
+ */
+export function validateIssuanceFile(file) {
+  if (!file || ![UNSIGNED_ISSUANCE_FORMAT, SIGNED_ISSUANCE_FORMAT].includes(file.format)) {
+    throw new Error('Not an issuance signing file');
+  }
+  if (file.version !== ISSUANCE_FILE_VERSION) {
+    throw new Error(`Unsupported issuance signing file version ${file.version}`);
+  }
+
+  const bundle = file.transaction && file.transaction.issuanceBundle;
+  if (!bundle || !Array.isArray(bundle.actions) || bundle.actions.length === 0) {
+    throw new Error('Issuance signing file has no issuance actions');
+  }
+
+  bundle.actions.forEach((action, index) => {
+    const descHash = computeAssetDescHash(action.assetDesc).toString('hex');
+    if (descHash !== action.assetDescHash) {
+      throw new Error(`Action ${index} asset description does not match its hash`);
+    }
+    if (computeAssetId(bundle.issuer, action.assetDesc).assetId !== action.assetId) {
+      throw new Error(`Action ${index} asset ID does not match the issuer and description`);
+    }
+    // The notes must issue the asset the action names; the reviewer sees the action, not note fields
+    if (!Array.isArray(action.notes)) {
+      throw new Error(`Action ${index} has no notes list`);
+    }
+    action.notes.forEach((note, noteIndex) => {
+      if (!note || typeof note !== 'object') {
+        throw new Error(`Action ${index} note ${noteIndex} is not a note`);
+      }
+      parseAmount(note.value, { label: `Action ${index} note ${noteIndex} value`, allowZero: true });
+      if (note.assetId !== undefined && note.assetId !== action.assetId) {
+        throw new Error(`Action ${index} note ${noteIndex} is for asset ${note.assetId}, not the action's asset`);
+      }
+      if (note.assetBase !== undefined && note.assetBase !== assetBaseFor(action.assetId)) {
+        throw new Error(`Action ${index} note ${noteIndex} asset base does not match the action's asset`);
+      }
+    });
+  });
+
+  // A creation is always a first issuance; bundles declare theirs per asset
+  const firstIssuance = file.purpose === 'creation'
+    ? bundle.actions.map(action => action.assetId)
+    : firstIssuanceAssetIds(file.transaction);
+  assertReferenceNotes(bundle, firstIssuance);
+
+  const sighash = computeBundleSighash(unsignedBundle(bundle));
+  if (sighash.toString('hex') !== file.sighash) {
+    throw new Error('Issuance signing file sighash does not match its bundle');
+  }
+  return sighash;
+}
+
+/**
+ * Human-readable lines describing exactly what the signature authorizes
+ */
+export function summarizeIssuanceFile(file) {
+  validateIssuanceFile(file);
+  const bundle = file.transaction.issuanceBundle;
+  const lines = [
+    `Purpose: ${file.purpose}`,
+    `Network: ${file.network}`,
+    `Issuer: ${bundle.issuer}`
+  ];
+
+  bundle.actions.forEach((action, index) => {
+    const { name, symbol, description, decimals } = parseAssetDescription(action.assetDesc);
+    const total = action.notes.reduce((sum, note) => sum + BigInt(note.value), 0n);
+    // Notes carry base units; show what they are worth in whole tokens as well
+    const shown = value => (decimals ? `${formatAmount(value, decimals)} ${symbol} (${value} base units)` : value.toString());
+    lines.push(`Action ${index + 1}: ${name} (${symbol})${description ? ` - ${description}` : ''}`);
+    if (decimals) {
+      lines.push(`  Decimals: ${decimals}`);
+    }
+    lines.push(`  Asset ID: ${action.assetId}`);
+    lines.push(`  Finalize: ${action.finalize ? 'YES - no further issuance will be possible' : 'no'}`);
+    action.notes.forEach(note => {
+      if (isReferenceNote(note)) {
+        lines.push('  Reference note (ZIP 227 first issuance, value 0)');
+      } else {
+        lines.push(`  Issue ${shown(note.value)} to ${note.recipientAddress}`);
+      }
+    });
+    lines.push(`  Total issued: ${shown(total)}`);
+  });
+
+  lines.push(`Sighash: ${file.sighash}`);
+  return lines;
+}
+
+/**
+ * Sign an unsigned issuance file with the matching local issuer account
+ */
+export function signIssuanceFile(file, keys) {
+  if (file.format !== UNSIGNED_ISSUANCE_FORMAT) {
+    throw new Error('Only unsigned issuance files can be signed');
+  }
+  const sighash = validateIssuanceFile(file);
+  assertSameNetwork(file.network, keys.network, 'Issuance signing file');
+
+  const bundle = file.transaction.issuanceBundle;
+  const account = keys.findAccountByIssuer(bundle.issuer);
+  if (!account) {
+    throw new Error(`No local issuer account holds the key for issuer ${bundle.issuer}`);
+  }
+
+  const { normalizedISK } = keys.deriveValidatingKey(keys.getISK(account.index));
+  const signed = {
+    ...unsignedBundle(bundle),
+    signature: schnorrSign(sighash, normalizedISK).toString('hex')
+  };
+  if (!verifyIssuanceBundle(signed)) {
+    throw new Error('Produced signature does not verify under the bundle issuer');
+  }
+
+  return {
+    ...file,
+    format: SIGNED_ISSUANCE_FORMAT,
+    transaction: { ...file.transaction, issuanceBundle: signed },
+    signedBy: { index: account.index, name: account.name },
+    signedAt: new Date().toISOString()
+  };
+}
+
+export function readIssuanceFile(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+export function writeIssuanceFile(filePath, file) {
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(file, null, 2));
+}
@@ -0,0 +1,159 @@
+/**
+ * Pallas Curve Utilities for OrchardZSA
+ * Implements the Pallas GroupHash (hash-to-curve) used for ZSA asset bases
+ */
+
+import { blake2b } from '@noble/hashes/blake2.js';
+import { utf8ToBytes } from '@noble/hashes/utils.js';
+import { Field } from '@noble/curves/abstract/modular.js';
+import { weierstrass } from '@noble/curves/abstract/weierstrass.js';
+import { isogenyMap, mapToCurveSimpleSWU } from '@noble/curves/abstract/hash-to-curve.js';
+
+// Pallas: y^2 = x^3 + 5 over F_p (Zcash protocol spec §5.4.9.6)
+export const PALLAS_P = BigInt('0x40000000000000000000000000000000224698fc094cf91b992d30ed00000001');
+export const PALLAS_Q = BigInt('0x40000000000000000000000000000000224698fc0994a8dd8c46eb2100000001');
+
+// iso-Pallas: y^2 = x^3 + A'x + B', 3-isogenous to Pallas, with SWU constant Z = -13
+const ISO_PALLAS_A = BigInt('0x18354a2eb0ea8c9c49be2d7258370742b74134581a27a59f92bb4b0b657a014b');
+const ISO_PALLAS_B = BigInt(1265);
+const SWU_Z = PALLAS_P - BigInt(13);
+
+// Isogeny map constants c_0..c_12 from the protocol spec (§5.4.9.8)
+const ISOGENY_CONSTANTS = [
+  '0x0e38e38e38e38e38e38e38e38e38e38e4081775473d8375b775f6034aaaaaaab',
+  '0x3509afd51872d88e267c7ffa51cf412a0f93b82ee4b994958cf863b02814fb76',
+  '0x17329b9ec525375398c7d7ac3d98fd13380af066cfeb6d690eb64faef37ea4f7',
+  '0x1c71c71c71c71c71c71c71c71c71c71c8102eea8e7b06eb6eebec06955555580',
+  '0x1d572e7ddc099cff5a607fcce0494a799c434ac1c96b6980c47f2ab668bcd71f',
+  '0x325669becaecd5d11d13bf2a7f22b105b4abf9fb9a1fc81c2aa3af1eae5b6604',
+  '0x1a12f684bda12f684bda12f684bda12f7642b01ad461bad25ad985b5e38e38e4',
+  '0x1a84d7ea8c396c47133e3ffd28e7a09507c9dc17725cca4ac67c31d8140a7dbb',
+  '0x3fb98ff0d2ddcadd303216cce1db9ff11765e924f745937802e2be87d225b234',
+  '0x025ed097b425ed097b425ed097b425ed0ac03e8e134eb3e493e53ab371c71c4f',
+  '0x0c02c5bcca0e6b7f0790bfb3506defb65941a3a4a97aa1b35a28279b1d1b42ae',
+  '0x17033d3c60c68173573b3d7f7d681310d976bbfabbc5661d4d90ab820b12320a',
+  '0x40000000000000000000000000000000224698fc094cf91b992d30ecfffffde5'
+].map(BigInt);
+
+const Fp = Field(PALLAS_P);
+
+export const PallasPoint = weierstrass({
+  p: PALLAS_P,
+  n: PALLAS_Q,
+  h: BigInt(1),
+  a: BigInt(0),
+  b: BigInt(5),
+  Gx: PALLAS_P - BigInt(1),
+  Gy: BigInt(2)
+});
+
+const mapToIsoPallas = mapToCurveSimpleSWU(Fp, { A: ISO_PALLAS_A, B: ISO_PALLAS_B, Z: SWU_Z });
+
+// Coefficients are listed lowest degree first; denominators are monic
+const c = ISOGENY_CONSTANTS;
+const isoMapToPallas = isogenyMap(Fp, [
+  [c[3], c[2], c[1], c[0]],
+  [c[5], c[4], BigInt(1)],
+  [c[9], c[8], c[7], c[6]],
+  [c[12], c[11], c[10], BigInt(1)]
+]);
+
+function mapToPallas(u) {
+  const { x, y } = mapToIsoPallas(u);
+  const mapped = isoMapToPallas(x, y);
+  if (Fp.is0(mapped.x) && Fp.is0(mapped.y)) {
+    return PallasPoint.ZERO;
+  }
+  return PallasPoint.fromAffine(mapped);
+}
+
+// BLAKE2b-512 output length; pasta_curves also uses it as the length of Z_pad
+const XMD_CHUNK = 64;
+
+/**
+ * expand_message_xmd with BLAKE2b-512, as pasta_curves computes it
+ * Returns the two 64-byte chunks b_1 and b_2 (len_in_bytes = 128). Z_pad is 64 zero bytes,
+ * not the 128-byte BLAKE2b block that the IETF draft (and noble) use, so noble's
+ * hash_to_field cannot be used for Pallas GroupHash.
+ */
+export function expandMessageXmd(message, dst) {
+  const dstPrime = Buffer.concat([Buffer.from(dst), Buffer.from([dst.length])]);
+  const b0 = blake2b(Buffer.concat([
+    Buffer.alloc(XMD_CHUNK),
+    Buffer.from(message),
+    Buffer.from([0, XMD_CHUNK * 2, 0]),
+    dstPrime
+  ]), { dkLen: XMD_CHUNK });
+  const b1 = blake2b(Buffer.concat([b0, Buffer.from([1]), dstPrime]), { dkLen: XMD_CHUNK });
+  const mixed = Buffer.from(b0.map((byte, i) => byte ^ b1[i]));
+  const b2 = blake2b(Buffer.concat([mixed, Buffer.from([2]), dstPrime]), { dkLen: XMD_CHUNK });
+  return [Buffer.from(b1), Buffer.from(b2)];
+}
+
+/**
+ * Pallas GroupHash
+ * Zcash spec §5.4.9.8: hash_to_curve(domainPrefix)(message) using
+ * expand_message_xmd with BLAKE2b-512, DST = domainPrefix || "-pallas_XMD:BLAKE2b_SSWU_RO_",
+ * two field elements mapped via simplified SWU on iso-Pallas and summed.
+ */
+export function pallasHashToCurve(domainPrefix, message) {
+  const DST = utf8ToBytes(`${domainPrefix}-pallas_XMD:BLAKE2b_SSWU_RO_`);
+  if (DST.length > 255) {
+    throw new Error('GroupHash domain prefix is too long');
+  }
+  // Each 64-byte chunk is read big-endian and reduced mod p
+  const [u0, u1] = expandMessageXmd(message, DST)
+    .map(chunk => Fp.create(BigInt(`0x${chunk.toString('hex')}`)));
+
+  const point = mapToPallas(u0).add(mapToPallas(u1));
+  point.assertValidity();
+  return point;
+}
+
+/**
+ * Encode a Pallas point in compressed form
+ * 32-byte little-endian x-coordinate with the sign of y in bit 255; identity is all zeros
+ */
+export function encodePallasPoint(point) {
+  const out = Buffer.alloc(32);
+  if (point.is0()) {
+    return out;
+  }
+
+  const { x, y } = point.toAffine();
+  const hex = x.toString(16).padStart(64, '0');
+  Buffer.from(hex, 'hex').reverse().copy(out);
+  if (Fp.isOdd(y)) {
+    out[31] |= 0x80;
+  }
+  return out;
+}
+
+/**
+ * Decode a compressed Pallas point, rejecting non-canonical encodings
+ */
+export function decodePallasPoint(bytes) {
+  const buf = Buffer.from(bytes);
+  if (buf.length !== 32) {
+    throw new Error(`Pallas point encoding must be 32 bytes, got ${buf.length}`);
+  }
+  if (buf.every(byte => byte === 0)) {
+    return PallasPoint.ZERO;
+  }
+
+  const ySign = (buf[31] & 0x80) !== 0;
+  const xBytes = Buffer.from(buf);
+  xBytes[31] &= 0x7f;
+  const x = BigInt(`0x${xBytes.reverse().toString('hex')}`);
+  if (x >= PALLAS_P) {
+    throw new Error('Non-canonical Pallas x-coordinate');
+  }
+
+  let y = Fp.sqrt(Fp.add(Fp.mul(Fp.sqr(x), x), BigInt(5)));
+  if (Fp.isOdd(y) !== ySign) {
+    y = Fp.neg(y);
+  }
+  const point = PallasPoint.fromAffine({ x, y });
+  point.assertValidity();
+  return point;
+}
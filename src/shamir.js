@@ -0,0 +1,209 @@
+/**
+ * Shamir Secret Sharing for Seed Backups (SLIP-39 style)
+ * Splits a secret into k-of-n shares over GF(256). As in SLIP-39, the secret sits at
+ * x = 255 and a digest share at x = 254, so combining the wrong shares is detected.
+ * Each share is written as words from the BIP-39 English list and carries its own checksum.
+ */
+
+import crypto from 'crypto';
+import { wordlist } from '@scure/bip39/wordlists/english.js';
+
+export const SHARE_VERSION = 1;
+export const MAX_SHARE_COUNT = 16;
+
+const SECRET_INDEX = 255;
+const DIGEST_INDEX = 254;
+const DIGEST_LENGTH = 4;
+const CHECKSUM_LENGTH = 4;
+const HEADER_LENGTH = 7; // version, identifier (2), threshold, count, index, value length
+const BITS_PER_WORD = 11;
+
+// GF(256) with the AES polynomial x^8 + x^4 + x^3 + x + 1, generator 3
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+for (let i = 0, value = 1; i < 255; i += 1) {
+  EXP[i] = value;
+  EXP[i + 255] = value;
+  LOG[value] = i;
+  value ^= (value << 1) ^ (value & 0x80 ? 0x11b : 0);
+}
+
+function gfMul(a, b) {
+  return a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]];
+}
+
+function gfDiv(a, b) {
+  return a === 0 ? 0 : EXP[LOG[a] + 255 - LOG[b]];
+}
+
+/**
+ * Evaluate the polynomial through points [{x, value}] at x, byte by byte (Lagrange)
+ */
+function interpolate(points, x) {
+  const known = points.find(point => point.x === x);
+  if (known) {
+    return Buffer.from(known.value);
+  }
+
+  const result = Buffer.alloc(points[0].value.length);
+  points.forEach((point, i) => {
+    let basis = 1;
+    points.forEach((other, j) => {
+      if (i !== j) {
+        basis = gfMul(basis, gfDiv(x ^ other.x, point.x ^ other.x));
+      }
+    });
+    for (let k = 0; k < result.length; k += 1) {
+      result[k] ^= gfMul(point.value[k], basis);
+    }
+  });
+  return result;
+}
+
+function createDigest(randomPart, secret) {
+  return crypto.createHmac('sha256', randomPart).update(secret).digest().subarray(0, DIGEST_LENGTH);
+}
+
+/**
+ * Split a secret into `count` shares, any `threshold` of which rebuild it
+ * Returns [{identifier, threshold, count, index, value}]
+ */
+export function splitSecret(secret, threshold, count) {
+  const value = Buffer.from(secret);
+  if (value.length < 16 || value.length > 255) {
+    throw new Error('Secret must be between 16 and 255 bytes');
+  }
+  if (!Number.isInteger(count) || count < 1 || count > MAX_SHARE_COUNT) {
+    throw new Error(`Share count must be between 1 and ${MAX_SHARE_COUNT}`);
+  }
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > count) {
+    throw new Error(`Threshold must be between 1 and ${count}`);
+  }
+
+  const identifier = crypto.randomBytes(2).readUInt16BE(0);
+  const share = (index, shareValue) => ({ identifier, threshold, count, index, value: shareValue });
+
+  if (threshold === 1) {
+    return Array.from({ length: count }, (_, index) => share(index, Buffer.from(value)));
+  }
+
+  const randomPart = crypto.randomBytes(value.length - DIGEST_LENGTH);
+  const points = [
+    { x: DIGEST_INDEX, value: Buffer.concat([createDigest(randomPart, value), randomPart]) },
+    { x: SECRET_INDEX, value }
+  ];
+  for (let x = 0; x < threshold - 2; x += 1) {
+    points.push({ x, value: crypto.randomBytes(value.length) });
+  }
+
+  return Array.from({ length: count }, (_, index) => share(index, interpolate(points, index)));
+}
+
+/**
+ * Rebuild the secret from at least `threshold` shares of one split
+ */
+export function combineShares(shares) {
+  if (!Array.isArray(shares) || shares.length === 0) {
+    throw new Error('No shares given');
+  }
+
+  const [first] = shares;
+  shares.forEach(share => {
+    if (share.identifier !== first.identifier || share.threshold !== first.threshold || share.count !== first.count) {
+      throw new Error('Shares belong to different backups');
+    }
+    if (share.value.length !== first.value.length) {
+      throw new Error('Shares have different lengths');
+    }
+  });
+
+  const unique = [...new Map(shares.map(share => [share.index, share])).values()];
+  if (unique.length < first.threshold) {
+    throw new Error(`Need ${first.threshold} distinct shares, have ${unique.length}`);
+  }
+
+  const points = unique.slice(0, first.threshold).map(share => ({ x: share.index, value: Buffer.from(share.value) }));
+  if (first.threshold === 1) {
+    return points[0].value;
+  }
+
+  const secret = interpolate(points, SECRET_INDEX);
+  const digest = interpolate(points, DIGEST_INDEX);
+  if (!createDigest(digest.subarray(DIGEST_LENGTH), secret).equals(digest.subarray(0, DIGEST_LENGTH))) {
+    throw new Error('Share digest does not match; at least one share is wrong');
+  }
+  return secret;
+}
+
+function shareChecksum(payload) {
+  return crypto.createHash('sha256').update('zsa-seed-share').update(payload).digest().subarray(0, CHECKSUM_LENGTH);
+}
+
+/**
+ * Encode a share as words: header || value || checksum, 11 bits per word
+ */
+export function encodeShare(share) {
+  const payload = Buffer.concat([
+    Buffer.from([
+      SHARE_VERSION,
+      share.identifier >> 8,
+      share.identifier & 0xff,
+      share.threshold,
+      share.count,
+      share.index,
+      share.value.length
+    ]),
+    Buffer.from(share.value)
+  ]);
+  const bytes = Buffer.concat([payload, shareChecksum(payload)]);
+
+  const bits = [...bytes].map(byte => byte.toString(2).padStart(8, '0')).join('');
+  const padded = bits.padEnd(Math.ceil(bits.length / BITS_PER_WORD) * BITS_PER_WORD, '0');
+  const words = [];
+  for (let i = 0; i < padded.length; i += BITS_PER_WORD) {
+    words.push(wordlist[parseInt(padded.slice(i, i + BITS_PER_WORD), 2)]);
+  }
+  return words.join(' ');
+}
+
+/**
+ * Decode and check a share written by encodeShare
+ */
+export function decodeShare(mnemonic) {
+  const words = String(mnemonic || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const bits = words.map(word => {
+    const index = wordlist.indexOf(word);
+    if (index === -1) {
+      throw new Error(`Unknown share word: ${word}`);
+    }
+    return index.toString(2).padStart(BITS_PER_WORD, '0');
+  }).join('');
+
+  const bytes = Buffer.alloc(Math.floor(bits.length / 8));
+  for (let i = 0; i < bytes.length; i += 1) {
+    bytes[i] = parseInt(bits.slice(i * 8, i * 8 + 8), 2);
+  }
+  if (bytes.length < HEADER_LENGTH || bytes[0] !== SHARE_VERSION) {
+    throw new Error('Not a seed share, or an unsupported share version');
+  }
+
+  const valueLength = bytes[6];
+  const payloadLength = HEADER_LENGTH + valueLength;
+  const totalLength = payloadLength + CHECKSUM_LENGTH;
+  if (bytes.length < totalLength || Math.ceil((totalLength * 8) / BITS_PER_WORD) !== words.length) {
+    throw new Error('Share has the wrong number of words');
+  }
+
+  const payload = bytes.subarray(0, payloadLength);
+  if (!shareChecksum(payload).equals(bytes.subarray(payloadLength, totalLength))) {
+    throw new Error('Share checksum does not match; check the words for typos');
+  }
+
+  return {
+    identifier: (bytes[1] << 8) | bytes[2],
+    threshold: bytes[3],
+    count: bytes[4],
+    index: bytes[5],
+    value: Buffer.from(payload.subarray(HEADER_LENGTH))
+  };
+}
@@ -0,0 +1,596 @@
+/**
+ * Record Storage
+ * Token and wallet records are kept in collection stores with two backends:
+ * - json: the original layout, an index file (created-tokens.json, wallets.json) plus a
+ *   <id>.json copy of each record
+ * - sqlite: one embedded SQLite database for every collection, with schema migrations
+ * ZSA_STORAGE selects the backend (default json); ZSA_DATABASE overrides the database file.
+ * Both backends serialize read-modify-write cycles across processes, and the JSON backend
+ * replaces its files atomically.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Database from 'better-sqlite3';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const STORAGE_BACKENDS = ['json', 'sqlite'];
+const DEFAULT_BACKEND = 'json';
+
+// Each collection is a table of JSON records, with the column used to look records up
+const COLLECTIONS = {
+  tokens: { lookup: 'asset_id', key: record => record.assetId ?? null },
+  wallets: { lookup: 'address', key: record => record.address ?? null }
+};
+
+// Applied in order; PRAGMA user_version holds the last applied version
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'tokens and wallets tables',
+    up: db => db.exec(`
+      CREATE TABLE tokens (id TEXT PRIMARY KEY, position INTEGER NOT NULL, asset_id TEXT, data TEXT NOT NULL);
+      CREATE INDEX tokens_asset_id ON tokens (asset_id);
+      CREATE TABLE wallets (id TEXT PRIMARY KEY, position INTEGER NOT NULL, address TEXT, data TEXT NOT NULL);
+      CREATE INDEX wallets_address ON wallets (address);
+    `)
+  }
+];
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Resolve the storage backend name
+ * Defaults to ZSA_STORAGE, then json
+ */
+export function resolveStorageBackend(backend = null) {
+  const requested = String(backend || process.env.ZSA_STORAGE || DEFAULT_BACKEND).trim().toLowerCase();
+  if (!STORAGE_BACKENDS.includes(requested)) {
+    throw new Error(`Unknown storage backend: ${requested}. Expected ${STORAGE_BACKENDS.join(' or ')}`);
+  }
+  return requested;
+}
+
+/**
+ * SQLite database file shared by the token and wallet stores
+ */
+export function defaultDatabaseFile() {
+  return process.env.ZSA_DATABASE || path.join(__dirname, '..', 'data', 'zsa.sqlite');
+}
+
+/**
+ * Bring a database up to SCHEMA_VERSION, one transaction per migration
+ * Returns the resulting schema version.
+ */
+export function migrate(db) {
+  const current = db.pragma('user_version', { simple: true });
+  if (current > SCHEMA_VERSION) {
+    throw new Error(`Database schema version ${current} is newer than this tool supports (${SCHEMA_VERSION})`);
+  }
+  MIGRATIONS
+    .filter(migration => migration.version > current)
+    .forEach(migration => {
+      db.transaction(() => {
+        migration.up(db);
+        db.pragma(`user_version = ${migration.version}`);
+      })();
+    });
+  return db.pragma('user_version', { simple: true });
+}
+
+// One connection per database file for the life of the process
+const databases = new Map();
+
+/**
+ * Open (or reuse) a migrated database connection
+ */
+export function openDatabase(file) {
+  const resolved = path.resolve(file);
+  let db = databases.get(resolved);
+  if (!db || !db.open) {
+    fs.mkdirSync(path.dirname(resolved), { recursive: true });
+    db = new Database(resolved);
+    db.pragma('journal_mode = WAL');
+    migrate(db);
+    databases.set(resolved, db);
+  }
+  return db;
+}
+
+/**
+ * Close a database connection opened by openDatabase
+ */
+export function closeDatabase(file) {
+  const resolved = path.resolve(file);
+  const db = databases.get(resolved);
+  if (db) {
+    db.close();
+    databases.delete(resolved);
+  }
+}
+
+/**
+ * Replace a file atomically: write a temporary file beside it, flush it to disk, then rename it
+ * over the target. A crash leaves either the old content or the new, never a truncated file.
+ */
+export function writeFileAtomic(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const temp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+  try {
+    const fd = fs.openSync(temp, 'w');
+    try {
+      fs.writeFileSync(fd, content);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    renameFile(temp, file);
+  } catch (error) {
+    fs.rmSync(temp, { force: true });
+    throw error;
+  }
+}
+
+// Side files written while a SQLite store transaction is open, held back until it commits
+let pendingFiles = null;
+
+/**
+ * Write a file kept beside the records, such as the issued_assets state or the handovers
+ * Inside a SQLite store transaction the write is held back until the transaction commits, so a
+ * rollback leaves the file as it was; otherwise the file is replaced at once.
+ */
+export function writeStoreFile(file, content) {
+  if (pendingFiles) {
+    pendingFiles.set(path.resolve(file), content);
+    return;
+  }
+  writeFileAtomic(file, content);
+}
+
+/**
+ * Read a file written with writeStoreFile, including a write held back by the open transaction
+ * Returns null when the file does not exist.
+ */
+export function readStoreFile(file) {
+  const resolved = path.resolve(file);
+  if (pendingFiles && pendingFiles.has(resolved)) {
+    return pendingFiles.get(resolved);
+  }
+  try {
+    return fs.readFileSync(resolved, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Rename over an existing file, retrying briefly (Windows reports EPERM while another process reads it)
+ */
+function renameFile(from, to) {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      fs.renameSync(from, to);
+      return;
+    } catch (error) {
+      if ((error.code !== 'EPERM' && error.code !== 'EACCES') || attempt >= 5) {
+        throw error;
+      }
+      sleep(20 * attempt);
+    }
+  }
+}
+
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+export const LOCK_TIMEOUT_MS = 30000;
+// A lock from another host cannot be checked for a live process, so it is trusted this long
+const FOREIGN_LOCK_STALE_MS = 5 * 60 * 1000;
+
+// Locks this process holds, by lock file, so nested read-modify-write cycles reuse them
+const heldLocks = new Map();
+
+function readLock(lockFile) {
+  try {
+    return JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+  } catch (error) {
+    // Missing, or still being written by its owner
+    return null;
+  }
+}
+
+function isStaleLock(lock, lockFile) {
+  if (!lock) {
+    // Give an owner that has just created the file time to write it
+    try {
+      return Date.now() - fs.statSync(lockFile).mtimeMs > 5000;
+    } catch (error) {
+      return false;
+    }
+  }
+  if (lock.hostname !== os.hostname()) {
+    return Date.now() - Date.parse(lock.acquiredAt) > FOREIGN_LOCK_STALE_MS;
+  }
+  try {
+    process.kill(lock.pid, 0);
+    return false;
+  } catch (error) {
+    return error.code === 'ESRCH';
+  }
+}
+
+/**
+ * Remove a stale lock, unless another process replaced it since it was read
+ */
+function breakStaleLock(lockFile, stale) {
+  const moved = `${lockFile}.${process.pid}.stale`;
+  try {
+    fs.renameSync(lockFile, moved);
+  } catch (error) {
+    return;
+  }
+  const lock = readLock(moved);
+  if (lock && (!stale || lock.token !== stale.token)) {
+    try {
+      fs.linkSync(moved, lockFile);
+    } catch (error) {
+      // A newer lock already took its place
+    }
+  }
+  fs.rmSync(moved, { force: true });
+}
+
+/**
+ * Take the advisory lock file that guards a store's read-modify-write cycles
+ * Waits up to timeoutMs for another process to release it; locks left by processes that
+ * are no longer running are removed. Returns a function that releases the lock.
+ */
+export function acquireFileLock(lockFile, { timeoutMs = LOCK_TIMEOUT_MS } = {}) {
+  const resolved = path.resolve(lockFile);
+  const held = heldLocks.get(resolved);
+  if (held) {
+    held.depth += 1;
+    return () => releaseFileLock(resolved);
+  }
+
+  const lock = {
+    pid: process.pid,
+    hostname: os.hostname(),
+    acquiredAt: new Date().toISOString(),
+    token: crypto.randomBytes(8).toString('hex')
+  };
+  fs.mkdirSync(path.dirname(resolved), { recursive: true });
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      fs.writeFileSync(resolved, JSON.stringify(lock), { flag: 'wx' });
+      heldLocks.set(resolved, { depth: 1, token: lock.token });
+      return () => releaseFileLock(resolved);
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const owner = readLock(resolved);
+    if (isStaleLock(owner, resolved)) {
+      breakStaleLock(resolved, owner);
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      const by = owner ? `process ${owner.pid} on ${owner.hostname} since ${owner.acquiredAt}` : 'another process';
+      throw new Error(
+        `${resolved} is held by ${by}; wait for it to finish, or delete the lock file if that process is gone`
+      );
+    }
+    sleep(50);
+  }
+}
+
+function releaseFileLock(resolved) {
+  const held = heldLocks.get(resolved);
+  if (!held) {
+    return;
+  }
+  held.depth -= 1;
+  if (held.depth > 0) {
+    return;
+  }
+  heldLocks.delete(resolved);
+  // Never remove a lock that another process took over after judging ours stale
+  const lock = readLock(resolved);
+  if (lock && lock.token === held.token) {
+    fs.rmSync(resolved, { force: true });
+  }
+}
+
+/**
+ * Run fn while holding a lock file; fn must be synchronous
+ */
+export function withFileLock(lockFile, fn, options = {}) {
+  const release = acquireFileLock(lockFile, options);
+  try {
+    return fn();
+  } finally {
+    release();
+  }
+}
+
+function assertRecordId(record, collection) {
+  if (!record || typeof record.id !== 'string' || !record.id) {
+    throw new Error(`Cannot store a ${collection} record without an id`);
+  }
+}
+
+/**
+ * JSON backend: an index file with every record, plus <id>.json per record
+ * Files are replaced atomically, changes run under <index>.lock so concurrent processes
+ * cannot overwrite each other's records, and only the record files whose content changed
+ * are rewritten.
+ */
+export class JsonCollectionStore {
+  constructor({ collection, indexFile, recordDir }) {
+    this.collection = collection;
+    this.indexFile = indexFile;
+    this.recordDir = recordDir;
+    this.lockFile = `${indexFile}.lock`;
+  }
+
+  /**
+   * Records in the index; a missing index is empty, an unreadable one is an error
+   */
+  list() {
+    let records;
+    try {
+      records = JSON.parse(fs.readFileSync(this.indexFile, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw this.corrupt(error.message);
+    }
+    if (!Array.isArray(records)) {
+      throw this.corrupt('expected an array of records');
+    }
+    return records;
+  }
+
+  corrupt(reason) {
+    return new Error(
+      `${this.indexFile} is unreadable (${reason}); nothing was changed. ` +
+        'Restore it from a backup or from the <id>.json record files beside it'
+    );
+  }
+
+  /**
+   * Run a read-modify-write cycle under the store lock; fn must be synchronous
+   */
+  withLock(fn) {
+    return withFileLock(this.lockFile, fn);
+  }
+
+  recordFile(id) {
+    return path.join(this.recordDir, `${id}.json`);
+  }
+
+  saveAll(records) {
+    records.forEach(record => assertRecordId(record, this.collection));
+    this.withLock(() => {
+      const previous = new Map(this.list().map(record => [record.id, JSON.stringify(record, null, 2)]));
+
+      writeFileAtomic(this.indexFile, JSON.stringify(records, null, 2));
+      records.forEach(record => {
+        const serialized = JSON.stringify(record, null, 2);
+        const file = this.recordFile(record.id);
+        if (previous.get(record.id) !== serialized || !fs.existsSync(file)) {
+          writeFileAtomic(file, serialized);
+        }
+      });
+    });
+  }
+
+  put(record) {
+    assertRecordId(record, this.collection);
+    this.withLock(() => {
+      const records = this.list();
+      const index = records.findIndex(existing => existing.id === record.id);
+      if (index === -1) {
+        records.push(record);
+      } else {
+        records[index] = record;
+      }
+      this.saveAll(records);
+    });
+  }
+
+  remove(id) {
+    return this.withLock(() => {
+      const records = this.list();
+      const remaining = records.filter(record => record.id !== id);
+      if (remaining.length === records.length) {
+        return false;
+      }
+      writeFileAtomic(this.indexFile, JSON.stringify(remaining, null, 2));
+      fs.rmSync(this.recordFile(id), { force: true });
+      return true;
+    });
+  }
+}
+
+/**
+ * SQLite backend: one row per record, ordered by position
+ * Unchanged rows are not rewritten, and every change is a single transaction. Side files
+ * written with writeStoreFile under withLock are written once the transaction commits.
+ */
+export class SqliteCollectionStore {
+  constructor({ collection, file }) {
+    if (!COLLECTIONS[collection]) {
+      throw new Error(`Unknown collection: ${collection}`);
+    }
+    this.collection = collection;
+    this.file = file;
+  }
+
+  get db() {
+    return openDatabase(this.file);
+  }
+
+  /**
+   * Run a read-modify-write cycle in an IMMEDIATE transaction, which holds the database
+   * write lock from the first read; fn must be synchronous
+   */
+  withLock(fn) {
+    if (pendingFiles) {
+      // Nested cycles run in a savepoint; a rolled-back savepoint drops the writes it held back
+      const outer = new Map(pendingFiles);
+      try {
+        return this.db.transaction(fn)();
+      } catch (error) {
+        pendingFiles = outer;
+        throw error;
+      }
+    }
+
+    pendingFiles = new Map();
+    let result;
+    let committed;
+    try {
+      result = this.db.transaction(fn).immediate();
+      committed = pendingFiles;
+    } finally {
+      pendingFiles = null;
+    }
+    committed.forEach((content, file) => writeFileAtomic(file, content));
+    return result;
+  }
+
+  list() {
+    return this.db
+      .prepare(`SELECT data FROM ${this.collection} ORDER BY position`)
+      .all()
+      .map(row => JSON.parse(row.data));
+  }
+
+  count() {
+    return this.db.prepare(`SELECT COUNT(*) AS count FROM ${this.collection}`).get().count;
+  }
+
+  upsert(record, position) {
+    const { lookup, key } = COLLECTIONS[this.collection];
+    this.db
+      .prepare(`
+        INSERT INTO ${this.collection} (id, position, ${lookup}, data) VALUES (?, ?, ?, ?)
+        ON CONFLICT (id) DO UPDATE SET position = excluded.position, ${lookup} = excluded.${lookup}, data = excluded.data
+        WHERE position != excluded.position OR data != excluded.data
+      `)
+      .run(record.id, position, key(record), JSON.stringify(record));
+  }
+
+  saveAll(records) {
+    records.forEach(record => assertRecordId(record, this.collection));
+    this.db.transaction(() => {
+      const ids = new Set(records.map(record => record.id));
+      this.db
+        .prepare(`SELECT id FROM ${this.collection}`)
+        .all()
+        .filter(row => !ids.has(row.id))
+        .forEach(row => this.db.prepare(`DELETE FROM ${this.collection} WHERE id = ?`).run(row.id));
+      records.forEach((record, position) => this.upsert(record, position));
+    })();
+  }
+
+  put(record) {
+    assertRecordId(record, this.collection);
+    this.db.transaction(() => {
+      const existing = this.db.prepare(`SELECT position FROM ${this.collection} WHERE id = ?`).get(record.id);
+      const next = this.db.prepare(`SELECT COALESCE(MAX(position) + 1, 0) AS position FROM ${this.collection}`).get();
+      this.upsert(record, existing ? existing.position : next.position);
+    })();
+  }
+
+  remove(id) {
+    return this.db.prepare(`DELETE FROM ${this.collection} WHERE id = ?`).run(id).changes > 0;
+  }
+}
+
+/**
+ * Open a collection on the chosen backend
+ * indexFile and recordDir locate the JSON backend; databaseFile the SQLite one.
+ */
+export function openCollection(collection, { backend = null, indexFile, recordDir, databaseFile = defaultDatabaseFile() }) {
+  if (resolveStorageBackend(backend) === 'sqlite') {
+    return new SqliteCollectionStore({ collection, file: databaseFile });
+  }
+  return new JsonCollectionStore({ collection, indexFile, recordDir });
+}
+
+/**
+ * Records of a JSON store: the index, then any <id>.json files the index lacks
+ * (for example when a crash interrupted a rewrite of the index)
+ */
+function readJsonRecords(indexFile, recordDir) {
+  const indexed = new JsonCollectionStore({ indexFile, recordDir }).list();
+  const ids = new Set(indexed.map(record => record.id));
+  const recovered = [];
+  if (fs.existsSync(recordDir)) {
+    fs.readdirSync(recordDir)
+      .filter(name => /^[0-9a-fA-F-]+\.json$/.test(name))
+      .sort()
+      .forEach(name => {
+        const id = name.slice(0, -'.json'.length);
+        if (ids.has(id)) {
+          return;
+        }
+        try {
+          const record = JSON.parse(fs.readFileSync(path.join(recordDir, name), 'utf8'));
+          if (record && record.id === id) {
+            recovered.push(record);
+          }
+        } catch (error) {
+          // Not a record file
+        }
+      });
+  }
+  return { records: [...indexed, ...recovered], recovered: recovered.length };
+}
+
+/**
+ * One-shot import of the tokens/ and wallets/ JSON stores into a SQLite database
+ * Refuses a database that already holds records, so an import is never applied twice.
+ * Returns { tokens: { imported, recovered }, wallets: { imported, recovered }, databaseFile }
+ */
+export function importJsonStores({ tokensDir, walletsDir, databaseFile = defaultDatabaseFile() }) {
+  const sources = {
+    tokens: readJsonRecords(path.join(tokensDir, 'created-tokens.json'), tokensDir),
+    wallets: readJsonRecords(path.join(walletsDir, 'wallets.json'), walletsDir)
+  };
+
+  const stores = Object.fromEntries(Object.keys(sources).map(collection =>
+    [collection, new SqliteCollectionStore({ collection, file: databaseFile })]
+  ));
+  Object.entries(stores).forEach(([collection, store]) => {
+    const count = store.count();
+    if (count > 0) {
+      throw new Error(`Database ${databaseFile} already holds ${count} record(s) in ${collection}; import into an empty database`);
+    }
+  });
+
+  const db = openDatabase(databaseFile);
+  db.transaction(() => {
+    Object.entries(stores).forEach(([collection, store]) => store.saveAll(sources[collection].records));
+  })();
+
+  const summary = { databaseFile };
+  Object.entries(sources).forEach(([collection, { records, recovered }]) => {
+    summary[collection] = { imported: records.length, recovered };
+  });
+  return summary;
+}
@@ -8,12 +8,50 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { v4 as uuidv4 } from 'uuid';
 import { IssuanceKeys } from './keys.js';
-import { IssuanceTransaction } from './issuance.js';
+import {
+  IssuanceTransaction,
+  computeBundleSighash,
+  firstIssuanceAssetIds,
+  isReferenceNote,
+  verifyIssuanceBundle
+} from './issuance.js';
 import { computeAssetId, createAssetDescription, computeAssetDescHash } from './crypto.js';
+import { assertAddressNetwork, assertSameNetwork, resolveNetwork } from './network.js';
+import { createHandoverStatement, signHandoverStatement } from './handover.js';
+import { computeTxId } from './transaction.js';
+import { chunkRecipients, defaultNoteLimit, validateAirdropRows } from './airdrop.js';
+import { MAX_ISSUE, parseAmount, parseDecimals, tokenDecimals } from './amount.js';
+import { IssuedAssetsState } from './issued-assets.js';
+import {
+  SIGNED_ISSUANCE_FORMAT,
+  createUnsignedIssuanceFile,
+  readIssuanceFile,
+  validateIssuanceFile,
+  writeIssuanceFile
+} from './offline-signing.js';
 import { runIssue } from '../scripts/run-issue.js';
 import { runTransfer } from '../scripts/run-transfer.js';
 import { runBurn } from '../scripts/run-burn.js';
 import { TxToolCommandError } from '../scripts/tx-tool-command.js';
+import {
+  defaultDatabaseFile,
+  openCollection,
+  readStoreFile,
+  resolveStorageBackend,
+  writeStoreFile
+} from './storage.js';
+import {
+  LifecycleError,
+  assertOperation,
+  completeBroadcast,
+  failBroadcast,
+  initialLifecycle,
+  queueIssuance,
+  startBroadcast,
+  trackedLifecycle,
+  transition,
+  withLifecycle
+} from './lifecycle.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,22 +59,83 @@ const __dirname = path.dirname(__filename);
 const INCINERATOR_ADDRESS =
   'zt1incinerator0000000000000000000000000000000000000000000000000000000000';
 
+/**
+ * Notes of an issue action that issue supply, i.e. all but the reference note
+ */
+function issuingNotes(action) {
+  return (action.notes || []).filter(note => !isReferenceNote(note));
+}
+
+/**
+ * Amount the given issue actions issue between them
+ */
+function issuedAmount(actions) {
+  return actions.reduce((sum, action) => issuingNotes(action).reduce((total, note) => total + BigInt(note.value), sum), 0n);
+}
+
 export class TokenCreator {
-  constructor() {
+  constructor({ network = null, storage = null } = {}) {
+    this.network = resolveNetwork(network);
+    this.storage = resolveStorageBackend(storage);
     this.tokensDir = path.join(__dirname, '..', 'tokens');
     this.tokensFile = path.join(this.tokensDir, 'created-tokens.json');
-    this.keys = new IssuanceKeys();
+    this.databaseFile = defaultDatabaseFile();
+    this.keys = new IssuanceKeys({ network: this.network });
     this.issuance = new IssuanceTransaction(this.keys);
     this.ensureTokensDir();
   }
 
   ensureTokensDir() {
     fs.mkdirSync(this.tokensDir, { recursive: true });
-    if (!fs.existsSync(this.tokensFile)) {
-      fs.writeFileSync(this.tokensFile, JSON.stringify([], null, 2));
+    if (this.storage === 'json' && !fs.existsSync(this.tokensFile)) {
+      // wx: never truncate an index another process has just written
+      try {
+        fs.writeFileSync(this.tokensFile, JSON.stringify([], null, 2), { flag: 'wx' });
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
     }
   }
 
+  /**
+   * Token record store on the configured backend
+   */
+  tokenStore() {
+    return openCollection('tokens', {
+      backend: this.storage,
+      indexFile: this.tokensFile,
+      recordDir: this.tokensDir,
+      databaseFile: this.databaseFile
+    });
+  }
+
+  /**
+   * Run a read-modify-write cycle on the token records (and the issued_assets state and
+   * handovers beside them) while holding the token store lock, so another process cannot
+   * write in between. fn must be synchronous; the lock is reentrant within a process.
+   */
+  withTokenLock(fn) {
+    return this.tokenStore().withLock(fn);
+  }
+
+  /**
+   * Re-read a token under the store lock, apply mutate to it and store it
+   * Changes other processes made since the token was last read are kept.
+   */
+  updateToken(assetId, mutate) {
+    return this.withTokenLock(() => {
+      const token = this.getTokenByAssetId(assetId);
+      if (!token) {
+        throw new Error('Token not found');
+      }
+      mutate(token);
+      this.tokenStore().put(token);
+      return token;
+    });
+  }
+
   /**
    * Create a new ZSA meme token (ZIP 227)
    */
@@ -47,9 +146,14 @@ export class TokenCreator {
       description,
       initialSupply,
       recipientAddress,
-      finalize = false
+      decimals: decimalsInput,
+      finalize = false,
+      account = null,
+      offline = false
     } = tokenData;
 
+    this.keys.assertNotWatchOnly('create a token');
+
     // Validate required fields
     if (!name || !symbol || !initialSupply || !recipientAddress) {
       throw new Error('Missing required fields: name, symbol, initialSupply, recipientAddress');
@@ -60,18 +164,20 @@ export class TokenCreator {
       throw new Error('Symbol must be between 2 and 10 characters');
     }
 
-    // Validate supply (ZIP 227: MAX_ISSUE = 2^64 - 1)
-    const maxIssue = BigInt('18446744073709551615');
-    const supply = BigInt(initialSupply.toString());
-    if (supply > maxIssue) {
-      throw new Error(`Supply exceeds maximum: ${maxIssue}`);
-    }
+    // Validate supply in base units (ZIP 227: MAX_ISSUE = 2^64 - 1)
+    const supply = parseAmount(initialSupply, { label: 'Supply', allowZero: true });
+    const decimals = parseDecimals(decimalsInput);
+
+    // Refuse to mix networks in one token store
+    assertAddressNetwork(recipientAddress, this.network);
+    this.getAllTokens().forEach(existing => this.assertTokenNetwork(existing));
 
-    // Get issuer identifier
-    const issuer = this.keys.getIssuer();
+    // Resolve the signing account and its issuer identifier
+    const issuerAccount = this.keys.resolveAccount(account);
+    const issuer = issuerAccount.issuer;
 
     // Create asset description (ZIP 227 format)
-    const assetDesc = createAssetDescription(name, symbol, description || '');
+    const assetDesc = createAssetDescription(name, symbol, description || '', decimals);
 
     // Compute Asset ID (ZIP 227)
     const { assetId, assetDescHash } = computeAssetId(issuer, assetDesc);
@@ -82,10 +188,11 @@ export class TokenCreator {
       amount: supply.toString()
     }];
 
-    const tx = this.issuance.buildIssuanceTransaction(
-      { name, symbol, description: description || '' },
+    const tx = this.issuanceFor(issuerAccount.index).buildIssuanceTransaction(
+      { name, symbol, description: description || '', decimals },
       recipients,
-      finalize
+      finalize,
+      { sign: !offline, firstIssuance: true }
     );
 
     // Create token object
@@ -94,16 +201,19 @@ export class TokenCreator {
       name: name.trim(),
       symbol: symbol.toUpperCase().trim(),
       description: description || '',
-      initialSupply: initialSupply.toString(),
-      totalSupply: initialSupply.toString(), // Will be updated if more is issued
+      decimals,
+      initialSupply: supply.toString(),
+      totalSupply: supply.toString(), // Will be updated if more is issued
       issuer: issuer,
+      issuerAccount: { index: issuerAccount.index, name: issuerAccount.name },
       assetId: assetId,
       assetDescHash: assetDescHash,
       assetDesc: assetDesc,
       recipientAddress: recipientAddress,
       finalized: finalize,
-      network: 'zcash-testnet',
-      status: 'pending', // pending, deployed, finalized
+      network: this.network.label,
+      status: 'pending',
+      lifecycle: initialLifecycle({ offline, finalize }),
       createdAt: new Date().toISOString(),
       deployedAt: null,
       transactionId: null,
@@ -112,138 +222,805 @@ export class TokenCreator {
       history: []
     };
 
-    this.addHistoryEntry(token, {
-      type: 'creation',
-      amount: token.initialSupply,
-      recipient: recipientAddress,
-      finalized: finalize
-    });
+    return this.withTokenLock(() => {
+      // Consensus rules are checked before any record is written; the state changes on broadcast
+      const tokens = this.getAllTokens();
+      this.loadIssuedAssets(tokens).checkIssuanceBundle(tx.issuanceBundle);
 
-    // Ensure directory exists
-    this.ensureTokensDir();
+      if (offline) {
+        this.awaitOfflineSignature(token, tx, 'creation');
+      }
 
-    // Save token to storage
-    const tokens = this.getAllTokens();
-    tokens.push(token);
-    this.persistTokens(tokens);
+      this.addHistoryEntry(token, {
+        type: 'creation',
+        amount: token.initialSupply,
+        recipient: recipientAddress,
+        finalized: finalize
+      });
+
+      // Ensure directory exists
+      this.ensureTokensDir();
 
-    return token;
+      // Save token to storage
+      tokens.push(token);
+      this.persistTokens(tokens);
+
+      return token;
+    });
   }
 
   /**
    * Issue more tokens (if not finalized)
    */
-  async issueMore(assetId, amount, recipientAddress) {
-    const tokens = this.getAllTokens();
-    const tokenIndex = tokens.findIndex(t => t.assetId === assetId);
+  async issueMore(assetId, amount, recipientAddress, { offline = false } = {}) {
+    this.keys.assertNotWatchOnly('issue more tokens');
+    return this.withTokenLock(() => {
+      const tokens = this.getAllTokens();
+      const tokenIndex = tokens.findIndex(t => t.assetId === assetId);
+
+      if (tokenIndex === -1) {
+        throw new Error('Token not found');
+      }
 
-    if (tokenIndex === -1) {
-      throw new Error('Token not found');
-    }
+      const token = tokens[tokenIndex];
+      this.assertTokenNetwork(token);
+      assertAddressNetwork(recipientAddress, this.network);
 
-    const token = tokens[tokenIndex];
+      assertOperation(token, 'issue');
 
-    if (token.finalized) {
-      throw new Error('Token is finalized. No more tokens can be issued.');
-    }
+      if (token.frozen) {
+        throw new Error(`Token issuance is frozen after issuer rotation (handover ${token.frozen.handoverId})`);
+      }
 
-    // Validate amount
-    const maxIssue = BigInt('18446744073709551615');
-    const currentSupply = BigInt(token.totalSupply);
-    const additionalSupply = BigInt(amount.toString());
-    const newSupply = currentSupply + additionalSupply;
+      this.assertNoPendingSignature(token);
+
+      // Validate amount
+      const currentSupply = BigInt(token.totalSupply);
+      const additionalSupply = parseAmount(amount);
+      const newSupply = currentSupply + additionalSupply;
 
-    if (newSupply > maxIssue) {
-      throw new Error('Total supply would exceed maximum');
+      if (newSupply > MAX_ISSUE) {
+        throw new Error('Total supply would exceed maximum');
+      }
+
+      // Build issuance transaction for additional tokens, replacing any bundle not broadcast yet
+      const carried = this.carriedIssuance(token);
+      const recipients = [...carried.recipients, {
+        address: recipientAddress,
+        amount: additionalSupply.toString()
+      }];
+
+      const tx = this.issuanceFor(this.resolveTokenAccount(token)).buildIssuanceTransaction(
+        { assetDesc: token.assetDesc },
+        recipients,
+        false, // Don't finalize on additional issuance
+        { sign: !offline, firstIssuance: carried.firstIssuance }
+      );
+      this.loadIssuedAssets(tokens).checkIssuanceBundle(tx.issuanceBundle);
+
+      // Update token
+      this.ensureTokensDir();
+      token.totalSupply = newSupply.toString();
+      token.transaction = tx;
+      // A deployed token stays deployed; only the new issuance waits for a broadcast
+      queueIssuance(token, { offline });
+      if (offline) {
+        this.awaitOfflineSignature(token, tx, 'issuance');
+      }
+      this.addHistoryEntry(token, {
+        type: 'issuance',
+        amount: additionalSupply.toString(),
+        recipient: recipientAddress
+      });
+      tokens[tokenIndex] = token;
+
+      this.persistTokens(tokens);
+
+      return {
+        token,
+        transaction: tx,
+        amountIssued: additionalSupply.toString()
+      };
+    });
+  }
+
+  /**
+   * Issue several assets in one bundle and transaction (ZIP 227 allows one IssueAction per asset)
+   * assets: [{ name, symbol, description, decimals, recipients: [{ address, amount }], finalize }]
+   * Recipient amounts are base units. An entry may instead give the assetId of an existing token to issue more of it.
+   * New assets get a token record; existing records are updated from the same transaction.
+   */
+  async issueBundle(assets, { account = null, offline = false } = {}) {
+    this.keys.assertNotWatchOnly('issue a bundle');
+    if (!Array.isArray(assets) || assets.length === 0) {
+      throw new Error('Bundle needs at least one asset');
     }
 
-    // Build issuance transaction for additional tokens
-    const recipients = [{
-      address: recipientAddress,
-      amount: amount.toString()
-    }];
+    return this.withTokenLock(() => {
+      const tokens = this.getAllTokens();
+      tokens.forEach(existing => this.assertTokenNetwork(existing));
+      const issuerAccount = this.keys.resolveAccount(account);
 
-    const tx = this.issuance.buildIssuanceTransaction(
-      { name: token.name, symbol: token.symbol, description: token.description },
-      recipients,
-      false // Don't finalize on additional issuance
-    );
+      const entries = assets.map((asset, position) => {
+        const label = asset.symbol || asset.assetId || `#${position + 1}`;
+        if (!Array.isArray(asset.recipients) || asset.recipients.length === 0) {
+          throw new Error(`Asset ${label} needs at least one recipient`);
+        }
+        const recipients = asset.recipients.map(recipient => {
+          if (!recipient.address) {
+            throw new Error(`Asset ${label} has a recipient without an address`);
+          }
+          assertAddressNetwork(recipient.address, this.network);
+          const amount = parseAmount(recipient.amount, { label: `Asset ${label} amount for ${recipient.address}` });
+          return { address: recipient.address, amount: amount.toString() };
+        });
+        const issued = recipients.reduce((sum, recipient) => sum + BigInt(recipient.amount), 0n);
+
+        let existing = null;
+        let assetDesc;
+        if (asset.assetId) {
+          existing = tokens.find(t => t.assetId === asset.assetId);
+          if (!existing) {
+            throw new Error(`Token not found: ${asset.assetId}`);
+          }
+          assetDesc = existing.assetDesc;
+        } else {
+          if (!asset.name || !asset.symbol) {
+            throw new Error(`Asset ${label} is missing name or symbol`);
+          }
+          if (asset.symbol.length < 2 || asset.symbol.length > 10) {
+            throw new Error('Symbol must be between 2 and 10 characters');
+          }
+          assetDesc = createAssetDescription(asset.name, asset.symbol, asset.description || '', parseDecimals(asset.decimals));
+          existing = tokens.find(t => t.assetId === computeAssetId(issuerAccount.issuer, assetDesc).assetId) || null;
+        }
 
-    // Update token
-    this.ensureTokensDir();
-    token.totalSupply = newSupply.toString();
-    token.status = 'pending';
-    this.addHistoryEntry(token, {
-      type: 'issuance',
-      amount: amount.toString(),
-      recipient: recipientAddress
+        if (existing) {
+          if (existing.issuer !== issuerAccount.issuer) {
+            throw new Error(`Token ${existing.symbol} belongs to issuer ${existing.issuer}, not account ${issuerAccount.name}`);
+          }
+          assertOperation(existing, 'issue');
+          if (existing.frozen) {
+            throw new Error(`Token ${existing.symbol} issuance is frozen after issuer rotation (handover ${existing.frozen.handoverId})`);
+          }
+          this.assertNoPendingSignature(existing);
+        }
+        // An existing token's bundle not broadcast yet is replaced, so its notes come along
+        const carried = existing ? this.carriedIssuance(existing) : { recipients: [], firstIssuance: true };
+
+        const supply = (existing ? BigInt(existing.totalSupply) : 0n) + issued;
+        if (supply > MAX_ISSUE) {
+          throw new Error(`Supply of ${label} would exceed maximum: ${MAX_ISSUE}`);
+        }
+        return { asset, existing, assetDesc, recipients, carried, issued, supply, finalize: Boolean(asset.finalize) };
+      });
+
+      const tx = this.issuanceFor(issuerAccount.index).buildMultiAssetIssuanceTransaction(
+        entries.map(({ assetDesc, recipients, carried, finalize }) => ({
+          assetDesc,
+          recipients: [...carried.recipients, ...recipients],
+          finalize,
+          firstIssuance: carried.firstIssuance
+        })),
+        { sign: !offline }
+      );
+      this.loadIssuedAssets(tokens).checkIssuanceBundle(tx.issuanceBundle);
+      const bundle = { id: uuidv4(), assetIds: tx.assetIds };
+
+      this.ensureTokensDir();
+      const affected = entries.map((entry, position) => {
+        const assetId = tx.assetIds[position];
+        const action = tx.issuanceBundle.actions[position];
+        let token = entry.existing;
+        if (!token) {
+          const { asset } = entry;
+          token = {
+            id: uuidv4(),
+            name: asset.name.trim(),
+            symbol: asset.symbol.toUpperCase().trim(),
+            description: asset.description || '',
+            decimals: parseDecimals(asset.decimals),
+            initialSupply: entry.issued.toString(),
+            totalSupply: entry.issued.toString(),
+            issuer: issuerAccount.issuer,
+            issuerAccount: { index: issuerAccount.index, name: issuerAccount.name },
+            assetId,
+            assetDescHash: action.assetDescHash,
+            assetDesc: entry.assetDesc,
+            recipientAddress: entry.recipients[0].address,
+            finalized: entry.finalize,
+            network: this.network.label,
+            status: 'pending',
+            lifecycle: initialLifecycle({ offline, finalize: entry.finalize }),
+            createdAt: new Date().toISOString(),
+            deployedAt: null,
+            transactionId: null,
+            burnedSupply: '0',
+            history: []
+          };
+          tokens.push(token);
+        } else {
+          token.totalSupply = entry.supply.toString();
+          queueIssuance(token, { offline, finalize: entry.finalize });
+        }
+
+        token.transaction = tx;
+        token.bundle = bundle;
+        if (offline) {
+          this.awaitOfflineSignature(token, tx, 'bundle');
+        }
+        entry.recipients.forEach(recipient => {
+          this.addHistoryEntry(token, {
+            type: entry.existing ? 'issuance' : 'creation',
+            amount: recipient.amount,
+            recipient: recipient.address,
+            finalized: entry.finalize,
+            bundleId: bundle.id
+          });
+        });
+        return token;
+      });
+
+      this.persistTokens(tokens);
+      return { bundleId: bundle.id, transaction: tx, tokens: affected };
+    });
+  }
+
+  /**
+   * Airdrop a token to many recipients
+   * target is { assetId } for an existing token or { name, symbol, description, decimals } for a new one.
+   * rows come from parseAirdropList/readAirdropFile, with amounts in whole tokens when the token
+   * has decimals. Recipients are issued in chunks of at most
+   * noteLimit notes, one signed transaction per chunk. The chunks are queued on the token and
+   * broadcast by deployToken; each recipient gets a history entry with the transaction id that
+   * paid it once that transaction is broadcast.
+   */
+  async airdrop(target, rows, { noteLimit = defaultNoteLimit(), account = null } = {}) {
+    this.keys.assertNotWatchOnly('run an airdrop');
+
+    return this.withTokenLock(() => {
+      const tokens = this.getAllTokens();
+      tokens.forEach(existing => this.assertTokenNetwork(existing));
+
+      let token = null;
+      let issuerAccount;
+      let assetDesc;
+      let decimals;
+      if (target.assetId) {
+        token = tokens.find(t => t.assetId === target.assetId);
+        if (!token) {
+          throw new Error('Token not found');
+        }
+        issuerAccount = this.keys.resolveAccount(this.resolveTokenAccount(token));
+        assetDesc = token.assetDesc;
+        decimals = tokenDecimals(token);
+      } else {
+        const { name, symbol, description = '' } = target;
+        if (!name || !symbol) {
+          throw new Error('Missing required fields: name, symbol');
+        }
+        if (symbol.length < 2 || symbol.length > 10) {
+          throw new Error('Symbol must be between 2 and 10 characters');
+        }
+        issuerAccount = this.keys.resolveAccount(account);
+        decimals = parseDecimals(target.decimals);
+        assetDesc = createAssetDescription(name, symbol, description, decimals);
+        token = tokens.find(t => t.assetId === computeAssetId(issuerAccount.issuer, assetDesc).assetId) || null;
+      }
+
+      if (token) {
+        assertOperation(token, 'issue');
+        if (token.frozen) {
+          throw new Error(`Token issuance is frozen after issuer rotation (handover ${token.frozen.handoverId})`);
+        }
+        this.assertNoPendingSignature(token);
+        // Chunks are broadcast as built, so nothing else may be waiting in front of them
+        if (token.lifecycle.issuance !== 'none') {
+          throw new LifecycleError(`Token ${token.symbol} has an issuance waiting to be broadcast; deploy it first`);
+        }
+      }
+
+      const currentSupply = token ? BigInt(token.totalSupply) : 0n;
+      const { recipients, total } = validateAirdropRows(rows, {
+        network: this.network,
+        maxTotal: MAX_ISSUE - currentSupply,
+        decimals
+      });
+      // The first issuance of a new token also carries the reference note
+      const chunks = chunkRecipients(recipients, noteLimit, { reserveFirst: token ? 0 : 1 });
+
+      const issuance = this.issuanceFor(issuerAccount.index);
+      const transactions = chunks.map((chunk, index) =>
+        issuance.buildMultiAssetIssuanceTransaction([
+          { assetDesc, recipients: chunk, firstIssuance: !token && index === 0 }
+        ])
+      );
+      // Each chunk is checked against the state the ones before it leave; nothing is saved until broadcast
+      const issuedAssets = this.loadIssuedAssets(tokens);
+      transactions.forEach(transaction => issuedAssets.applyIssuanceBundle(transaction.issuanceBundle));
+
+      if (!token) {
+        const { assetId, assetDescHash } = computeAssetId(issuerAccount.issuer, assetDesc);
+        token = {
+          id: uuidv4(),
+          name: target.name.trim(),
+          symbol: target.symbol.toUpperCase().trim(),
+          description: target.description || '',
+          decimals,
+          initialSupply: total.toString(),
+          totalSupply: '0',
+          issuer: issuerAccount.issuer,
+          issuerAccount: { index: issuerAccount.index, name: issuerAccount.name },
+          assetId,
+          assetDescHash,
+          assetDesc,
+          recipientAddress: recipients[0].address,
+          finalized: false,
+          network: this.network.label,
+          status: 'pending',
+          lifecycle: initialLifecycle(),
+          createdAt: new Date().toISOString(),
+          deployedAt: null,
+          transactionId: null,
+          burnedSupply: '0',
+          history: []
+        };
+        tokens.push(token);
+      }
+
+      const airdropId = uuidv4();
+      const batches = transactions.map((transaction, index) => ({
+        transactionId: computeTxId(transaction),
+        notes: chunks[index].length,
+        amount: chunks[index].reduce((sum, recipient) => sum + BigInt(recipient.amount), 0n).toString(),
+        broadcastAt: null
+      }));
+
+      token.totalSupply = (currentSupply + total).toString();
+      queueIssuance(token);
+      token.transaction = transactions[0];
+      token.airdropQueue = transactions.map((transaction, index) => ({ airdropId, chunk: index + 1, transaction }));
+      token.airdrops = [
+        ...(token.airdrops || []),
+        {
+          id: airdropId,
+          recipients: recipients.length,
+          total: total.toString(),
+          noteLimit: Number(noteLimit),
+          transactions: batches,
+          createdAt: new Date().toISOString()
+        }
+      ];
+
+      this.ensureTokensDir();
+      this.persistTokens(tokens);
+      return { airdropId, token, total: total.toString(), transactions, batches };
     });
-    tokens[tokenIndex] = token;
+  }
 
-    this.persistTokens(tokens);
+  /**
+   * Finalize token (prevent further issuance)
+   */
+  async finalizeToken(assetId, { offline = false } = {}) {
+    this.keys.assertNotWatchOnly('finalize a token');
+    return this.withTokenLock(() => {
+      const tokens = this.getAllTokens();
+      const tokenIndex = tokens.findIndex(t => t.assetId === assetId);
+
+      if (tokenIndex === -1) {
+        throw new Error('Token not found');
+      }
 
-    return {
-      token,
-      transaction: tx,
-      amountIssued: amount.toString()
+      const token = tokens[tokenIndex];
+      this.assertTokenNetwork(token);
+
+      assertOperation(token, 'finalize');
+
+      this.assertNoPendingSignature(token);
+
+      // Build finalization transaction; notes of a bundle not broadcast yet are finalized with it
+      const carried = this.carriedIssuance(token);
+      const recipients = carried.recipients.length > 0 ? carried.recipients : [{
+        address: token.recipientAddress,
+        amount: '0' // Finalization doesn't issue new tokens
+      }];
+
+      const tx = this.issuanceFor(this.resolveTokenAccount(token)).buildIssuanceTransaction(
+        { assetDesc: token.assetDesc },
+        recipients,
+        true, // finalize = true
+        { sign: !offline, firstIssuance: carried.firstIssuance }
+      );
+      this.loadIssuedAssets(tokens).checkIssuanceBundle(tx.issuanceBundle);
+
+      this.ensureTokensDir();
+      // Finalized from now on; the finalization itself is pending until broadcast
+      token.transaction = tx;
+      queueIssuance(token, { offline, finalize: true });
+      if (offline) {
+        this.awaitOfflineSignature(token, tx, 'finalization');
+      }
+      this.addHistoryEntry(token, {
+        type: 'finalization'
+      });
+      tokens[tokenIndex] = token;
+
+      this.persistTokens(tokens);
+
+      return {
+        token,
+        transaction: tx
+      };
+    });
+  }
+
+  /**
+   * Throw when a token record was created on a different network
+   */
+  assertTokenNetwork(token) {
+    assertSameNetwork(token.network, this.network, `Token ${token.symbol || token.assetId}`);
+  }
+
+  /**
+   * Park an unsigned issuance on the token until the offline signature is imported
+   */
+  awaitOfflineSignature(token, transaction, purpose) {
+    token.unsignedTransaction = {
+      purpose,
+      sighash: computeBundleSighash(transaction.issuanceBundle).toString('hex'),
+      transaction,
+      createdAt: new Date().toISOString()
     };
   }
 
+  assertNoPendingSignature(token) {
+    if (token.unsignedTransaction) {
+      throw new Error(
+        `Token ${token.symbol} has a ${token.unsignedTransaction.purpose} awaiting an offline signature; import the signed file first`
+      );
+    }
+  }
+
   /**
-   * Finalize token (prevent further issuance)
+   * The bundle a token has built and not broadcast yet, with the token's issue action in it
+   * Returns { transaction, action }, or null when nothing is queued.
    */
-  async finalizeToken(assetId) {
-    const tokens = this.getAllTokens();
-    const tokenIndex = tokens.findIndex(t => t.assetId === assetId);
+  queuedIssuance(token) {
+    if (withLifecycle(token).lifecycle.issuance === 'none') {
+      return null;
+    }
+    const actions = token.transaction?.issuanceBundle?.actions;
+    const action = Array.isArray(actions) ? actions.find(entry => entry && entry.assetId === token.assetId) : null;
+    return action ? { transaction: token.transaction, action } : null;
+  }
+
+  /**
+   * Issue actions for the token in every bundle it has queued: the airdrop chunks, or the one bundle
+   */
+  queuedActions(token) {
+    if (token.airdropQueue && token.airdropQueue.length > 0) {
+      return token.airdropQueue
+        .map(({ transaction }) => transaction.issuanceBundle.actions.find(action => action.assetId === token.assetId))
+        .filter(Boolean);
+    }
+    const queued = this.queuedIssuance(token);
+    return queued ? [queued.action] : [];
+  }
+
+  /**
+   * Recipients a new bundle must carry over from the one it replaces
+   * A queued bundle that was never broadcast is dropped when the next one is built, so its
+   * notes (and its reference note, on a first issuance) move into the new bundle.
+   */
+  carriedIssuance(token) {
+    const queued = this.queuedIssuance(token);
+    if (!queued) {
+      return { recipients: [], firstIssuance: false };
+    }
+    if (queued.transaction.issuanceBundle.actions.length > 1) {
+      throw new LifecycleError(`Token ${token.symbol} is part of a bundle waiting to be broadcast; deploy it first`);
+    }
+    if (token.airdropQueue && token.airdropQueue.length > 0) {
+      throw new LifecycleError(`Token ${token.symbol} has an airdrop waiting to be broadcast; deploy it first`);
+    }
+    return {
+      recipients: issuingNotes(queued.action).map(note => ({ address: note.recipientAddress, amount: note.value })),
+      firstIssuance: firstIssuanceAssetIds(queued.transaction).includes(token.assetId)
+    };
+  }
 
-    if (tokenIndex === -1) {
+  /**
+   * Export the pending unsigned issuance of a token for offline signing
+   */
+  exportUnsignedIssuance(assetId, filePath = null) {
+    const token = this.getTokenByAssetId(assetId);
+    if (!token) {
       throw new Error('Token not found');
     }
+    if (!token.unsignedTransaction) {
+      throw new Error(`Token ${token.symbol} has no issuance awaiting a signature`);
+    }
 
-    const token = tokens[tokenIndex];
+    const { transaction, purpose } = token.unsignedTransaction;
+    const file = createUnsignedIssuanceFile(transaction, { network: this.network.name, purpose, token });
+    if (filePath) {
+      writeIssuanceFile(filePath, file);
+    }
+    return file;
+  }
 
-    if (token.finalized) {
-      throw new Error('Token is already finalized');
+  /**
+   * Import an offline-signed issuance file so the token can be deployed
+   */
+  importSignedIssuance(fileOrPath) {
+    this.keys.assertNotWatchOnly('import a signed issuance');
+    const file = typeof fileOrPath === 'string' ? readIssuanceFile(fileOrPath) : fileOrPath;
+    if (file.format !== SIGNED_ISSUANCE_FORMAT) {
+      throw new Error('Expected a signed issuance file');
     }
+    validateIssuanceFile(file);
 
-    // Build finalization transaction
-    const recipients = [{
-      address: token.recipientAddress,
-      amount: '0' // Finalization doesn't issue new tokens
-    }];
+    return this.withTokenLock(() => {
+      const tokens = this.getAllTokens();
+      const token = tokens.find(t => t.assetId === file.token.assetId);
+      if (!token) {
+        throw new Error('Token not found');
+      }
+      this.assertTokenNetwork(token);
 
-    const tx = this.issuance.buildIssuanceTransaction(
-      { name: token.name, symbol: token.symbol, description: token.description },
-      recipients,
-      true // finalize = true
-    );
+      const pending = token.unsignedTransaction;
+      if (!pending || pending.sighash !== file.sighash) {
+        throw new Error(`Signed file does not match the issuance awaiting a signature for ${token.symbol}`);
+      }
+      const firstIssuance = firstIssuanceAssetIds(pending.transaction);
+      if (!verifyIssuanceBundle(file.transaction.issuanceBundle, { firstIssuance })) {
+        throw new Error(`Signature does not verify under issuer ${file.transaction.issuanceBundle.issuer}`);
+      }
 
-    this.ensureTokensDir();
-    token.finalized = true;
-    token.status = 'pending_finalization';
-    this.addHistoryEntry(token, {
-      type: 'finalization'
+      // A multi-asset bundle is pending on every token it issues
+      tokens
+        .filter(t => t.unsignedTransaction && t.unsignedTransaction.sighash === file.sighash)
+        .forEach(affected => {
+          affected.transaction = file.transaction;
+          delete affected.unsignedTransaction;
+          transition(affected, 'issuance', 'ready');
+          this.addHistoryEntry(affected, {
+            type: 'offline_signature',
+            purpose: pending.purpose,
+            signedBy: file.signedBy || null,
+            signedAt: file.signedAt || null
+          });
+        });
+      this.persistTokens(tokens);
+      return token;
     });
-    tokens[tokenIndex] = token;
+  }
 
-    this.persistTokens(tokens);
+  /**
+   * Compute the asset description and asset ID an issuer account gives a token
+   * Needs only the public issuer, so it works in a watch-only profile.
+   */
+  describeAsset({ name, symbol, description = '', decimals = 0 }, account = null) {
+    const issuerAccount = this.keys.resolveAccount(account);
+    const assetDesc = createAssetDescription(name, symbol, description || '', parseDecimals(decimals));
+    const { assetId, assetDescHash } = computeAssetId(issuerAccount.issuer, assetDesc);
+    return { issuer: issuerAccount.issuer, issuerAccount, assetDesc, assetDescHash, assetId };
+  }
 
-    return {
-      token,
-      transaction: tx
-    };
+  /**
+   * Record an asset issued elsewhere by a watched issuer so it can be listed and inspected
+   */
+  trackToken({ name, symbol, description = '', decimals = 0, account = null }) {
+    if (!name || !symbol) {
+      throw new Error('Missing required fields: name, symbol');
+    }
+
+    return this.withTokenLock(() => {
+      const tokens = this.getAllTokens();
+      tokens.forEach(existing => this.assertTokenNetwork(existing));
+      const asset = this.describeAsset({ name: name.trim(), symbol: symbol.toUpperCase().trim(), description, decimals }, account);
+      const existing = tokens.find(t => t.assetId === asset.assetId);
+      if (existing) {
+        return existing;
+      }
+
+      const token = {
+        id: uuidv4(),
+        name: name.trim(),
+        symbol: symbol.toUpperCase().trim(),
+        description: description || '',
+        decimals: parseDecimals(decimals),
+        issuer: asset.issuer,
+        issuerAccount: { index: asset.issuerAccount.index, name: asset.issuerAccount.name },
+        assetId: asset.assetId,
+        assetDescHash: asset.assetDescHash,
+        assetDesc: asset.assetDesc,
+        // Supply is issued elsewhere and not known to this store
+        initialSupply: '0',
+        totalSupply: '0',
+        burnedSupply: '0',
+        finalized: false,
+        network: this.network.label,
+        status: 'tracked',
+        lifecycle: trackedLifecycle(),
+        tracked: true,
+        createdAt: new Date().toISOString(),
+        history: []
+      };
+      this.addHistoryEntry(token, { type: 'tracked' });
+
+      tokens.push(token);
+      this.persistTokens(tokens);
+      return token;
+    });
   }
 
   /**
-   * Get all created tokens
+   * Issuance builder bound to an issuer account
    */
-  getAllTokens() {
+  issuanceFor(accountIndex) {
+    return new IssuanceTransaction(this.keys, { account: accountIndex });
+  }
+
+  /**
+   * Find the account index that issued a token
+   * Matches by issuer so records survive account renames and older records without issuerAccount
+   */
+  resolveTokenAccount(token) {
+    const account = this.keys.findAccountByIssuer(token.issuer);
+    if (!account) {
+      throw new Error(`No issuer account holds the key for issuer ${token.issuer}`);
+    }
+    return account.index;
+  }
+
+  /**
+   * Rotate to a new issuer account
+   * Checks every asset still issuable under the old issuer against the policy, then derives a
+   * new account, queues a finalization for, freezes or leaves open each of those assets, and
+   * stores a handover record signed by both keys.
+   * openAssets: 'finalize' | 'freeze' | 'leave-open'
+   * A finalization is recorded as queued: it reaches the chain with the token's next deploy.
+   */
+  async rotateIssuer({ fromAccount = null, newAccountName, openAssets = 'freeze', reason = '' } = {}) {
+    const actions = { finalize: 'finalization_queued', freeze: 'frozen', 'leave-open': 'left_open' };
+    if (!actions[openAssets]) {
+      throw new Error('openAssets must be one of: finalize, freeze, leave-open');
+    }
+
+    this.keys.assertNotWatchOnly('rotate the issuer');
+    const oldAccount = this.keys.resolveAccount(fromAccount);
+    // Fail before creating the new account if the old key cannot sign
+    const oldISK = this.keys.deriveValidatingKey(this.keys.getISK(oldAccount.index)).normalizedISK;
+
+    // Fail before changing anything if an asset cannot take the policy
+    const openTokens = this.getTokensByIssuer(oldAccount.issuer).filter(t => !t.finalized && !t.tracked);
+    openTokens.forEach(token => {
+      this.assertTokenNetwork(token);
+      if (openAssets === 'finalize') {
+        assertOperation(token, 'finalize');
+        this.assertNoPendingSignature(token);
+        this.carriedIssuance(token);
+      }
+    });
+
+    const newAccount = this.keys.createAccount(newAccountName);
+    const newISK = this.keys.deriveValidatingKey(this.keys.getISK(newAccount.index)).normalizedISK;
+
+    const assets = [];
+    for (const token of openTokens) {
+      if (openAssets === 'finalize') {
+        await this.finalizeToken(token.assetId);
+      }
+      assets.push({ assetId: token.assetId, symbol: token.symbol, action: actions[openAssets] });
+    }
+
+    const statement = createHandoverStatement({
+      network: this.network.name,
+      oldAccount,
+      newAccount,
+      assets,
+      reason
+    });
+    const record = { id: uuidv4(), ...signHandoverStatement(statement, oldISK, newISK) };
+
+    this.withTokenLock(() => {
+      const handovers = this.getHandovers();
+      handovers.push(record);
+      this.persistHandovers(handovers);
+
+      // Mark the old issuer's tokens with the handover that covers them
+      const tokens = this.getAllTokens();
+      assets.forEach(asset => {
+        const token = tokens.find(t => t.assetId === asset.assetId);
+        token.rotatedTo = { issuer: newAccount.issuer, handoverId: record.id };
+        if (asset.action === 'frozen') {
+          token.frozen = { handoverId: record.id, frozenAt: statement.createdAt };
+        }
+        this.addHistoryEntry(token, {
+          type: 'issuer_rotation',
+          action: asset.action,
+          newIssuer: newAccount.issuer,
+          handoverId: record.id
+        });
+      });
+      this.persistTokens(tokens);
+    });
+
+    this.keys.selectAccount(newAccount.index);
+    return record;
+  }
+
+  /**
+   * Issuer handover records live next to the token records
+   */
+  getHandoversFile() {
+    return path.join(this.tokensDir, 'issuer-handovers.json');
+  }
+
+  getHandovers() {
+    const file = this.getHandoversFile();
+    const content = readStoreFile(file);
+    if (content === null) {
+      return [];
+    }
     try {
-      const data = fs.readFileSync(this.tokensFile, 'utf8');
-      return JSON.parse(data);
+      return JSON.parse(content);
     } catch (error) {
-      return [];
+      throw new Error(`Issuer handovers ${file} are unreadable: ${error.message}`);
+    }
+  }
+
+  persistHandovers(handovers) {
+    writeStoreFile(this.getHandoversFile(), JSON.stringify(handovers, null, 2));
+  }
+
+  /**
+   * The issued_assets state lives next to the token records
+   */
+  getIssuedAssetsFile() {
+    return path.join(this.tokensDir, 'issued-assets.json');
+  }
+
+  /**
+   * Load the issued_assets state
+   * Deployed tokens recorded before the state existed are seeded from their records with what
+   * has been broadcast: the supply less any queued issuance, finalized only once the finalize flag
+   * was broadcast. Tokens never deployed and tracked tokens are skipped.
+   */
+  loadIssuedAssets(tokens = this.getAllTokens()) {
+    const state = new IssuedAssetsState({ file: this.getIssuedAssetsFile(), network: this.network }).load();
+    tokens
+      .filter(token => !token.tracked && token.assetId && !state.get(token.assetId))
+      .filter(token => withLifecycle(token).lifecycle.deployment === 'deployed')
+      .forEach(token => {
+        const pending = issuedAmount(this.queuedActions(token));
+        state.seed(token.assetId, {
+          balance: (BigInt(token.totalSupply || '0') - pending).toString(),
+          isFinalized: token.lifecycle.finalization === 'finalized'
+        });
+      });
+    return state;
+  }
+
+  /**
+   * Apply a token's queued issue action to the issued_assets state once it is broadcast
+   * Only the token's own action is applied, so each token of a multi-asset bundle applies its part.
+   */
+  applyBroadcastIssuance(queued) {
+    if (!queued) {
+      return;
     }
+    this.loadIssuedAssets()
+      .applyIssuanceBundle({ ...queued.transaction.issuanceBundle, actions: [queued.action] })
+      .save();
+  }
+
+  /**
+   * Get all created tokens
+   */
+  getAllTokens() {
+    return this.tokenStore().list().map(withLifecycle);
   }
 
   /**
@@ -272,97 +1049,122 @@ export class TokenCreator {
 
   /**
    * Update token status
+   * deploying starts broadcasting the pending issuance, deployed and failed record its outcome;
+   * transitions the lifecycle does not allow throw a LifecycleError.
    */
   updateTokenStatus(assetId, status, transactionId = null) {
-    this.ensureTokensDir();
-    const tokens = this.getAllTokens();
-    const tokenIndex = tokens.findIndex(t => t.assetId === assetId);
-    
-    if (tokenIndex === -1) {
-      throw new Error('Token not found');
-    }
-
-    const token = tokens[tokenIndex];
-    token.status = status;
-    if (transactionId) {
-      token.transactionId = transactionId;
-      token.deployedAt = new Date().toISOString();
+    const steps = { deploying: startBroadcast, deployed: completeBroadcast, failed: failBroadcast };
+    if (!steps[status]) {
+      throw new LifecycleError(`Unknown token status: ${status}. Expected ${Object.keys(steps).join(', ')}`);
     }
 
-    if (status === 'deployed') {
-      this.addHistoryEntry(token, {
-        type: 'deployment',
-        transactionId: transactionId
-      });
-    } else if (status === 'failed') {
-      this.addHistoryEntry(token, {
-        type: 'deployment_failed'
-      });
-    }
-
-    tokens[tokenIndex] = token;
-
-    this.persistTokens(tokens);
+    this.ensureTokensDir();
+    return this.updateToken(assetId, token => {
+      if (status === 'deployed') {
+        // The issued_assets state and finalization follow what was broadcast
+        const queued = this.queuedIssuance(token);
+        this.applyBroadcastIssuance(queued);
+        completeBroadcast(token, { finalize: Boolean(queued && queued.action.finalize) });
+      } else {
+        steps[status](token);
+      }
+      if (transactionId) {
+        token.transactionId = transactionId;
+        token.deployedAt = new Date().toISOString();
+      }
 
-    return tokens[tokenIndex];
+      if (status === 'deployed') {
+        this.addHistoryEntry(token, {
+          type: 'deployment',
+          transactionId: transactionId
+        });
+      } else if (status === 'failed') {
+        this.addHistoryEntry(token, {
+          type: 'deployment_failed'
+        });
+      }
+    });
   }
 
   /**
-   * Deploy token to Zcash testnet (when ZSAs are available)
+   * Deploy token to the active Zcash network (when ZSAs are available)
    */
   async deployToken(assetId, options = {}) {
+    this.keys.assertNotWatchOnly('deploy a token');
     const token = this.getTokenByAssetId(assetId);
     if (!token) {
       throw new Error('Token not found');
     }
 
-    if (token.status === 'deployed') {
-      throw new Error('Token already deployed');
+    this.assertTokenNetwork(token);
+    this.assertNoPendingSignature(token);
+    assertOperation(token, 'deploy');
+
+    if (token.airdropQueue && token.airdropQueue.length > 0) {
+      return this.deployAirdrop(token, options);
+    }
+
+    if (token.bundle && token.bundle.assetIds.length > 1) {
+      const result = await this.deployBundle(token.bundle.id, options);
+      const deployed = result.tokens.find(t => t.assetId === assetId);
+      return { ...result, assetId, token: deployed, transaction: deployed.transaction };
     }
 
     const { mine = process.env.ZSA_MINE === 'true' } = options;
     const useCli = this.shouldUseCli(options);
 
+    // Broadcast exactly what the queued bundle issues, not the token's whole supply
+    const queued = this.queuedIssuance(token);
+    if (!queued) {
+      throw new LifecycleError(`Token ${token.symbol} has no built issuance bundle to broadcast; issue again to rebuild it`);
+    }
+    const notes = issuingNotes(queued.action);
+    const amount = issuedAmount([queued.action]);
+    const recipients = [...new Set(notes.map(note => note.recipientAddress))];
+    const finalize = Boolean(queued.action.finalize);
+    const firstIssuance = firstIssuanceAssetIds(queued.transaction).includes(assetId);
+    if (useCli && recipients.length > 1) {
+      // The tx-tool issue command pays one recipient per transaction
+      throw new Error(
+        `The Rust tx-tool cannot issue to ${recipients.length} recipients in one transaction yet; ` +
+          'broadcast the raw V6 transaction from IssuanceTransaction.prepareTransaction instead'
+      );
+    }
+    const recipient = recipients[0] || token.recipientAddress;
+    // A bundle the consensus rules would reject is not broadcast
+    this.loadIssuedAssets().checkIssuanceBundle({ ...queued.transaction.issuanceBundle, actions: [queued.action] });
+
     this.updateTokenStatus(assetId, 'deploying');
 
     const assetDescHashHex =
       token.assetDescHash || computeAssetDescHash(token.assetDesc).toString('hex');
     const assetDescHash = Buffer.from(assetDescHashHex, 'hex');
-    const parsedAmount = Number(token.totalSupply);
-
-    if (Number.isNaN(parsedAmount)) {
-      this.updateTokenStatus(assetId, 'failed');
-      throw new Error('Invalid token supply value; expected numeric string');
-    }
-
-    const firstIssuance = !token.history?.some(entry => entry.type === 'deployment');
     const shouldMine = Boolean(mine);
 
     if (!useCli) {
       const txId = `mock-${Date.now().toString(16)}`;
-      this.updateTokenStatus(assetId, 'deployed', txId);
-
-      const updatedToken = this.getTokenByAssetId(assetId);
-      if (updatedToken) {
-        const assetHex =
-          updatedToken.assetBytes ||
-          updatedToken.transaction?.asset ||
-          assetDescHashHex.toLowerCase();
-
-        updatedToken.transactionId = txId;
-        updatedToken.transaction = {
-          tx_id: txId,
-          asset: assetHex,
-          asset_desc_hash: assetDescHashHex.toLowerCase(),
-          amount: parsedAmount,
-          finalized: false,
-          first_issuance: firstIssuance,
-          broadcast: 'mock',
-          recipient: token.recipientAddress,
-        };
-        updatedToken.assetBytes = assetHex;
-        this.persistUpdatedToken(updatedToken);
-      }
+      const updatedToken = this.withTokenLock(() => {
+        this.updateTokenStatus(assetId, 'deployed', txId);
+        return this.updateToken(assetId, updated => {
+          const assetHex =
+            updated.assetBytes ||
+            updated.transaction?.asset ||
+            assetDescHashHex.toLowerCase();
+
+          updated.transactionId = txId;
+          updated.transaction = {
+            tx_id: txId,
+            asset: assetHex,
+            asset_desc_hash: assetDescHashHex.toLowerCase(),
+            amount: amount.toString(),
+            finalized: finalize,
+            first_issuance: firstIssuance,
+            broadcast: 'mock',
+            recipient,
+          };
+          updated.assetBytes = assetHex;
+        });
+      });
 
       return {
         success: true,
@@ -377,10 +1179,10 @@ export class TokenCreator {
       const payload = {
         asset_desc_hash: assetDescHash.toString('hex'),
         asset_name: token.name,
-        recipient: token.recipientAddress,
-        amount: parsedAmount,
+        recipient,
+        amount,
         first_issuance: firstIssuance,
-        finalize: false,
+        finalize,
         mine: shouldMine,
       };
 
@@ -389,17 +1191,16 @@ export class TokenCreator {
         throw new Error('Issue command did not return a transaction id; aborting deployment.');
       }
 
-      this.updateTokenStatus(assetId, 'deployed', result.tx_id);
-
-      const updatedToken = this.getTokenByAssetId(assetId);
-      if (updatedToken) {
-        updatedToken.transactionId = result.tx_id;
-        updatedToken.transaction = result;
-        if (result.asset) {
-          updatedToken.assetBytes = result.asset;
-        }
-        this.persistUpdatedToken(updatedToken);
-      }
+      const updatedToken = this.withTokenLock(() => {
+        this.updateTokenStatus(assetId, 'deployed', result.tx_id);
+        return this.updateToken(assetId, updated => {
+          updated.transactionId = result.tx_id;
+          updated.transaction = result;
+          if (result.asset) {
+            updated.assetBytes = result.asset;
+          }
+        });
+      });
 
       return {
         success: true,
@@ -447,6 +1248,154 @@ export class TokenCreator {
     }
   }
 
+  /**
+   * Broadcast the queued chunk transactions of an airdrop in order
+   * Every chunk is checked against the issued_assets state before any is sent. Each recipient's
+   * history entry is written with the transaction that paid them once it is broadcast.
+   */
+  async deployAirdrop(token, options = {}) {
+    const { assetId } = token;
+    if (this.shouldUseCli(options)) {
+      // The tx-tool issue command pays one recipient per transaction
+      throw new Error(
+        'The Rust tx-tool cannot issue an airdrop chunk in one transaction yet; ' +
+          'deploy airdrops with ZSA_USE_CLI=false, or broadcast the raw V6 transactions from ' +
+          'IssuanceTransaction.prepareTransaction instead'
+      );
+    }
+
+    let transactionIds;
+    const updatedToken = this.withTokenLock(() => {
+      // The queue and the issued_assets state are read, applied and saved under one lock so no
+      // other writer's change is lost; a chunk the consensus rules would reject throws here,
+      // before anything is broadcast
+      const queue = this.getTokenByAssetId(assetId).airdropQueue || [];
+      if (queue.length === 0) {
+        throw new LifecycleError(`Token ${token.symbol} has no airdrop waiting to be broadcast`);
+      }
+      const chunks = queue.map(entry => ({
+        ...entry,
+        action: entry.transaction.issuanceBundle.actions.find(action => action.assetId === assetId)
+      }));
+      transactionIds = chunks.map(({ transaction }) => computeTxId(transaction));
+      const issuedAssets = this.loadIssuedAssets();
+      chunks.forEach(({ transaction, action }) => issuedAssets.applyIssuanceBundle({ ...transaction.issuanceBundle, actions: [action] }));
+
+      this.updateTokenStatus(assetId, 'deploying');
+      issuedAssets.save();
+      this.updateToken(assetId, updated => {
+        chunks.forEach(({ airdropId, chunk, action }, index) => {
+          const transactionId = transactionIds[index];
+          issuingNotes(action).forEach(note => {
+            this.addHistoryEntry(updated, {
+              type: 'airdrop',
+              amount: note.value,
+              recipient: note.recipientAddress,
+              transactionId,
+              airdropId,
+              chunk
+            });
+          });
+          const batch = (updated.airdrops || []).find(entry => entry.id === airdropId)?.transactions[chunk - 1];
+          if (batch) {
+            batch.broadcastAt = new Date().toISOString();
+          }
+        });
+        delete updated.airdropQueue;
+        // The chunks are applied to the issued_assets state above, not again on completion
+        updated.transaction = {
+          tx_id: transactionIds[transactionIds.length - 1],
+          airdrop_transactions: transactionIds,
+          asset: updated.assetBytes || updated.assetDescHash.toLowerCase(),
+          asset_desc_hash: updated.assetDescHash.toLowerCase(),
+          amount: issuedAmount(chunks.map(({ action }) => action)).toString(),
+          finalized: false,
+          broadcast: 'mock'
+        };
+      });
+      return this.updateTokenStatus(assetId, 'deployed', transactionIds[transactionIds.length - 1]);
+    });
+
+    return {
+      success: true,
+      transactionId: transactionIds[transactionIds.length - 1],
+      transactionIds,
+      assetId,
+      token: updatedToken,
+      transaction: updatedToken.transaction
+    };
+  }
+
+  /**
+   * Deploy a multi-asset bundle as one transaction and mark every token it issues
+   * The bundle is checked against the issued_assets state first; its tokens then move through
+   * deploying to deployed, or to failed if recording the broadcast does not complete.
+   */
+  async deployBundle(bundleId, options = {}) {
+    this.keys.assertNotWatchOnly('deploy a bundle');
+    const tokens = this.getAllTokens().filter(t => t.bundle && t.bundle.id === bundleId);
+    if (tokens.length === 0) {
+      throw new Error(`Bundle not found: ${bundleId}`);
+    }
+    tokens.forEach(token => {
+      this.assertTokenNetwork(token);
+      this.assertNoPendingSignature(token);
+      assertOperation(token, 'deploy');
+    });
+
+    if (this.shouldUseCli(options)) {
+      // The tx-tool issue command builds one asset per transaction
+      throw new Error(
+        'The Rust tx-tool cannot issue several assets in one transaction yet; ' +
+          'broadcast the raw V6 transaction from IssuanceTransaction.prepareTransaction instead'
+      );
+    }
+
+    const queued = tokens.map(token => this.queuedIssuance(token));
+    if (queued.some(entry => !entry)) {
+      throw new LifecycleError(`Bundle ${bundleId} has no built issuance bundle to broadcast; issue it again to rebuild it`);
+    }
+    const { transaction } = queued[0];
+    // A bundle the consensus rules would reject is not broadcast
+    this.loadIssuedAssets().checkIssuanceBundle(transaction.issuanceBundle);
+    const txId = computeTxId(transaction);
+
+    tokens.forEach(token => this.updateTokenStatus(token.assetId, 'deploying'));
+    let deployed;
+    try {
+      deployed = this.withTokenLock(() => tokens.map((token, index) => {
+        const { action } = queued[index];
+        this.updateTokenStatus(token.assetId, 'deployed', txId);
+        return this.updateToken(token.assetId, updatedToken => {
+          const assetDescHashHex = updatedToken.assetDescHash.toLowerCase();
+          updatedToken.transaction = {
+            tx_id: txId,
+            bundle_id: bundleId,
+            asset: updatedToken.assetBytes || assetDescHashHex,
+            asset_desc_hash: assetDescHashHex,
+            amount: issuedAmount([action]).toString(),
+            finalized: Boolean(action.finalize),
+            broadcast: 'mock'
+          };
+          updatedToken.assetBytes = updatedToken.transaction.asset;
+        });
+      }));
+    } catch (error) {
+      // Tokens the bundle did not reach can be deployed again
+      tokens
+        .filter(token => this.getTokenByAssetId(token.assetId).lifecycle.issuance === 'broadcasting')
+        .forEach(token => this.updateTokenStatus(token.assetId, 'failed'));
+      throw error;
+    }
+
+    return {
+      success: true,
+      transactionId: txId,
+      bundleId,
+      tokens: deployed
+    };
+  }
+
   /**
    * Persist the current token list and individual token files
    */
@@ -494,59 +1443,20 @@ export class TokenCreator {
     if (!updatedToken) {
       return;
     }
-    const tokens = this.getAllTokens();
-    const index = tokens.findIndex(t => t.assetId === updatedToken.assetId);
-    if (index !== -1) {
-      tokens[index] = updatedToken;
-      this.persistTokens(tokens);
-    }
+    this.withTokenLock(() => {
+      const existing = this.getTokenByAssetId(updatedToken.assetId);
+      if (existing) {
+        this.tokenStore().put({ ...updatedToken, id: existing.id });
+      }
+    });
   }
 
   /**
-   * Persist the current token list and individual token files
+   * Persist the current token list
+   * The JSON backend also keeps a <id>.json copy of each token.
    */
   persistTokens(tokens) {
-    const tokensDir = this.tokensDir;
-    fs.mkdirSync(tokensDir, { recursive: true });
-    fs.mkdirSync(path.dirname(this.tokensFile), { recursive: true });
-    const serializedTokens = JSON.stringify(tokens, null, 2);
-    try {
-      fs.writeFileSync(this.tokensFile, serializedTokens);
-    } catch (error) {
-      if (error.code === 'ENOENT' || error.code === 'EPERM') {
-        fs.mkdirSync(path.dirname(this.tokensFile), { recursive: true });
-        try {
-          fs.unlinkSync(this.tokensFile);
-        } catch (_) {
-          // Ignore unlink errors
-        }
-        fs.writeFileSync(this.tokensFile, serializedTokens);
-      } else {
-        throw error;
-      }
-    }
-    tokens.forEach(token => {
-      const tokenConfigPath = path.join(tokensDir, `${token.id}.json`);
-      fs.mkdirSync(path.dirname(tokenConfigPath), { recursive: true });
-      const serialized = JSON.stringify(token, null, 2);
-      try {
-        fs.writeFileSync(tokenConfigPath, serialized);
-      } catch (error) {
-        if (error.code === 'EPERM') {
-          try {
-            fs.unlinkSync(tokenConfigPath);
-          } catch (_) {
-            // Ignore unlink errors; we'll retry the write
-          }
-          fs.writeFileSync(tokenConfigPath, serialized);
-        } else if (error.code === 'ENOENT') {
-          fs.mkdirSync(path.dirname(tokenConfigPath), { recursive: true });
-          fs.writeFileSync(tokenConfigPath, serialized);
-        } else {
-          throw error;
-        }
-      }
-    });
+    this.tokenStore().saveAll(tokens);
   }
 
   /**
@@ -567,16 +1477,18 @@ export class TokenCreator {
    * Transfer tokens using the Rust CLI (or fallback mock when CLI is disabled)
    */
   async transferToken(assetId, recipientAddress, amount, options = {}) {
-    const token = this.getTokenByAssetId(assetId);
+    this.keys.assertNotWatchOnly('transfer tokens');
+    let token = this.getTokenByAssetId(assetId);
     if (!token) {
       throw new Error('Token not found');
     }
 
+    this.assertTokenNetwork(token);
+    assertOperation(token, 'transfer');
+    assertAddressNetwork(recipientAddress, this.network);
+
     const useCli = this.shouldUseCli(options);
-    const numericAmount = Number(amount);
-    if (!Number.isSafeInteger(numericAmount) || numericAmount <= 0) {
-      throw new Error('Transfer amount must be a positive integer');
-    }
+    const transferAmount = parseAmount(amount, { label: 'Transfer amount' });
 
     const assetHex = this.getAssetHexForToken(token);
     if (!assetHex) {
@@ -588,18 +1500,17 @@ export class TokenCreator {
 
     if (!useCli) {
       const mockTxId = `mock-${Date.now().toString(16)}`;
-      this.addHistoryEntry(token, {
+      token = this.updateToken(assetId, current => this.addHistoryEntry(current, {
         type: 'transfer',
-        amount: numericAmount.toString(),
+        amount: transferAmount.toString(),
         recipient: recipientValue,
         transactionId: mockTxId,
         broadcast: 'mock',
-      });
-      this.persistUpdatedToken(token);
+      }));
       const mockResult = {
         tx_id: mockTxId,
         asset: assetHex,
-        amount: numericAmount,
+        amount: transferAmount.toString(),
         broadcast: 'mock',
         recipient: recipientValue,
       };
@@ -616,7 +1527,7 @@ export class TokenCreator {
       const payload = {
         asset: assetHex,
         recipient: recipientHex,
-        amount: numericAmount,
+        amount: transferAmount,
         mine: Boolean(options.mine),
       };
 
@@ -625,14 +1536,12 @@ export class TokenCreator {
         throw new Error('Transfer command did not return a transaction id; aborting transfer.');
       }
 
-      this.addHistoryEntry(token, {
+      token = this.updateToken(assetId, current => this.addHistoryEntry(current, {
         type: 'transfer',
-        amount: numericAmount.toString(),
+        amount: transferAmount.toString(),
         recipient: recipientValue,
         transactionId: result.tx_id,
-      });
-
-      this.persistUpdatedToken(token);
+      }));
 
       return {
         success: true,
@@ -642,13 +1551,12 @@ export class TokenCreator {
         transaction: result,
       };
     } catch (error) {
-      this.addHistoryEntry(token, {
+      token = this.updateToken(assetId, current => this.addHistoryEntry(current, {
         type: 'transfer_failed',
-        amount: numericAmount.toString(),
+        amount: transferAmount.toString(),
         recipient: recipientValue,
         error: error?.message,
-      });
-      this.persistUpdatedToken(token);
+      }));
 
       if (error instanceof TxToolCommandError) {
         if (error.code === 'TX_TOOL_COMMAND_VALIDATION') {
@@ -677,15 +1585,16 @@ export class TokenCreator {
    * Burn tokens by sending to the incinerator wallet
    */
   async burnTokens(assetId, amount, options = {}) {
-    const token = this.getTokenByAssetId(assetId);
+    this.keys.assertNotWatchOnly('burn tokens');
+    let token = this.getTokenByAssetId(assetId);
     if (!token) {
       throw new Error('Token not found');
     }
 
-    const burnAmount = BigInt(amount.toString());
-    if (burnAmount <= 0n) {
-      throw new Error('Burn amount must be greater than zero');
-    }
+    this.assertTokenNetwork(token);
+    assertOperation(token, 'burn');
+
+    const burnAmount = parseAmount(amount, { label: 'Burn amount' });
 
     const assetHex = this.getAssetHexForToken(token);
     if (!assetHex) {
@@ -696,18 +1605,16 @@ export class TokenCreator {
     if (burnAmount > currentSupply) {
       throw new Error('Burn amount exceeds total supply');
     }
+    const burns = [{ assetId, amount: burnAmount.toString() }];
+    this.loadIssuedAssets().checkBurn(burns);
 
     const useCli = this.shouldUseCli(options);
     const burnAddress = options.burnAddress || INCINERATOR_ADDRESS;
     const shouldMine = Boolean(options.mine);
 
     if (!useCli) {
-      const updatedSupply = (currentSupply - burnAmount).toString();
-      const burnedSoFar = BigInt(token.burnedSupply || '0');
-      const updatedBurned = (burnedSoFar + burnAmount).toString();
       const mockTxId = `mock-${Date.now().toString(16)}`;
-
-      this.addHistoryEntry(token, {
+      token = this.recordBurn(assetId, burns, {
         type: 'burn',
         amount: burnAmount.toString(),
         recipient: burnAddress,
@@ -715,12 +1622,6 @@ export class TokenCreator {
         broadcast: 'mock',
       });
 
-      token.totalSupply = updatedSupply;
-      token.burnedSupply = updatedBurned;
-      token.status = 'deployed';
-
-      this.persistUpdatedToken(token);
-
       return {
         success: true,
         transactionId: mockTxId,
@@ -729,7 +1630,7 @@ export class TokenCreator {
         transaction: {
           tx_id: mockTxId,
           asset: assetHex,
-          amount: Number(burnAmount),
+          amount: burnAmount.toString(),
           broadcast: 'mock',
         },
         burnAddress,
@@ -740,7 +1641,7 @@ export class TokenCreator {
     try {
       const payload = {
         asset: assetHex,
-        amount: Number(burnAmount),
+        amount: burnAmount,
         mine: shouldMine,
       };
 
@@ -749,23 +1650,13 @@ export class TokenCreator {
         throw new Error('Burn command did not return a transaction id; aborting burn.');
       }
 
-      const updatedSupply = (currentSupply - burnAmount).toString();
-      const burnedSoFar = BigInt(token.burnedSupply || '0');
-      const updatedBurned = (burnedSoFar + burnAmount).toString();
-
-      this.addHistoryEntry(token, {
+      token = this.recordBurn(assetId, burns, {
         type: 'burn',
         amount: burnAmount.toString(),
         recipient: burnAddress,
         transactionId: result.tx_id,
       });
 
-      token.totalSupply = updatedSupply;
-      token.burnedSupply = updatedBurned;
-      token.status = 'deployed';
-
-      this.persistUpdatedToken(token);
-
       return {
         success: true,
         transactionId: result.tx_id,
@@ -776,13 +1667,12 @@ export class TokenCreator {
         amountBurned: burnAmount.toString(),
       };
     } catch (error) {
-      this.addHistoryEntry(token, {
+      token = this.updateToken(assetId, current => this.addHistoryEntry(current, {
         type: 'burn_failed',
         amount: burnAmount.toString(),
         recipient: burnAddress,
         error: error?.message,
-      });
-      this.persistUpdatedToken(token);
+      }));
 
       if (error instanceof TxToolCommandError) {
         if (error.code === 'TX_TOOL_COMMAND_VALIDATION') {
@@ -807,6 +1697,24 @@ export class TokenCreator {
     }
   }
 
+  /**
+   * Record a burn on the stored token and the issued_assets state under the store lock
+   * Supplies are taken from the records as they are now, not as they were before the burn was sent.
+   */
+  recordBurn(assetId, burns, entry) {
+    return this.withTokenLock(() => {
+      const amount = BigInt(entry.amount);
+      const issuedAssets = this.loadIssuedAssets().applyBurn(burns);
+      const token = this.updateToken(assetId, current => {
+        this.addHistoryEntry(current, entry);
+        current.totalSupply = (BigInt(current.totalSupply) - amount).toString();
+        current.burnedSupply = (BigInt(current.burnedSupply || '0') + amount).toString();
+      });
+      issuedAssets.save();
+      return token;
+    });
+  }
+
   getIncineratorAddress() {
     return INCINERATOR_ADDRESS;
   }
@@ -0,0 +1,151 @@
+/**
+ * Version 6 Transaction Serialization for ZIP 227 / ZIP 230
+ * Encodes and decodes V6 transaction bytes carrying an issuance bundle,
+ * and computes the ZIP 244/246 transaction id
+ */
+
+import { blake2b256 } from './crypto.js';
+import {
+  ByteReader,
+  computeIssuanceDigest,
+  encodeCompactSize,
+  encodeIssuanceBundle,
+  decodeIssuanceBundle
+} from './bundle-encoding.js';
+
+export const TX_VERSION_V6 = 6;
+export const OVERWINTERED_FLAG = 0x80000000;
+export const V6_VERSION_GROUP_ID = 0x77777777;
+export const NU7_CONSENSUS_BRANCH_ID = 0x77190ad8;
+
+const EMPTY_BUNDLE = { issuer: '', actions: [], signature: null };
+
+function uint32LE(value) {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32LE(value >>> 0);
+  return buf;
+}
+
+/**
+ * Resolve header fields, defaulting to a V6 NU7 transaction
+ */
+function headerFields(tx) {
+  return {
+    version: tx.version ?? TX_VERSION_V6,
+    versionGroupId: tx.versionGroupId ?? V6_VERSION_GROUP_ID,
+    consensusBranchId: tx.consensusBranchId ?? NU7_CONSENSUS_BRANCH_ID,
+    lockTime: tx.lockTime ?? 0,
+    expiryHeight: tx.expiryHeight ?? 0
+  };
+}
+
+function encodeHeader(tx) {
+  const { version, versionGroupId, consensusBranchId, lockTime, expiryHeight } = headerFields(tx);
+  if (version !== TX_VERSION_V6) {
+    throw new Error(`Only version ${TX_VERSION_V6} transactions are supported, got ${version}`);
+  }
+
+  return Buffer.concat([
+    uint32LE((OVERWINTERED_FLAG | version) >>> 0),
+    uint32LE(versionGroupId),
+    uint32LE(consensusBranchId),
+    uint32LE(lockTime),
+    uint32LE(expiryHeight)
+  ]);
+}
+
+/**
+ * Encode a V6 transaction
+ * Layout: header || transparent (empty) || Sapling (empty) || Orchard (empty) || issuance bundle
+ */
+export function encodeTransaction(tx) {
+  return Buffer.concat([
+    encodeHeader(tx),
+    encodeCompactSize(0), // tx_in_count
+    encodeCompactSize(0), // tx_out_count
+    encodeCompactSize(0), // nSpendsSapling
+    encodeCompactSize(0), // nOutputsSapling
+    encodeCompactSize(0), // nActionsOrchard
+    encodeIssuanceBundle(tx.issuanceBundle || EMPTY_BUNDLE)
+  ]);
+}
+
+/**
+ * Decode V6 transaction bytes (Buffer or hex string)
+ * Only issuance-only transactions are decoded, as this module builds them: transparent, Sapling
+ * and Orchard parts are not parsed, and computeTxId digests them as empty.
+ */
+export function decodeTransaction(raw) {
+  const bytes = typeof raw === 'string' ? Buffer.from(raw.trim(), 'hex') : Buffer.from(raw);
+  const reader = new ByteReader(bytes);
+
+  const header = reader.readUInt32LE();
+  if ((header & OVERWINTERED_FLAG) === 0) {
+    throw new Error('Transaction is not overwintered');
+  }
+  const version = header & 0x7fffffff;
+  if (version !== TX_VERSION_V6) {
+    throw new Error(`Only version ${TX_VERSION_V6} transactions are supported, got ${version}`);
+  }
+
+  const versionGroupId = reader.readUInt32LE();
+  if (versionGroupId !== V6_VERSION_GROUP_ID) {
+    throw new Error(`Unexpected version group id 0x${versionGroupId.toString(16)}`);
+  }
+
+  const consensusBranchId = reader.readUInt32LE();
+  const lockTime = reader.readUInt32LE();
+  const expiryHeight = reader.readUInt32LE();
+
+  const emptyParts = ['transparent inputs', 'transparent outputs', 'Sapling spends', 'Sapling outputs', 'Orchard actions'];
+  emptyParts.forEach(part => {
+    if (reader.readCompactSize() !== 0) {
+      throw new Error(`Transaction has ${part}; only issuance-only V6 transactions can be decoded`);
+    }
+  });
+
+  const bundle = decodeIssuanceBundle(reader);
+  if (reader.remaining() !== 0) {
+    throw new Error(`Trailing data after transaction: ${reader.remaining()} bytes`);
+  }
+
+  const tx = {
+    version,
+    versionGroupId,
+    consensusBranchId,
+    lockTime,
+    expiryHeight,
+    issuanceBundle: bundle.actions.length > 0 ? bundle : null
+  };
+  tx.txid = computeTxId(tx);
+  return tx;
+}
+
+/**
+ * Compute the header digest
+ * ZIP 244: BLAKE2b-256("ZTxIdHeadersHash", header || versionGroupId || branchId || lockTime || expiryHeight)
+ */
+export function computeHeaderDigest(tx) {
+  return blake2b256(encodeHeader(tx), 'ZTxIdHeadersHash');
+}
+
+/**
+ * Compute the transaction id
+ * ZIP 244/246: BLAKE2b-256("ZcashTxHash_" || branchId, header || transparent || sapling || orchard || issuance digests)
+ * Returned in RPC display order (byte-reversed), as accepted by getrawtransaction.
+ */
+export function computeTxId(tx) {
+  const { consensusBranchId } = headerFields(tx);
+  const personalization = Buffer.concat([Buffer.from('ZcashTxHash_', 'utf8'), uint32LE(consensusBranchId)]);
+  const digest = blake2b256(
+    Buffer.concat([
+      computeHeaderDigest(tx),
+      blake2b256(Buffer.alloc(0), 'ZTxIdTranspaHash'),
+      blake2b256(Buffer.alloc(0), 'ZTxIdSaplingHash'),
+      blake2b256(Buffer.alloc(0), 'ZTxIdOrchardHash'),
+      computeIssuanceDigest(tx.issuanceBundle || EMPTY_BUNDLE)
+    ]),
+    personalization
+  );
+  return Buffer.from(digest).reverse().toString('hex');
+}
@@ -7,14 +7,19 @@ import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { assertSameNetwork, resolveNetwork } from './network.js';
+import { defaultDatabaseFile, openCollection, resolveStorageBackend } from './storage.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 export class WalletManager {
-  constructor() {
+  constructor({ network = null, storage = null } = {}) {
+    this.network = resolveNetwork(network);
+    this.storage = resolveStorageBackend(storage);
     this.walletsDir = path.join(__dirname, '..', 'wallets');
     this.walletsFile = path.join(this.walletsDir, 'wallets.json');
+    this.databaseFile = defaultDatabaseFile();
     this.ensureWalletsDir();
   }
 
@@ -22,20 +27,39 @@ export class WalletManager {
     if (!fs.existsSync(this.walletsDir)) {
       fs.mkdirSync(this.walletsDir, { recursive: true });
     }
-    if (!fs.existsSync(this.walletsFile)) {
-      fs.writeFileSync(this.walletsFile, JSON.stringify([], null, 2));
+    if (this.storage === 'json' && !fs.existsSync(this.walletsFile)) {
+      // wx: never truncate an index another process has just written
+      try {
+        fs.writeFileSync(this.walletsFile, JSON.stringify([], null, 2), { flag: 'wx' });
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
     }
   }
 
   /**
-   * Generate a new Zcash testnet address
+   * Wallet record store on the configured backend
+   */
+  walletStore() {
+    return openCollection('wallets', {
+      backend: this.storage,
+      indexFile: this.walletsFile,
+      recordDir: this.walletsDir,
+      databaseFile: this.databaseFile
+    });
+  }
+
+  /**
+   * Generate a new Zcash address for the active network
    * Note: This generates a mock address format. In production, use proper Zcash address generation.
    */
   generateAddress(type = 'sapling') {
     // Generate random address (mock implementation)
     // In production, use proper Zcash address generation library
     const randomBytes = crypto.randomBytes(20);
-    const prefix = type === 'sapling' ? 'zt' : 'zt';
+    const prefix = type === 'sapling' ? this.network.saplingHrp : this.network.unifiedHrp;
     const address = prefix + '1' + randomBytes.toString('hex').substring(0, 30);
     
     return address;
@@ -45,6 +69,9 @@ export class WalletManager {
    * Create a new wallet
    */
   createWallet(name, type = 'sapling') {
+    const wallets = this.getAllWallets();
+    wallets.forEach(existing => assertSameNetwork(existing.network, this.network, `Wallet ${existing.name}`));
+
     const address = this.generateAddress(type);
     const privateKey = crypto.randomBytes(32).toString('hex'); // Mock private key
     
@@ -53,22 +80,14 @@ export class WalletManager {
       name: name,
       address: address,
       type: type,
-      network: 'testnet',
+      network: this.network.name,
       privateKey: privateKey, // In production, encrypt this!
       createdAt: new Date().toISOString(),
       balance: '0',
       transactions: []
     };
 
-    // Save wallet
-    const wallets = this.getAllWallets();
-    wallets.push(wallet);
-    fs.writeFileSync(this.walletsFile, JSON.stringify(wallets, null, 2));
-
-    // Save individual wallet file
-    const walletFile = path.join(this.walletsDir, `${wallet.id}.json`);
-    fs.writeFileSync(walletFile, JSON.stringify(wallet, null, 2));
-
+    this.walletStore().put(wallet);
     return wallet;
   }
 
@@ -76,12 +95,7 @@ export class WalletManager {
    * Get all wallets
    */
   getAllWallets() {
-    try {
-      const data = fs.readFileSync(this.walletsFile, 'utf8');
-      return JSON.parse(data);
-    } catch (error) {
-      return [];
-    }
+    return this.walletStore().list();
   }
 
   /**
@@ -112,15 +126,7 @@ export class WalletManager {
     }
 
     const wallet = wallets[walletIndex];
-    wallets.splice(walletIndex, 1);
-    fs.writeFileSync(this.walletsFile, JSON.stringify(wallets, null, 2));
-
-    // Delete individual wallet file
-    const walletFile = path.join(this.walletsDir, `${wallet.id}.json`);
-    if (fs.existsSync(walletFile)) {
-      fs.unlinkSync(walletFile);
-    }
-
+    this.walletStore().remove(wallet.id);
     return wallet;
   }
 
@@ -6,8 +6,8 @@
 import { ZcashClient } from './zcash-client.js';
 
 export class ZcashBlockchain {
-  constructor() {
-    this.client = new ZcashClient();
+  constructor({ network = null } = {}) {
+    this.client = new ZcashClient({ network });
   }
 
   /**
@@ -80,14 +80,14 @@ export class ZcashBlockchain {
       return {
         address: address,
         balance: balance || '0',
-        network: 'testnet'
+        network: this.client.network.name
       };
     } catch (error) {
       // If node is not available, return mock balance
       return {
         address: address,
         balance: '0',
-        network: 'testnet',
+        network: this.client.network.name,
         message: 'Zcash node not available. This is a mock balance.'
       };
     }
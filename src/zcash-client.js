@@ -1,14 +1,41 @@
 /**
  * Zcash Client Utility
- * Handles connections to Zcash testnet and token operations
+ * Handles connections to a Zcash node (mainnet, testnet or regtest) and token operations
  */
 
+import { resolveNetwork } from './network.js';
+
 export class ZcashClient {
   constructor(config = {}) {
-    this.rpcUrl = config.rpcUrl || process.env.ZCASH_TESTNET_RPC_URL || 'http://localhost:18232';
-    this.rpcUser = config.rpcUser || process.env.ZCASH_TESTNET_RPC_USER;
-    this.rpcPassword = config.rpcPassword || process.env.ZCASH_TESTNET_RPC_PASSWORD;
-    this.testnet = config.testnet !== false;
+    this.network = resolveNetwork(config.network || (config.testnet === false ? 'mainnet' : null));
+    this.rpcUrl = config.rpcUrl || this.defaultRpcUrl();
+    this.rpcUser = config.rpcUser || process.env.ZCASH_RPC_USER || process.env.ZCASH_TESTNET_RPC_USER;
+    this.rpcPassword = config.rpcPassword || process.env.ZCASH_RPC_PASSWORD || process.env.ZCASH_TESTNET_RPC_PASSWORD;
+    this.testnet = this.network.name !== 'mainnet';
+  }
+
+  /**
+   * Default RPC endpoint: ZCASH_RPC_URL, then the testnet-specific variable, then the network's port
+   */
+  defaultRpcUrl() {
+    if (process.env.ZCASH_RPC_URL) {
+      return process.env.ZCASH_RPC_URL;
+    }
+    if (this.network.name === 'testnet' && process.env.ZCASH_TESTNET_RPC_URL) {
+      return process.env.ZCASH_TESTNET_RPC_URL;
+    }
+    return `http://localhost:${this.network.rpcPort}`;
+  }
+
+  /**
+   * Confirm the node runs the same chain as the configured network
+   */
+  async assertNodeNetwork() {
+    const info = await this.getBlockchainInfo();
+    if (info && info.chain && info.chain !== this.network.chain) {
+      throw new Error(`Zcash node is on ${info.chain}, but the active network is ${this.network.name}`);
+    }
+    return info;
   }
 
   /**
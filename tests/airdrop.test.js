@@ -0,0 +1,125 @@
+/**
+ * Tests for airdrop lists and batch issuance
+ */
+
+// Jest tests use global functions in Node.js ESM mode
+import { TokenCreator } from '../src/token-creator.js';
+import {
+  MAX_ISSUE,
+  chunkRecipients,
+  parseAirdropList,
+  validateAirdropRows
+} from '../src/airdrop.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('Airdrop', () => {
+  const testTokensDir = path.join(__dirname, '..', 'test-tokens');
+  const testKeysDir = path.join(__dirname, '..', 'test-keys');
+  let tokenCreator;
+
+  beforeEach(() => {
+    fs.rmSync(testTokensDir, { recursive: true, force: true });
+    fs.rmSync(testKeysDir, { recursive: true, force: true });
+    tokenCreator = new TokenCreator();
+    tokenCreator.tokensDir = testTokensDir;
+    tokenCreator.tokensFile = path.join(testTokensDir, 'created-tokens.json');
+    tokenCreator.keys.keysDir = testKeysDir;
+    tokenCreator.keys.keysFile = path.join(testKeysDir, 'issuance-keys.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(testTokensDir, { recursive: true, force: true });
+    fs.rmSync(testKeysDir, { recursive: true, force: true });
+  });
+
+  test('should parse CSV with a header and comments, and JSON lists', () => {
+    const csv = 'address,amount\n# early supporters\nzt1alice000000001, 100\n\n"zt1bob0000000002",25\n';
+    expect(parseAirdropList(csv)).toEqual([
+      { line: 3, address: 'zt1alice000000001', amount: '100', extra: false },
+      { line: 5, address: 'zt1bob0000000002', amount: '25', extra: false }
+    ]);
+
+    const json = JSON.stringify([{ address: 'zt1alice000000001', amount: '100' }, ['zt1bob0000000002', 25]]);
+    expect(parseAirdropList(json, 'json').map(row => row.amount)).toEqual(['100', '25']);
+  });
+
+  test('should report every invalid row at once', () => {
+    const rows = parseAirdropList([
+      'zt1alice000000001,100',
+      'zs1mainnetaddress,5',
+      'zt1carol000000003,-4',
+      ',7',
+      'zt1dave0000000004,1.5',
+      'zt1erin0000000005,3,extra'
+    ].join('\n'));
+
+    let message = '';
+    try {
+      validateAirdropRows(rows, { network: 'testnet' });
+    } catch (error) {
+      message = error.message;
+    }
+    expect(message).toContain('5 invalid row(s)');
+    expect(message).toContain('Row 2: address zs1mainnetaddress is a mainnet address');
+    expect(message).toContain('Row 3: amount -4 must be a positive whole number');
+    expect(message).toContain('Row 4: address is missing');
+    expect(message).toContain('Row 5: amount 1.5');
+    expect(message).toContain('Row 6: expected exactly two columns');
+  });
+
+  test('should total amounts against MAX_ISSUE and chunk by note limit', () => {
+    const rows = parseAirdropList(`zt1alice000000001,${MAX_ISSUE}\nzt1bob0000000002,1`);
+    expect(() => validateAirdropRows(rows, { network: 'testnet' })).toThrow('exceeds');
+
+    const recipients = Array.from({ length: 7 }, (_, i) => ({ address: `zt1user${i}`, amount: '1' }));
+    expect(chunkRecipients(recipients, 3).map(chunk => chunk.length)).toEqual([3, 3, 1]);
+    expect(() => chunkRecipients(recipients, 0)).toThrow('Note limit must be a positive integer');
+  });
+
+  test('should airdrop a new token in chunks with per-recipient history', async () => {
+    const rows = parseAirdropList(
+      Array.from({ length: 5 }, (_, i) => `zt1holder00000000${i},${(i + 1) * 10}`).join('\n')
+    );
+    const result = await tokenCreator.airdrop({ name: 'DropCoin', symbol: 'DROP' }, rows, { noteLimit: 2 });
+
+    expect(result.transactions).toHaveLength(3);
+    expect(result.transactions[0].issuanceBundle.actions[0].notes).toHaveLength(2);
+    expect(result.total).toBe('150');
+
+    // Recipients are recorded once their chunk is broadcast, not when it is built
+    let token = tokenCreator.getTokenByAssetId(result.token.assetId);
+    expect(token.totalSupply).toBe('150');
+    expect(token.airdropQueue).toHaveLength(3);
+    expect(token.history.filter(entry => entry.type === 'airdrop')).toHaveLength(0);
+    expect(tokenCreator.loadIssuedAssets().get(token.assetId)).toBeNull();
+    await expect(tokenCreator.airdrop({ assetId: token.assetId }, rows.slice(0, 1)))
+      .rejects.toThrow('waiting to be broadcast');
+    await expect(tokenCreator.issueMore(token.assetId, '5', 'zt1test123456789'))
+      .rejects.toThrow('airdrop waiting to be broadcast');
+
+    // The tx-tool cannot broadcast the chunks; nothing changes when it is asked to
+    await expect(tokenCreator.deployToken(token.assetId, { useCli: true })).rejects.toThrow('ZSA_USE_CLI=false');
+    expect(tokenCreator.getTokenByAssetId(token.assetId).lifecycle.deployment).toBe('pending');
+
+    const deployed = await tokenCreator.deployToken(token.assetId, { useCli: false });
+    expect(deployed.transactionIds).toEqual(result.batches.map(batch => batch.transactionId));
+    token = tokenCreator.getTokenByAssetId(token.assetId);
+    expect(token.airdropQueue).toBeUndefined();
+    expect(token.airdrops[0].transactions.every(batch => batch.broadcastAt)).toBe(true);
+    expect(tokenCreator.loadIssuedAssets().get(token.assetId).balance).toBe('150');
+    const entries = token.history.filter(entry => entry.type === 'airdrop');
+    expect(entries).toHaveLength(5);
+    expect(entries[4].recipient).toBe('zt1holder000000004');
+    expect(entries[4].transactionId).toBe(result.batches[2].transactionId);
+    expect(entries[0].transactionId).not.toBe(entries[4].transactionId);
+
+    const again = await tokenCreator.airdrop({ assetId: token.assetId }, rows.slice(0, 1));
+    expect(again.token.totalSupply).toBe('160');
+    expect(again.token.airdrops).toHaveLength(2);
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Tests for BigInt-safe amount handling and token decimals
+ */
+
+// Jest tests use global functions in Node.js ESM mode
+import { TokenCreator } from '../src/token-creator.js';
+import { MAX_ISSUE, formatAmount, parseAmount, parseDecimals } from '../src/amount.js';
+import { parseAirdropList, validateAirdropRows } from '../src/airdrop.js';
+import { parseAssetDescription } from '../src/crypto.js';
+import { parseCommandOutput, serializePayload } from '../scripts/tx-tool-command.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Past Number.MAX_SAFE_INTEGER (2^53 - 1); Number() would round these
+const LARGE_SUPPLY = '1000000000000000001';
+const LARGE_TRANSFER = '9007199254740993';
+
+describe('Amounts', () => {
+  const testTokensDir = path.join(__dirname, '..', 'test-tokens');
+  const testKeysDir = path.join(__dirname, '..', 'test-keys');
+  let tokenCreator;
+
+  beforeEach(() => {
+    fs.rmSync(testTokensDir, { recursive: true, force: true });
+    fs.rmSync(testKeysDir, { recursive: true, force: true });
+    tokenCreator = new TokenCreator();
+    tokenCreator.tokensDir = testTokensDir;
+    tokenCreator.tokensFile = path.join(testTokensDir, 'created-tokens.json');
+    tokenCreator.keys.keysDir = testKeysDir;
+    tokenCreator.keys.keysFile = path.join(testKeysDir, 'issuance-keys.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(testTokensDir, { recursive: true, force: true });
+    fs.rmSync(testKeysDir, { recursive: true, force: true });
+  });
+
+  test('should parse amounts exactly and reject what cannot be trusted', () => {
+    expect(parseAmount(LARGE_SUPPLY)).toBe(1000000000000000001n);
+    expect(parseAmount(' 42 ')).toBe(42n);
+    expect(parseAmount(7)).toBe(7n);
+    expect(parseAmount(MAX_ISSUE.toString())).toBe(MAX_ISSUE);
+    expect(parseAmount('0', { allowZero: true })).toBe(0n);
+
+    expect(() => parseAmount('0')).toThrow('must be greater than zero');
+    expect(() => parseAmount('-5')).toThrow('must be greater than zero');
+    expect(() => parseAmount('1.5')).toThrow('must be a whole number');
+    expect(() => parseAmount('1e21')).toThrow('must be a whole number');
+    expect(() => parseAmount((MAX_ISSUE + 1n).toString(), { label: 'Supply' })).toThrow('Supply 18446744073709551616 exceeds maximum');
+    expect(() => parseAmount(2 ** 60)).toThrow('not a safe integer');
+    expect(() => parseAirdropList(`[["zt1a", ${LARGE_TRANSFER}]]`, 'json')).toThrow('not a safe integer');
+
+    expect(formatAmount(MAX_ISSUE)).toBe('18,446,744,073,709,551,615');
+    expect(formatAmount('999')).toBe('999');
+    expect(formatAmount(-1234n)).toBe('-1,234');
+  });
+
+  test('should send and read u64 values through tx-tool JSON without rounding', () => {
+    const payload = { asset: 'ab', amount: MAX_ISSUE, mine: false, note: '__u64__1' };
+    expect(serializePayload(payload)).toBe('{"asset":"ab","amount":18446744073709551615,"mine":false,"note":"__u64__1"}');
+
+    const output = parseCommandOutput('{"tx_id":"ff","amount":18446744073709551615,"height":12,"memo":"123456789012345678901"}');
+    expect(output).toEqual({ tx_id: 'ff', amount: '18446744073709551615', height: 12, memo: '123456789012345678901' });
+  });
+
+  test('should keep supplies past 2^53 exact through create, deploy, transfer and burn', async () => {
+    const token = await tokenCreator.createToken({
+      name: 'BigCoin',
+      symbol: 'BIG',
+      initialSupply: LARGE_SUPPLY,
+      recipientAddress: 'zt1test123456789'
+    });
+    expect(token.totalSupply).toBe(LARGE_SUPPLY);
+
+    const deployed = await tokenCreator.deployToken(token.assetId, { useCli: false });
+    expect(deployed.transaction.amount).toBe(LARGE_SUPPLY);
+
+    const transfer = await tokenCreator.transferToken(token.assetId, 'zt1recipient0001', LARGE_TRANSFER, { useCli: false });
+    expect(transfer.transaction.amount).toBe(LARGE_TRANSFER);
+    expect(transfer.token.history[transfer.token.history.length - 1].amount).toBe(LARGE_TRANSFER);
+    await expect(tokenCreator.transferToken(token.assetId, 'zt1recipient0001', '-1', { useCli: false }))
+      .rejects.toThrow('Transfer amount must be greater than zero');
+
+    const burn = await tokenCreator.burnTokens(token.assetId, '1', { useCli: false });
+    expect(burn.transaction.amount).toBe('1');
+    expect(tokenCreator.getTokenByAssetId(token.assetId).totalSupply).toBe('1000000000000000000');
+
+    await expect(tokenCreator.issueMore(token.assetId, MAX_ISSUE.toString(), 'zt1test123456789', { useCli: false }))
+      .rejects.toThrow('Total supply would exceed maximum');
+    await expect(tokenCreator.issueMore(token.assetId, '-5', 'zt1test123456789', { useCli: false }))
+      .rejects.toThrow('Amount must be greater than zero');
+  });
+
+  test('should convert whole-token amounts to base units exactly', () => {
+    expect(parseAmount('1,234.5678', { decimals: 8 })).toBe(123456780000n);
+    expect(parseAmount('0.00000001', { decimals: 8 })).toBe(1n);
+    expect(parseAmount('2.50', { decimals: 1 })).toBe(25n);
+    expect(parseAmount(3, { decimals: 8 })).toBe(300000000n);
+    expect(() => parseAmount('1.000000001', { decimals: 8 })).toThrow('more than 8 decimal places');
+    expect(() => parseAmount('1,23', { decimals: 8 })).toThrow('at most 8 decimal places');
+    expect(() => parseAmount('184467440737.09551616', { decimals: 8 })).toThrow('exceeds maximum: 184,467,440,737.09551615');
+
+    expect(formatAmount(123456780000n, 8)).toBe('1,234.5678');
+    expect(formatAmount('5', 8)).toBe('0.00000005');
+    expect(formatAmount('100000000', 8)).toBe('1');
+
+    expect(parseDecimals(undefined)).toBe(0);
+    expect(parseDecimals('8')).toBe(8);
+    expect(() => parseDecimals('19')).toThrow('from 0 to 18');
+    expect(() => parseDecimals('2.5')).toThrow('from 0 to 18');
+
+    const { recipients, total } = validateAirdropRows(
+      [{ line: 1, address: 'zt1alice000000001', amount: '1.5' }],
+      { network: 'testnet', decimals: 8 }
+    );
+    expect(recipients[0].amount).toBe('150000000');
+    expect(total).toBe(150000000n);
+  });
+
+  test('should record decimals on the token and in its asset description', async () => {
+    const base = { name: 'DecCoin', symbol: 'DEC', initialSupply: '123450000000', recipientAddress: 'zt1test123456789' };
+    const token = await tokenCreator.createToken({ ...base, decimals: 8 });
+
+    expect(token.decimals).toBe(8);
+    expect(token.assetDesc).toBe('DecCoin|DEC||decimals=8');
+    expect(parseAssetDescription(token.assetDesc)).toEqual({ name: 'DecCoin', symbol: 'DEC', description: '', decimals: 8 });
+    expect(token.transaction.issuanceBundle.actions[0].assetDesc).toBe(token.assetDesc);
+
+    // Without decimals the description, and so the asset ID, is what it always was
+    const plain = await tokenCreator.createToken({ ...base, symbol: 'PLN' });
+    expect(plain.decimals).toBe(0);
+    expect(plain.assetDesc).toBe('DecCoin|PLN|');
+
+    await expect(tokenCreator.createToken({ ...base, symbol: 'BAD', decimals: 30 })).rejects.toThrow('Decimals must be');
+  });
+
+  test('should issue more of a token with decimals and finalize it under the same asset ID', async () => {
+    const token = await tokenCreator.createToken({
+      name: 'DecCoin', symbol: 'dec', initialSupply: '100000000', recipientAddress: 'zt1test123456789', decimals: 8
+    });
+
+    const issued = await tokenCreator.issueMore(token.assetId, '50000000', 'zt1test123456789');
+    expect(issued.transaction.assetId).toBe(token.assetId);
+    expect(issued.transaction.assetDesc).toBe('DecCoin|dec||decimals=8');
+
+    const finalized = await tokenCreator.finalizeToken(token.assetId);
+    expect(finalized.transaction.assetId).toBe(token.assetId);
+
+    // The issued_assets state follows the broadcast, not the build
+    expect(tokenCreator.loadIssuedAssets().get(token.assetId)).toBeNull();
+    await tokenCreator.deployToken(token.assetId, { useCli: false });
+    expect(tokenCreator.loadIssuedAssets().get(token.assetId)).toMatchObject({ balance: '150000000', is_finalized: true });
+  });
+});
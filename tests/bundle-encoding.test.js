@@ -0,0 +1,135 @@
+/**
+ * Tests for canonical issuance bundle encoding (ZIP 230 / ZIP 246)
+ */
+
+// Jest tests use global functions in Node.js ESM mode
+import {
+  encodeCompactSize,
+  encodeNoteValue,
+  encodeRecipient,
+  encodeIssueAction,
+  encodeIssuanceBundle,
+  decodeIssuanceBundle,
+  computeIssuanceDigest,
+  ByteReader
+} from '../src/bundle-encoding.js';
+import { blake2b256 } from '../src/crypto.js';
+
+const ISSUER = '00' + '11'.repeat(32);
+const ASSET_DESC_HASH = '22'.repeat(32);
+const ASSET_ID = '00' + ISSUER + ASSET_DESC_HASH;
+
+function sampleBundle(overrides = {}) {
+  return {
+    issuer: ISSUER,
+    actions: [{
+      assetDescHash: ASSET_DESC_HASH,
+      assetDesc: 'TestCoin|TEST|',
+      notes: [{ recipientAddress: 'ab'.repeat(43), value: '1000', assetId: ASSET_ID, index: 0 }],
+      finalize: false,
+      assetId: ASSET_ID
+    }],
+    signature: null,
+    ...overrides
+  };
+}
+
+describe('Bundle Encoding', () => {
+  test('should encode compactSize boundaries', () => {
+    expect(encodeCompactSize(0).toString('hex')).toBe('00');
+    expect(encodeCompactSize(252).toString('hex')).toBe('fc');
+    expect(encodeCompactSize(253).toString('hex')).toBe('fdfd00');
+    expect(encodeCompactSize(0x10000).toString('hex')).toBe('fe00000100');
+  });
+
+  test('should encode note values as u64 little-endian', () => {
+    expect(encodeNoteValue('1').toString('hex')).toBe('0100000000000000');
+    expect(encodeNoteValue('18446744073709551615').toString('hex')).toBe('ffffffffffffffff');
+    expect(() => encodeNoteValue('18446744073709551616')).toThrow('out of range');
+  });
+
+  test('should encode recipients as 43 bytes', () => {
+    expect(encodeRecipient('ab'.repeat(43)).toString('hex')).toBe('ab'.repeat(43));
+
+    const placeholder = encodeRecipient('zt1test123');
+    expect(placeholder.length).toBe(43);
+    expect(placeholder.subarray(0, 10).toString('utf8')).toBe('zt1test123');
+    expect(() => encodeRecipient('z'.repeat(44))).toThrow('43 bytes');
+  });
+
+  test('should round-trip a signed bundle through decodeIssuanceBundle', () => {
+    const bundle = sampleBundle({ signature: 'cd'.repeat(64) });
+    bundle.actions[0].notes[0].rho = '33'.repeat(32);
+    const decoded = decodeIssuanceBundle(new ByteReader(encodeIssuanceBundle(bundle)));
+
+    expect(decoded.issuer).toBe(ISSUER);
+    expect(decoded.signature).toBe(bundle.signature);
+    expect(decoded.actions[0].assetId).toBe(ASSET_ID);
+    expect(decoded.actions[0].notes[0].value).toBe('1000');
+    expect(decoded.actions[0].notes[0].rho).toBe('33'.repeat(32));
+    expect(decoded.actions[0].notes[0].rseed).toBeUndefined();
+    expect(computeIssuanceDigest(decoded)).toEqual(computeIssuanceDigest(bundle));
+  });
+
+  test('should encode issue action with flags byte last', () => {
+    const action = sampleBundle().actions[0];
+    const encoded = encodeIssueAction(action);
+
+    // 32 (hash) + 1 (nNotes) + 43 + 8 + 32 + 32 (note) + 1 (flags)
+    expect(encoded.length).toBe(149);
+    expect(encoded.subarray(0, 32).toString('hex')).toBe(ASSET_DESC_HASH);
+    expect(encoded[encoded.length - 1]).toBe(0x00);
+    expect(encodeIssueAction({ ...action, finalize: true })[encoded.length - 1]).toBe(0x01);
+  });
+
+  test('should require a signature when encoding a signed bundle', () => {
+    expect(() => encodeIssuanceBundle(sampleBundle())).toThrow('issueAuthSig');
+
+    const unsigned = encodeIssuanceBundle(sampleBundle(), { includeSignature: false });
+    const signed = encodeIssuanceBundle(sampleBundle({ signature: 'cd'.repeat(64) }));
+    expect(signed.length).toBe(unsigned.length + 64);
+  });
+
+  test('should compute digest independent of key order and signature', () => {
+    const bundle = sampleBundle();
+    const reordered = {
+      signature: 'ef'.repeat(64),
+      actions: bundle.actions.map(action => ({
+        finalize: action.finalize,
+        notes: action.notes,
+        assetDescHash: action.assetDescHash
+      })),
+      issuer: bundle.issuer
+    };
+
+    expect(computeIssuanceDigest(reordered)).toEqual(computeIssuanceDigest(bundle));
+  });
+
+  test('should change digest when finalize flag or value changes', () => {
+    const base = computeIssuanceDigest(sampleBundle());
+    const finalized = sampleBundle();
+    finalized.actions[0].finalize = true;
+    const revalued = sampleBundle();
+    revalued.actions[0].notes[0].value = '1001';
+
+    expect(computeIssuanceDigest(finalized)).not.toEqual(base);
+    expect(computeIssuanceDigest(revalued)).not.toEqual(base);
+  });
+
+  test('should take the asset base from the action, not from note fields', () => {
+    const base = computeIssuanceDigest(sampleBundle());
+    const relabeled = sampleBundle();
+    relabeled.actions[0].notes[0].assetId = '00' + ISSUER + '33'.repeat(32);
+    relabeled.actions[0].notes[0].assetBase = '44'.repeat(32);
+    const otherAsset = sampleBundle();
+    otherAsset.actions[0].assetDescHash = '33'.repeat(32);
+
+    expect(computeIssuanceDigest(relabeled)).toEqual(base);
+    expect(computeIssuanceDigest(otherAsset)).not.toEqual(base);
+  });
+
+  test('should hash empty bundle with issuance personalization only', () => {
+    expect(computeIssuanceDigest({ issuer: ISSUER, actions: [] }))
+      .toEqual(blake2b256(Buffer.alloc(0), 'ZTxIdSAIssueHash'));
+  });
+});
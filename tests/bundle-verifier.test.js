@@ -0,0 +1,125 @@
+/**
+ * Tests for the issuance bundle verifier
+ */
+
+// Jest tests use global functions in Node.js ESM mode
+import { IssuanceTransaction } from '../src/issuance.js';
+import { formatBundleReport, verifyBundle } from '../src/bundle-verifier.js';
+import { encodeTransaction } from '../src/transaction.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('Bundle verifier', () => {
+  const testKeysDir = path.join(__dirname, '..', 'test-keys');
+  let issuance;
+
+  const statusOf = (report, check) => report.checks.find(entry => entry.check === check)?.status;
+
+  beforeEach(() => {
+    fs.rmSync(testKeysDir, { recursive: true, force: true });
+    issuance = new IssuanceTransaction();
+    issuance.keys.keysDir = testKeysDir;
+    issuance.keys.keysFile = path.join(testKeysDir, 'issuance-keys.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(testKeysDir, { recursive: true, force: true });
+  });
+
+  const buildTx = () => issuance.buildIssuanceTransaction(
+    { name: 'PartnerCoin', symbol: 'PTNR' },
+    [{ address: 'zt1partner0001', amount: '1000' }],
+    false,
+    { firstIssuance: true }
+  );
+
+  test('should pass a signed transaction given as JSON or V6 hex', () => {
+    const tx = buildTx();
+
+    const report = verifyBundle(JSON.stringify(tx));
+    expect(report.valid).toBe(true);
+    expect(report.kind).toBe('transaction');
+    expect(statusOf(report, 'action 1 assetId')).toBe('pass');
+    expect(statusOf(report, 'reference notes')).toBe('pass');
+    expect(statusOf(report, 'signature')).toBe('pass');
+    expect(formatBundleReport(report)[0]).toBe('Result: PASS');
+
+    const fromHex = verifyBundle(encodeTransaction(tx).toString('hex'));
+    expect(fromHex.valid).toBe(true);
+    expect(fromHex.source).toBe('v6-hex');
+    expect(statusOf(fromHex, 'action 1 assetDescHash')).toBe('skip');
+  });
+
+  test('should report tampered hashes, values and signatures with reasons', () => {
+    const tx = buildTx();
+    const action = tx.issuanceBundle.actions[0];
+
+    const relabeled = JSON.parse(JSON.stringify(tx.issuanceBundle));
+    relabeled.actions[0].assetDesc = 'OtherCoin|OTHR|';
+    const report = verifyBundle(relabeled);
+    expect(report.valid).toBe(false);
+    expect(statusOf(report, 'action 1 assetDescHash')).toBe('fail');
+    expect(statusOf(report, 'action 1 assetId')).toBe('fail');
+
+    const inflated = JSON.parse(JSON.stringify(tx.issuanceBundle));
+    inflated.actions[0].notes[1].value = '18446744073709551616';
+    const inflatedReport = verifyBundle(inflated);
+    expect(statusOf(inflatedReport, 'action 1 notes')).toBe('fail');
+    expect(inflatedReport.checks.find(entry => entry.check === 'action 1 notes').reason).toContain('exceeds MAX_ISSUE');
+    expect(statusOf(inflatedReport, 'signature')).toBe('fail');
+
+    const empty = { ...tx.issuanceBundle, actions: [{ ...action, notes: [], finalize: false }] };
+    expect(verifyBundle(empty).checks.find(entry => entry.check === 'action 1 finalize').reason)
+      .toContain('issues no notes and does not finalize');
+
+    const unsigned = verifyBundle({ ...tx.issuanceBundle, signature: null });
+    expect(unsigned.checks.find(entry => entry.check === 'signature').reason).toBe('bundle is unsigned');
+  });
+
+  test('should recompute the txid and fail a supplied one that differs', () => {
+    const tx = buildTx();
+    const txid = verifyBundle(tx).txid;
+    expect(txid).toMatch(/^[0-9a-f]{64}$/);
+    expect(statusOf(verifyBundle(tx), 'transaction id')).toBeUndefined();
+
+    expect(statusOf(verifyBundle({ ...tx, txid }), 'transaction id')).toBe('pass');
+    const forged = verifyBundle({ ...tx, txid: 'ab'.repeat(32) });
+    expect(forged.valid).toBe(false);
+    expect(forged.txid).toBe(txid);
+    expect(forged.checks.find(entry => entry.check === 'transaction id').reason).toContain(`recomputed ${txid}`);
+  });
+
+  test('should check the asset a token record claims and reject unusable input', () => {
+    const tx = buildTx();
+    const token = { assetId: tx.assetId, transaction: tx };
+    expect(statusOf(verifyBundle(token), 'token record')).toBe('pass');
+    expect(statusOf(verifyBundle({ ...token, assetId: `00${'11'.repeat(64)}` }), 'token record')).toBe('fail');
+
+    expect(() => verifyBundle('not a bundle')).toThrow('neither V6 transaction hex nor JSON');
+    expect(() => verifyBundle({ transaction: { tx_id: 'mock' } })).toThrow('No issuance bundle');
+  });
+
+  test('should report malformed actions and notes as failed checks', () => {
+    const tx = buildTx();
+    const [action] = tx.issuanceBundle.actions;
+    const malformed = {
+      ...tx,
+      issuanceBundle: {
+        ...tx.issuanceBundle,
+        actions: [null, { ...action, notes: [null, { ...action.notes[1], value: 'lots' }] }]
+      }
+    };
+
+    const report = verifyBundle(malformed);
+    expect(report.valid).toBe(false);
+    expect(report.checks.find(entry => entry.check === 'action 1').reason).toBe('action is null, not an object');
+    expect(report.checks.find(entry => entry.check === 'action 2 notes').reason)
+      .toBe('note 0 is not an object; note 1 value lots is not a non-negative integer');
+    expect(statusOf(report, 'reference notes')).toBe('fail');
+    expect(statusOf(verifyBundle({ transaction: { issuanceBundle: 'bundle' } }), 'bundle')).toBe('fail');
+  });
+});
@@ -13,6 +13,7 @@ import {
   createAssetDescription,
   parseAssetDescription
 } from '../src/crypto.js';
+import { decodePallasPoint } from '../src/pallas.js';
 
 describe('Cryptographic Utilities', () => {
   test('should compute BLAKE2b-256 hash', () => {
@@ -110,6 +111,9 @@ describe('Cryptographic Utilities', () => {
     
     expect(assetBase).toBeDefined();
     expect(typeof assetBase).toBe('string');
+    expect(assetBase.length).toBe(64); // compressed Pallas point
+    expect(decodePallasPoint(Buffer.from(assetBase, 'hex')).is0()).toBe(false);
+    expect(computeAssetBase(assetDigest)).toBe(assetBase);
   });
 
   test('should create asset description', () => {
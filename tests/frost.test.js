@@ -0,0 +1,140 @@
+/**
+ * Tests for FROST threshold signing of issuance bundles
+ */
+
+// Jest tests use global functions in Node.js ESM mode
+import { FrostParticipant, FrostCoordinator } from '../src/frost.js';
+import { IssuanceTransaction, verifyIssuanceBundle } from '../src/issuance.js';
+import { decodeTransaction, encodeTransaction } from '../src/transaction.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('FROST threshold signing', () => {
+  const testFrostDir = path.join(__dirname, '..', 'test-frost');
+  const exchangeDir = path.join(testFrostDir, 'exchange');
+  let participants;
+  let coordinator;
+
+  function participant(p) {
+    return new FrostParticipant({ exchangeDir, stateDir: path.join(testFrostDir, `state-${p}`), participant: p });
+  }
+
+  function runKeyGeneration(threshold, total) {
+    participants = Array.from({ length: total }, (_, i) => participant(i + 1));
+    participants.forEach(p => p.dkgRound1({ threshold, participants: total }));
+    participants.forEach(p => p.dkgRound2());
+    return participants.map(p => p.dkgRound3());
+  }
+
+  function buildUnsignedTx(issuer) {
+    const issuance = new IssuanceTransaction(null, { issuer });
+    return issuance.buildIssuanceTransaction(
+      { name: 'GroupCoin', symbol: 'GRP', description: 'Threshold issued' },
+      [{ address: 'ab'.repeat(43), amount: '1000' }]
+    );
+  }
+
+  function sign(signers) {
+    const { issuer } = coordinator.loadGroup();
+    const { sessionId } = coordinator.startSession(buildUnsignedTx(issuer));
+    signers.forEach(p => participants[p - 1].commit(sessionId));
+    coordinator.createSigningPackage(sessionId, signers);
+    signers.forEach(p => participants[p - 1].signShare(sessionId));
+    return { sessionId, transaction: coordinator.aggregate(sessionId) };
+  }
+
+  beforeEach(() => {
+    fs.rmSync(testFrostDir, { recursive: true, force: true });
+    coordinator = new FrostCoordinator({ exchangeDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(testFrostDir, { recursive: true, force: true });
+  });
+
+  test('should agree on one group issuer after key generation', () => {
+    const results = runKeyGeneration(2, 3);
+
+    expect(new Set(results.map(r => r.issuer)).size).toBe(1);
+    expect(results[0].issuer).toMatch(/^00[0-9a-f]{64}$/);
+    expect(coordinator.loadGroup().issuer).toBe(results[0].issuer);
+    expect(fs.existsSync(path.join(testFrostDir, 'state-1', 'dkg-state.json'))).toBe(false);
+  });
+
+  test('should encrypt round 2 shares to their recipient and keep secret files private', () => {
+    participants = [1, 2, 3].map(participant);
+    participants.forEach(p => p.dkgRound1({ threshold: 2, participants: 3 }));
+    participants.forEach(p => p.dkgRound2());
+    const modeOf = file => fs.statSync(file).mode & 0o777;
+    expect(modeOf(path.join(testFrostDir, 'state-1', 'dkg-state.json'))).toBe(0o600);
+
+    const round2 = file => path.join(exchangeDir, 'dkg', file);
+    const sent = JSON.parse(fs.readFileSync(round2('round2-1-to-2.json'), 'utf8'));
+    expect(sent.package).toBeUndefined();
+    expect(sent.encrypted.cipher).toBe('x25519-hkdf-sha256-aes-256-gcm');
+
+    // A share meant for participant 2 is useless to participant 3
+    const own = fs.readFileSync(round2('round2-1-to-3.json'));
+    fs.copyFileSync(round2('round2-1-to-2.json'), round2('round2-1-to-3.json'));
+    expect(() => participants[2].dkgRound3()).toThrow('cannot be decrypted by participant 3');
+    fs.writeFileSync(round2('round2-1-to-3.json'), own);
+
+    participants.forEach(p => p.dkgRound3());
+    expect(modeOf(path.join(testFrostDir, 'state-3', 'key-share.json'))).toBe(0o600);
+  });
+
+  test('should aggregate a BIP-340 signature that verifies under the group issuer', () => {
+    runKeyGeneration(2, 3);
+
+    const { transaction } = sign([1, 3]);
+    const decoded = decodeTransaction(encodeTransaction(transaction));
+
+    expect(verifyIssuanceBundle(transaction.issuanceBundle)).toBe(true);
+    expect(verifyIssuanceBundle(decoded.issuanceBundle)).toBe(true);
+    expect(sign([2, 3]).transaction.issuanceBundle.issuer).toBe(transaction.issuanceBundle.issuer);
+  });
+
+  test('should not reuse nonces across signing sessions', () => {
+    runKeyGeneration(2, 3);
+    const { sessionId } = sign([1, 2]);
+
+    expect(fs.existsSync(path.join(testFrostDir, 'state-1', `nonces-${sessionId}.json`))).toBe(false);
+    expect(() => participants[0].signShare(sessionId)).toThrow('Missing FROST file');
+  });
+
+  test('should require threshold commitments', () => {
+    runKeyGeneration(2, 3);
+    const { sessionId } = coordinator.startSession(buildUnsignedTx(coordinator.loadGroup().issuer));
+    participants[0].commit(sessionId);
+
+    expect(() => coordinator.createSigningPackage(sessionId)).toThrow('Need 2 commitments, have 1');
+    expect(() => coordinator.createSigningPackage(sessionId, [1, 2])).toThrow('No commitments from participant(s) 2');
+  });
+
+  test('should refuse to sign a bundle altered after the session started', () => {
+    runKeyGeneration(2, 3);
+    const { sessionId } = coordinator.startSession(buildUnsignedTx(coordinator.loadGroup().issuer));
+    [1, 2].forEach(p => participants[p - 1].commit(sessionId));
+    coordinator.createSigningPackage(sessionId);
+
+    const requestFile = path.join(exchangeDir, 'signing', sessionId, 'request.json');
+    const request = JSON.parse(fs.readFileSync(requestFile, 'utf8'));
+    request.transaction.issuanceBundle.actions[0].notes[0].value = '9999999';
+    fs.writeFileSync(requestFile, JSON.stringify(request));
+
+    expect(() => participants[0].signShare(sessionId)).toThrow('sighash does not match');
+  });
+
+  test('should reject bundles for a different issuer', () => {
+    runKeyGeneration(2, 3);
+    const other = new IssuanceTransaction(null, { issuer: `00${'11'.repeat(32)}` });
+    const tx = other.buildIssuanceTransaction({ name: 'X', symbol: 'XX' }, [{ address: 'ab'.repeat(43), amount: '1' }]);
+
+    expect(() => coordinator.startSession(tx)).toThrow('group issuer');
+    expect(() => other.signIssuanceBundle(tx.issuanceBundle)).toThrow('not held locally');
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests for issuer rotation and signed handover records
+ */
+
+// Jest tests use global functions in Node.js ESM mode
+import { TokenCreator } from '../src/token-creator.js';
+import { verifyHandover, computeHandoverDigest } from '../src/handover.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('Issuer rotation', () => {
+  let tokenCreator;
+  const testTokensDir = path.join(__dirname, '..', 'test-tokens');
+  const testKeysDir = path.join(__dirname, '..', 'test-keys');
+
+  beforeEach(() => {
+    fs.rmSync(testTokensDir, { recursive: true, force: true });
+    fs.rmSync(testKeysDir, { recursive: true, force: true });
+    tokenCreator = new TokenCreator();
+    tokenCreator.tokensDir = testTokensDir;
+    tokenCreator.tokensFile = path.join(testTokensDir, 'created-tokens.json');
+    tokenCreator.keys.keysDir = testKeysDir;
+    tokenCreator.keys.keysFile = path.join(testKeysDir, 'issuance-keys.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(testTokensDir, { recursive: true, force: true });
+    fs.rmSync(testKeysDir, { recursive: true, force: true });
+  });
+
+  async function createToken(symbol, finalize = false) {
+    return tokenCreator.createToken({
+      name: `${symbol} Coin`,
+      symbol,
+      description: 'Test',
+      initialSupply: '1000',
+      recipientAddress: 'zt1test123456789',
+      finalize
+    });
+  }
+
+  test('should write a handover record signed by both issuers', async () => {
+    const open = await createToken('OPEN');
+    await createToken('DONE', true);
+
+    const record = await tokenCreator.rotateIssuer({ newAccountName: 'rotated', reason: 'isk exposed' });
+    const { statement } = record;
+
+    expect(verifyHandover(record)).toBe(true);
+    expect(statement.oldIssuer).toBe(open.issuer);
+    expect(statement.newIssuer).toBe(tokenCreator.keys.getIssuer('rotated'));
+    expect(statement.assets).toEqual([{ assetId: open.assetId, symbol: 'OPEN', action: 'frozen' }]);
+    expect(tokenCreator.getHandovers()).toEqual([record]);
+    expect(fs.existsSync(path.join(testTokensDir, 'issuer-handovers.json'))).toBe(true);
+    expect(tokenCreator.keys.resolveAccount().name).toBe('rotated');
+  });
+
+  test('should freeze open assets under the old issuer', async () => {
+    const token = await createToken('OPEN');
+    const record = await tokenCreator.rotateIssuer({ newAccountName: 'rotated' });
+    const frozen = tokenCreator.getTokenByAssetId(token.assetId);
+
+    expect(frozen.frozen.handoverId).toBe(record.id);
+    expect(frozen.rotatedTo.issuer).toBe(record.statement.newIssuer);
+    await expect(tokenCreator.issueMore(token.assetId, '1', 'zt1test123456789')).rejects.toThrow('frozen');
+  });
+
+  test('should finalize or leave open assets on request', async () => {
+    const token = await createToken('OPEN');
+    const record = await tokenCreator.rotateIssuer({ newAccountName: 'rotated', openAssets: 'finalize' });
+
+    // Built now, final only once deployed, so the statement names no transaction
+    expect(record.statement.assets).toEqual([{ assetId: token.assetId, symbol: 'OPEN', action: 'finalization_queued' }]);
+    expect(tokenCreator.getTokenByAssetId(token.assetId).lifecycle.finalization).toBe('pending');
+
+    const other = await createToken('NEXT');
+    const second = await tokenCreator.rotateIssuer({ newAccountName: 'third', openAssets: 'leave-open' });
+    expect(second.statement.oldIssuer).toBe(other.issuer);
+    expect(second.statement.assets[0].action).toBe('left_open');
+    await expect(tokenCreator.issueMore(other.assetId, '1', 'zt1test123456789')).resolves.toBeDefined();
+  });
+
+  test('should check every asset before changing anything', async () => {
+    const first = await createToken('OPEN');
+    const busy = await createToken('BUSY');
+    tokenCreator.updateTokenStatus(busy.assetId, 'deploying');
+
+    await expect(tokenCreator.rotateIssuer({ newAccountName: 'rotated', openAssets: 'finalize' }))
+      .rejects.toThrow('being broadcast');
+    expect(tokenCreator.keys.listAccounts().map(account => account.name)).not.toContain('rotated');
+    expect(tokenCreator.getTokenByAssetId(first.assetId).lifecycle.finalization).toBe('open');
+    expect(tokenCreator.getHandovers()).toEqual([]);
+  });
+
+  test('should reject tampered handover records', async () => {
+    await createToken('OPEN');
+    const record = await tokenCreator.rotateIssuer({ newAccountName: 'rotated' });
+
+    const tampered = JSON.parse(JSON.stringify(record));
+    tampered.statement.assets[0].action = 'left_open';
+    expect(verifyHandover(tampered)).toBe(false);
+
+    const swapped = { ...record, signatures: { oldIssuer: record.signatures.newIssuer, newIssuer: record.signatures.oldIssuer } };
+    expect(verifyHandover(swapped)).toBe(false);
+
+    const reordered = Object.fromEntries(Object.entries(record.statement).reverse());
+    expect(computeHandoverDigest(reordered).toString('hex')).toBe(record.digest);
+  });
+
+  test('should reject unknown open-asset policies', async () => {
+    await expect(tokenCreator.rotateIssuer({ newAccountName: 'rotated', openAssets: 'burn' })).rejects.toThrow(
+      'openAssets must be one of'
+    );
+  });
+});
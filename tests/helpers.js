@@ -55,3 +55,66 @@ export function generateTestTokenData(overrides = {}) {
     ...overrides
   };
 }
+
+/**
+ * Read a zcash-test-vectors style JSON file from tests/vectors
+ * Format: [["<source>"], ["field_a, field_b, ..."], [valueA, valueB, ...], ...]
+ * Returns { file, source, fields, vectors }
+ */
+export function readVectorFile(fileName) {
+  const filePath = path.join(__dirname, 'vectors', fileName);
+  const rows = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(rows) || rows.length < 2) {
+    throw new Error(`${fileName}: expected a source row and a field-name row`);
+  }
+
+  const fields = rows[1][0].split(',').map(field => field.trim());
+  const vectors = rows.slice(2).map((row, index) => {
+    if (row.length !== fields.length) {
+      throw new Error(`${fileName}: vector ${index} has ${row.length} values, expected ${fields.length}`);
+    }
+    return Object.fromEntries(fields.map((field, i) => [field, row[i]]));
+  });
+  return { file: fileName, source: String(rows[0][0] ?? ''), fields, vectors };
+}
+
+/**
+ * Read every JSON vector file in tests/vectors, sorted by name
+ */
+export function loadVectorDirectory() {
+  return fs.readdirSync(path.join(__dirname, 'vectors'))
+    .filter(fileName => fileName.endsWith('.json'))
+    .sort()
+    .map(readVectorFile);
+}
+
+/**
+ * Describe a mismatch between two hex strings, pointing at the first differing byte
+ */
+export function describeHexMismatch(label, expected, actual) {
+  const exp = (expected || '').toLowerCase();
+  const act = (actual || '').toLowerCase();
+  let offset = 0;
+  while (offset < exp.length && offset < act.length && exp[offset] === act[offset]) {
+    offset += 1;
+  }
+  const byteOffset = Math.floor(offset / 2);
+  const caretPad = ' '.repeat(byteOffset * 2);
+
+  return [
+    `${label} mismatch at byte ${byteOffset} (expected ${exp.length / 2} bytes, got ${act.length / 2})`,
+    `  expected: ${exp}`,
+    `  actual:   ${act}`,
+    `            ${caretPad}^^`
+  ].join('\n');
+}
+
+/**
+ * Assert that a derived value matches the vector, throwing a readable diff otherwise
+ */
+export function assertVectorField(label, actual, expected) {
+  const actualHex = Buffer.isBuffer(actual) ? actual.toString('hex') : String(actual);
+  if (actualHex.toLowerCase() !== String(expected).toLowerCase()) {
+    throw new Error(describeHexMismatch(label, String(expected), actualHex));
+  }
+}
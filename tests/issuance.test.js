@@ -3,7 +3,13 @@
  */
 
 // Jest tests use global functions in Node.js ESM mode
-import { IssuanceTransaction } from '../src/issuance.js';
+import {
+  IssuanceTransaction,
+  REFERENCE_NOTE_RECIPIENT,
+  assertReferenceNotes,
+  isReferenceNote,
+  verifyIssuanceBundle
+} from '../src/issuance.js';
 import { IssuanceKeys } from '../src/keys.js';
 import fs from 'fs';
 import path from 'path';
@@ -167,6 +173,33 @@ describe('IssuanceTransaction', () => {
     expect(signedBundle.signature).toBeDefined();
     expect(signedBundle.signature).not.toBe(null);
     expect(typeof signedBundle.signature).toBe('string');
+    expect(signedBundle.signature.length).toBe(128); // 64-byte BIP-340 signature
+  });
+
+  test('should verify signed issuance bundle against its issuer', () => {
+    const action = issuance.buildIssueAction('TestCoin|TEST|Test description', [
+      { address: 'zt1test123', amount: '1000000' }
+    ], false);
+    const bundle = issuance.signIssuanceBundle(issuance.buildIssuanceBundle(action));
+
+    expect(verifyIssuanceBundle(bundle)).toBe(true);
+    expect(issuance.verifyIssuanceBundle(bundle)).toBe(true);
+  });
+
+  test('should reject tampered or unsigned issuance bundles', () => {
+    const action = issuance.buildIssueAction('TestCoin|TEST|Test description', [
+      { address: 'zt1test123', amount: '1000000' }
+    ], false);
+    const unsigned = issuance.buildIssuanceBundle(action);
+    expect(verifyIssuanceBundle(unsigned)).toBe(false);
+
+    const bundle = issuance.signIssuanceBundle(issuance.buildIssuanceBundle(action));
+    const tampered = JSON.parse(JSON.stringify(bundle));
+    tampered.actions[0].notes[0].value = '9999999';
+    expect(verifyIssuanceBundle(tampered)).toBe(false);
+
+    const otherIssuer = { ...bundle, issuer: '00' + 'ab'.repeat(32) };
+    expect(verifyIssuanceBundle(otherIssuer)).toBe(false);
   });
 
   test('should build complete issuance transaction', () => {
@@ -226,5 +259,72 @@ describe('IssuanceTransaction', () => {
     expect(prepared.txData).toBeDefined();
     expect(prepared.ready).toBe(true);
     expect(prepared.note).toBeDefined();
+    expect(prepared.rawTransaction).toMatch(/^[0-9a-f]+$/);
+    expect(prepared.txid).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('should build unsigned transactions and apply an external signature', () => {
+    const tx = issuance.buildIssuanceTransaction(
+      { name: 'TestCoin', symbol: 'TEST' },
+      [{ address: 'zt1test123', amount: '1000000' }],
+      false,
+      { sign: false }
+    );
+    expect(tx.issuanceBundle.signature).toBe(null);
+
+    const signed = issuance.signIssuanceBundle({ ...tx.issuanceBundle });
+    const applied = issuance.applySignature(tx, Buffer.from(signed.signature, 'hex'));
+
+    expect(applied.issuanceBundle.signature).toBe(signed.signature);
+    expect(tx.issuanceBundle.signature).toBe(null);
+    expect(() => issuance.applySignature(tx, '00'.repeat(64))).toThrow('does not verify');
+  });
+
+  test('should build one signed bundle for several assets', () => {
+    const tx = issuance.buildMultiAssetIssuanceTransaction([
+      { tokenData: { name: 'Alpha', symbol: 'ALP' }, recipients: [{ address: 'zt1a', amount: '10' }, { address: 'zt1b', amount: '5' }] },
+      { tokenData: { name: 'Beta', symbol: 'BET' }, recipients: [{ address: 'zt1a', amount: '7' }], finalize: true }
+    ]);
+
+    expect(tx.issuanceBundle.actions).toHaveLength(2);
+    expect(tx.issuanceBundle.actions[0].notes).toHaveLength(2);
+    expect(tx.assets[1].finalize).toBe(true);
+    expect(tx.assetIds[0]).not.toBe(tx.assetIds[1]);
+    expect(verifyIssuanceBundle(tx.issuanceBundle)).toBe(true);
+    expect(issuance.prepareTransaction(tx).rawTransaction).toMatch(/^[0-9a-f]+$/);
+
+    expect(() => issuance.buildMultiAssetIssuanceTransaction([
+      { tokenData: { name: 'Alpha', symbol: 'ALP' }, recipients: [{ address: 'zt1a', amount: '1' }] },
+      { tokenData: { name: 'Alpha', symbol: 'ALP' }, recipients: [{ address: 'zt1b', amount: '1' }] }
+    ])).toThrow('Duplicate issue action');
+  });
+
+  test('should add the ZIP 227 reference note to a first issuance', () => {
+    const tx = issuance.buildIssuanceTransaction(
+      { name: 'TestCoin', symbol: 'TEST' },
+      [{ address: 'zt1test123', amount: '1000' }],
+      false,
+      { firstIssuance: true }
+    );
+    const [reference, issued] = tx.issuanceBundle.actions[0].notes;
+
+    expect(tx.firstIssuance).toBe(true);
+    expect(reference.recipientAddress).toBe(REFERENCE_NOTE_RECIPIENT);
+    expect(reference.value).toBe('0');
+    expect(isReferenceNote(reference)).toBe(true);
+    expect(issued.index).toBe(1);
+    expect(verifyIssuanceBundle(tx.issuanceBundle, { firstIssuance: [tx.assetId] })).toBe(true);
+  });
+
+  test('should reject a first issuance without the reference note', () => {
+    const tx = issuance.buildIssuanceTransaction(
+      { name: 'TestCoin', symbol: 'TEST' },
+      [{ address: 'zt1test123', amount: '1000' }]
+    );
+
+    expect(isReferenceNote(tx.issuanceBundle.actions[0].notes[0])).toBe(false);
+    expect(verifyIssuanceBundle(tx.issuanceBundle)).toBe(true);
+    expect(verifyIssuanceBundle(tx.issuanceBundle, { firstIssuance: [tx.assetId] })).toBe(false);
+    expect(() => assertReferenceNotes(tx.issuanceBundle, [tx.assetId])).toThrow('lacks the ZIP 227 reference note');
   });
 });
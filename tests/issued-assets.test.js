@@ -0,0 +1,148 @@
+/**
+ * Tests for the local issued_assets state (ZIP 227 / ZIP 226 consensus rules)
+ */
+
+// Jest tests use global functions in Node.js ESM mode
+import { TokenCreator } from '../src/token-creator.js';
+import { IssuanceTransaction } from '../src/issuance.js';
+import { ConsensusRuleError, IssuedAssetsState } from '../src/issued-assets.js';
+import { MAX_ISSUE } from '../src/airdrop.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('Issued assets state', () => {
+  const testTokensDir = path.join(__dirname, '..', 'test-tokens');
+  const testKeysDir = path.join(__dirname, '..', 'test-keys');
+  const stateFile = path.join(testTokensDir, 'issued-assets.json');
+  let tokenCreator;
+
+  const newTokenCreator = () => {
+    const creator = new TokenCreator();
+    creator.tokensDir = testTokensDir;
+    creator.tokensFile = path.join(testTokensDir, 'created-tokens.json');
+    creator.keys.keysDir = testKeysDir;
+    creator.keys.keysFile = path.join(testKeysDir, 'issuance-keys.json');
+    return creator;
+  };
+
+  const buildTx = (recipients, finalize = false, firstIssuance = false) =>
+    new IssuanceTransaction(tokenCreator.keys).buildIssuanceTransaction(
+      { name: 'StateCoin', symbol: 'STATE' },
+      recipients,
+      finalize,
+      { firstIssuance }
+    );
+
+  beforeEach(() => {
+    fs.rmSync(testTokensDir, { recursive: true, force: true });
+    fs.rmSync(testKeysDir, { recursive: true, force: true });
+    tokenCreator = newTokenCreator();
+  });
+
+  afterEach(() => {
+    fs.rmSync(testTokensDir, { recursive: true, force: true });
+    fs.rmSync(testKeysDir, { recursive: true, force: true });
+  });
+
+  test('should apply issuance under the consensus rules', () => {
+    const state = new IssuedAssetsState({ file: stateFile });
+    const first = buildTx([{ address: 'zt1a', amount: '100' }], false, true);
+
+    expect(() => state.applyIssuanceBundle(buildTx([{ address: 'zt1a', amount: '100' }]).issuanceBundle))
+      .toThrow('lacks the ZIP 227 reference note');
+
+    state.applyIssuanceBundle(first.issuanceBundle);
+    const record = state.get(first.assetId);
+    expect(record.balance).toBe('100');
+    expect(record.is_finalized).toBe(false);
+    expect(record.reference_note.value).toBe('0');
+
+    expect(() => state.applyIssuanceBundle(buildTx([{ address: 'zt1a', amount: MAX_ISSUE.toString() }]).issuanceBundle))
+      .toThrow(ConsensusRuleError);
+    expect(state.get(first.assetId).balance).toBe('100');
+
+    state.applyIssuanceBundle(buildTx([{ address: 'zt1a', amount: '0' }], true).issuanceBundle);
+    expect(state.get(first.assetId).is_finalized).toBe(true);
+    expect(() => state.applyIssuanceBundle(buildTx([{ address: 'zt1a', amount: '1' }]).issuanceBundle))
+      .toThrow('is finalized');
+  });
+
+  test('should reject burns of unissued assets or beyond the balance', () => {
+    const state = new IssuedAssetsState({ file: stateFile });
+    const first = buildTx([{ address: 'zt1a', amount: '100' }], false, true);
+
+    expect(() => state.checkBurn([{ assetId: first.assetId, amount: '1' }])).toThrow('never issued');
+
+    state.applyIssuanceBundle(first.issuanceBundle);
+    expect(() => state.applyBurn([{ assetId: first.assetId, amount: '101' }])).toThrow('exceeds the 100 issued supply');
+    expect(() => state.applyBurn([{ assetId: first.assetId, amount: '0' }])).toThrow('greater than zero');
+
+    state.applyBurn([{ assetId: first.assetId, amount: '40' }]).save();
+    expect(new IssuedAssetsState({ file: stateFile }).load().get(first.assetId).balance).toBe('60');
+  });
+
+  test('should keep finalization across sessions even if the token record is edited', async () => {
+    const token = await tokenCreator.createToken({
+      name: 'StateCoin',
+      symbol: 'STATE',
+      initialSupply: '1000',
+      recipientAddress: 'zt1test123456789'
+    });
+    await tokenCreator.deployToken(token.assetId, { useCli: false });
+    await tokenCreator.finalizeToken(token.assetId);
+
+    // Built but not broadcast: the state does not know about the finalization yet
+    expect(tokenCreator.loadIssuedAssets().get(token.assetId).is_finalized).toBe(false);
+    await tokenCreator.deployToken(token.assetId, { useCli: false });
+    expect(tokenCreator.loadIssuedAssets().get(token.assetId).is_finalized).toBe(true);
+
+    // Clear the flag on the stored record, then start a new session
+    const tokens = tokenCreator.getAllTokens();
+    tokens[0].finalized = false;
+    tokens[0].lifecycle.finalization = 'open';
+    tokenCreator.persistTokens(tokens);
+
+    const nextSession = newTokenCreator();
+    await expect(nextSession.issueMore(token.assetId, '5', 'zt1test123456789')).rejects.toThrow('is finalized');
+    expect(nextSession.getTokenByAssetId(token.assetId).totalSupply).toBe('1000');
+  });
+
+  test('should seed tokens recorded before the state existed and track burns', async () => {
+    const token = await tokenCreator.createToken({
+      name: 'StateCoin',
+      symbol: 'STATE',
+      initialSupply: '1000',
+      recipientAddress: 'zt1test123456789'
+    });
+    await tokenCreator.deployToken(token.assetId, { useCli: false });
+    fs.rmSync(stateFile);
+
+    // The queued 500 is not on chain yet, so only the broadcast 1000 is seeded
+    await tokenCreator.issueMore(token.assetId, '500', 'zt1test123456789');
+    const seeded = tokenCreator.loadIssuedAssets().get(token.assetId);
+    expect(seeded.balance).toBe('1000');
+    expect(seeded.seeded).toBe(true);
+
+    await tokenCreator.deployToken(token.assetId, { useCli: false });
+    expect(tokenCreator.loadIssuedAssets().get(token.assetId).balance).toBe('1500');
+    await tokenCreator.burnTokens(token.assetId, '200', { useCli: false });
+    expect(tokenCreator.loadIssuedAssets().get(token.assetId).balance).toBe('1300');
+  });
+
+  test('should refuse an unreadable state file', async () => {
+    fs.mkdirSync(testTokensDir, { recursive: true });
+    fs.writeFileSync(stateFile, '{ not json');
+
+    await expect(tokenCreator.createToken({
+      name: 'StateCoin',
+      symbol: 'STATE',
+      initialSupply: '1000',
+      recipientAddress: 'zt1test123456789'
+    })).rejects.toThrow('unreadable');
+    expect(tokenCreator.getAllTokens()).toHaveLength(0);
+  });
+});
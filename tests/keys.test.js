@@ -3,7 +3,7 @@
  */
 
 // Jest tests use global functions in Node.js ESM mode
-import { IssuanceKeys } from '../src/keys.js';
+import { IssuanceKeys, WatchOnlyError } from '../src/keys.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -129,4 +129,300 @@ describe('IssuanceKeys', () => {
     expect(Buffer.isBuffer(isk)).toBe(true);
     expect(isk.length).toBe(32);
   });
+
+  test('should create keys from a mnemonic and return it once', () => {
+    const { keysData, mnemonic } = keys.createKeys();
+
+    expect(mnemonic.split(' ').length).toBe(24);
+    expect(keysData.seedSource).toBe('bip39');
+
+    const stored = JSON.parse(fs.readFileSync(keys.keysFile, 'utf8'));
+    expect(stored.mnemonic).toBeUndefined();
+    expect(stored.issuer).toBe(keysData.issuer);
+    expect(() => keys.createKeys()).toThrow('already exist');
+  });
+
+  test('should restore the same issuer from mnemonic and passphrase', () => {
+    const { keysData, mnemonic } = keys.createKeys({ passphrase: 'meme' });
+    fs.rmSync(testKeysDir, { recursive: true, force: true });
+
+    const restored = keys.restoreFromMnemonic(`  ${mnemonic.toUpperCase()} `, 'meme');
+
+    expect(restored.isk).toBe(keysData.isk);
+    expect(restored.ik).toBe(keysData.ik);
+    expect(restored.issuer).toBe(keysData.issuer);
+    expect(keys.getIssuer()).toBe(keysData.issuer);
+  });
+
+  test('should derive a different issuer without the passphrase', () => {
+    const { keysData, mnemonic } = keys.createKeys({ passphrase: 'meme' });
+
+    expect(() => keys.restoreFromMnemonic(mnemonic)).toThrow('Existing keys belong to issuer');
+    const other = keys.restoreFromMnemonic(mnemonic, '', { overwrite: true });
+    expect(other.issuer).not.toBe(keysData.issuer);
+  });
+
+  test('should keep an encrypted keystore encrypted and its accounts when restoring', () => {
+    const { keysData, mnemonic } = keys.createKeys({ keystorePassphrase: 'correct horse' });
+    const account = keys.createAccount('meme-two');
+    const locked = new IssuanceKeys();
+    locked.keysDir = testKeysDir;
+    locked.keysFile = keys.keysFile;
+    locked.keystorePassphrase = null;
+
+    expect(() => locked.restoreFromMnemonic(mnemonic)).toThrow('A keystore passphrase is required');
+    expect(locked.isKeystoreEncrypted()).toBe(true);
+
+    const restored = keys.restoreFromMnemonic(mnemonic);
+    const stored = JSON.parse(fs.readFileSync(keys.keysFile, 'utf8'));
+    expect(restored.issuer).toBe(keysData.issuer);
+    expect(keys.isKeystoreEncrypted()).toBe(true);
+    expect(JSON.stringify(stored)).not.toContain(keysData.isk);
+    expect(keys.listAccounts().map(a => a.issuer)).toContain(account.issuer);
+
+    locked.unlock('correct horse');
+    expect(locked.getISK(account.index)).toEqual(keys.getISK(account.index));
+  });
+
+  test('should restore a pre-network issuer with the legacy coin type', () => {
+    const testnet = new IssuanceKeys({ network: 'testnet' });
+    testnet.keysDir = testKeysDir;
+    testnet.keysFile = keys.keysFile;
+    const mnemonic = testnet.generateMnemonic();
+    const legacy = testnet.deriveKeysFromSeed(testnet.mnemonicToSeed(mnemonic), {}, 133);
+
+    expect(testnet.restoreFromMnemonic(mnemonic).coinType).toBe(1);
+    fs.rmSync(testnet.keysFile);
+    const restored = testnet.restoreFromMnemonic(mnemonic, '', { expectedIssuers: [legacy.issuer] });
+    expect(restored.coinType).toBe(133);
+    expect(restored.issuer).toBe(legacy.issuer);
+    // The key file now names the legacy issuer, so a later restore keeps it
+    expect(testnet.restoreFromMnemonic(mnemonic).issuer).toBe(legacy.issuer);
+  });
+
+  test('should reject invalid mnemonics', () => {
+    expect(() => keys.restoreFromMnemonic('abandon abandon abandon')).toThrow('Invalid BIP-39 mnemonic');
+  });
+
+  test('should match BIP-39 reference seed', () => {
+    const seed = keys.mnemonicToSeed(
+      'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about',
+      'TREZOR'
+    );
+
+    expect(seed.toString('hex')).toBe(
+      'c55257c360c07c72029aebc1b53c05ed0362ada38ead3e3e9efa3708e53495531f09a6987599d18264c1e1c92f2cf141630c7a3c4ab7c81b2f001698e7463b04'
+    );
+  });
+
+  test('should store secrets encrypted when a keystore passphrase is set', () => {
+    const { keysData } = keys.createKeys({ keystorePassphrase: 'correct horse' });
+    const stored = JSON.parse(fs.readFileSync(keys.keysFile, 'utf8'));
+
+    expect(stored.issuer).toBe(keysData.issuer);
+    expect(stored.keystore.kdf).toBe('scrypt');
+    expect(stored.keystore.cipher).toBe('aes-256-gcm');
+    ['seed', 'masterKey', 'chainCode', 'isk'].forEach(field => {
+      expect(stored[field]).toBeUndefined();
+    });
+    expect(JSON.stringify(stored)).not.toContain(keysData.isk);
+  });
+
+  test('should require unlock before using isk from an encrypted keystore', () => {
+    const { keysData } = keys.createKeys({ keystorePassphrase: 'correct horse' });
+    const locked = new IssuanceKeys();
+    locked.keysDir = testKeysDir;
+    locked.keysFile = keys.keysFile;
+    locked.keystorePassphrase = null;
+
+    expect(locked.getIssuer()).toBe(keysData.issuer);
+    expect(locked.isUnlocked()).toBe(false);
+    expect(() => locked.getISK()).toThrow('locked');
+    expect(() => locked.unlock('wrong')).toThrow('Invalid keystore passphrase');
+
+    locked.unlock('correct horse');
+    expect(locked.getISK().toString('hex')).toBe(keysData.isk);
+  });
+
+  test('should change keystore passphrase', () => {
+    const { keysData } = keys.createKeys({ keystorePassphrase: 'old pass' });
+    keys.changePassphrase('old pass', 'new pass');
+    keys.lock();
+
+    expect(() => keys.unlock('old pass')).toThrow('Invalid keystore passphrase');
+    keys.unlock('new pass');
+    expect(keys.getISK().toString('hex')).toBe(keysData.isk);
+    expect(() => keys.changePassphrase('wrong', 'other')).toThrow('Invalid keystore passphrase');
+  });
+
+  test('should migrate plaintext keys to the keystore on unlock', () => {
+    keys.keystorePassphrase = null;
+    const plaintext = keys.generateOrLoadKeys();
+    expect(keys.isKeystoreEncrypted()).toBe(false);
+
+    keys.unlock('migrate me');
+
+    expect(keys.isKeystoreEncrypted()).toBe(true);
+    keys.lock();
+    keys.unlock('migrate me');
+    expect(keys.getISK().toString('hex')).toBe(plaintext.isk);
+    expect(keys.getIssuer()).toBe(plaintext.issuer);
+  });
+
+  test('should migrate legacy plaintext keys through upgradeLegacyKeys', () => {
+    const { keysData } = keys.createKeys();
+    const legacy = { seed: keysData.seed, isk: keysData.isk, createdAt: keysData.createdAt };
+    fs.writeFileSync(keys.keysFile, JSON.stringify(legacy));
+
+    keys.unlock('legacy pass');
+    const stored = JSON.parse(fs.readFileSync(keys.keysFile, 'utf8'));
+
+    expect(stored.keystore).toBeDefined();
+    expect(stored.upgradedAt).toBeDefined();
+    expect(stored.issuer).toBe(keysData.issuer);
+  });
+
+  test('should create named issuer accounts from the same seed', () => {
+    const { keysData } = keys.createKeys();
+    const account = keys.createAccount('meme-two');
+    const { masterKey, chainCode } = keys.generateMasterKey(Buffer.from(keysData.seed, 'hex'));
+    const { ik } = keys.deriveValidatingKey(keys.deriveIssuanceKey(masterKey, chainCode, 1, keysData.coinType).isk);
+
+    expect(account.index).toBe(1);
+    expect(account.issuer).toBe(keys.encodeIssuer(ik));
+    expect(keys.listAccounts().map(a => a.name)).toEqual(['default', 'meme-two']);
+    expect(keys.getIssuer('meme-two')).toBe(account.issuer);
+    expect(keys.getIssuer()).toBe(keysData.issuer);
+    expect(() => keys.createAccount('meme-two')).toThrow('already exists');
+    expect(() => keys.resolveAccount('missing')).toThrow('Issuer account not found');
+  });
+
+  test('should select the active issuer account', () => {
+    keys.createKeys();
+    const account = keys.createAccount('meme-two');
+
+    keys.selectAccount('meme-two');
+    const reloaded = new IssuanceKeys();
+    reloaded.keysDir = testKeysDir;
+    reloaded.keysFile = keys.keysFile;
+
+    expect(reloaded.getIssuer()).toBe(account.issuer);
+    expect(keys.deriveValidatingKey(reloaded.getISK()).ik.toString('hex')).toBe(account.ik);
+    expect(keys.selectAccount(0).name).toBe('default');
+  });
+
+  test('should require unlock to create accounts in an encrypted keystore', () => {
+    keys.createKeys({ keystorePassphrase: 'correct horse' });
+    keys.lock();
+
+    expect(() => keys.createAccount('meme-two')).toThrow('locked');
+    keys.unlock('correct horse');
+    const account = keys.createAccount('meme-two');
+    keys.lock();
+
+    expect(keys.getIssuer('meme-two')).toBe(account.issuer);
+    expect(() => keys.getISK('meme-two')).toThrow('locked');
+    keys.unlock('correct horse');
+    expect(keys.getISK('meme-two')).toHaveLength(32);
+  });
+
+  test('should derive with the network coin type and refuse other networks', () => {
+    const mnemonic = keys.generateMnemonic();
+    const mainnetKeys = new IssuanceKeys({ network: 'mainnet' });
+    mainnetKeys.keysDir = testKeysDir;
+    mainnetKeys.keysFile = keys.keysFile;
+    const { keysData: mainnet } = mainnetKeys.createKeys({ mnemonic });
+
+    const testnetKeys = new IssuanceKeys({ network: 'testnet' });
+    const testnet = testnetKeys.deriveKeysFromSeed(testnetKeys.mnemonicToSeed(mnemonic));
+
+    expect(mainnet.coinType).toBe(133);
+    expect(testnet.coinType).toBe(1);
+    expect(testnet.issuer).not.toBe(mainnet.issuer);
+
+    testnetKeys.keysDir = testKeysDir;
+    testnetKeys.keysFile = keys.keysFile;
+    expect(() => testnetKeys.getIssuer()).toThrow('Issuance key file belongs to mainnet');
+  });
+
+  test('should import a watch-only profile without any secret keys', () => {
+    keys.createKeys();
+    const second = keys.createAccount('meme-two');
+    const profile = keys.exportWatchOnlyProfile();
+    expect(JSON.stringify(profile)).not.toMatch(/isk|seed|masterKey|chainCode/);
+
+    const watcher = new IssuanceKeys();
+    watcher.keysDir = path.join(testKeysDir, 'watcher');
+    watcher.keysFile = path.join(watcher.keysDir, 'issuance-keys.json');
+    watcher.importWatchOnly(profile);
+
+    expect(watcher.isWatchOnly()).toBe(true);
+    expect(watcher.isUnlocked()).toBe(false);
+    expect(watcher.getIssuer()).toBe(keys.getIssuer());
+    expect(watcher.getIssuer('meme-two')).toBe(second.issuer);
+    expect(() => watcher.getISK()).toThrow(WatchOnlyError);
+    expect(() => watcher.createAccount('other')).toThrow('watch-only profile');
+    expect(() => watcher.unlock('anything')).toThrow('watch-only profile');
+  });
+
+  test('should import a watch-only profile from an ik or issuer', () => {
+    const { keysData } = keys.createKeys();
+    fs.rmSync(keys.keysFile);
+
+    keys.importWatchOnly(keysData.ik);
+    expect(keys.getIssuer()).toBe(keysData.issuer);
+    keys.importWatchOnly(keysData.issuer, { overwrite: true });
+    expect(keys.getIssuer()).toBe(keysData.issuer);
+
+    expect(() => keys.importWatchOnly('01' + keysData.ik, { overwrite: true })).toThrow('Issuer must be 0x00');
+    expect(() => keys.importWatchOnly('zz', { overwrite: true })).toThrow('32-byte ik');
+  });
+
+  test('should split the seed into shares and recover the same issuer', () => {
+    const { keysData } = keys.createKeys();
+    const backup = keys.splitSeed({ threshold: 2, shares: 3 });
+    const files = keys.writeSeedShares(backup, path.join(testKeysDir, 'shares'));
+    expect(files).toHaveLength(3);
+    expect(backup.shares[0].words).not.toContain(keysData.seed);
+
+    fs.rmSync(keys.keysFile);
+    const words = [files[2], files[0]].map(file => keys.readSeedShare(file).words);
+    const restored = keys.recoverFromShares(words, { expectedIssuer: backup.issuer });
+
+    expect(restored.seed).toBe(keysData.seed);
+    expect(keys.getIssuer()).toBe(keysData.issuer);
+    expect(() => keys.recoverFromShares([words[0]])).toThrow('Need 2 distinct shares');
+  });
+
+  test('should keep an encrypted keystore encrypted when recovering from shares', () => {
+    const { keysData } = keys.createKeys({ keystorePassphrase: 'correct horse' });
+    const words = keys.splitSeed({ threshold: 2, shares: 2 }).shares.map(share => share.words);
+    const locked = new IssuanceKeys();
+    locked.keysDir = testKeysDir;
+    locked.keysFile = keys.keysFile;
+    locked.keystorePassphrase = null;
+
+    expect(() => locked.recoverFromShares(words)).toThrow('A keystore passphrase is required');
+    locked.recoverFromShares(words, { keystorePassphrase: 'new horse' });
+    expect(locked.isKeystoreEncrypted()).toBe(true);
+    expect(fs.readFileSync(keys.keysFile, 'utf8')).not.toContain(keysData.isk);
+    expect(() => keys.unlock('correct horse')).toThrow('Invalid keystore passphrase');
+    keys.unlock('new horse');
+    expect(keys.getISK().toString('hex')).toBe(keysData.isk);
+  });
+
+  test('should refuse a recovered seed for a different issuer', () => {
+    keys.createKeys();
+    const backup = keys.splitSeed({ threshold: 2, shares: 2 });
+    const other = new IssuanceKeys();
+    other.keysDir = path.join(testKeysDir, 'other');
+    other.keysFile = path.join(other.keysDir, 'issuance-keys.json');
+    other.createKeys();
+
+    const otherIssuer = other.getIssuer();
+    const words = backup.shares.map(share => share.words);
+    expect(() => other.recoverFromShares(words, { expectedIssuer: backup.issuer }))
+      .toThrow(`Existing keys belong to issuer ${otherIssuer}`);
+    expect(() => other.recoverFromShares(words)).toThrow(`Recovered seed produces issuer ${backup.issuer}`);
+  });
 });
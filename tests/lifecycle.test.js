@@ -0,0 +1,189 @@
+/**
+ * Tests for the token lifecycle: enforced transitions, separate finalization and
+ * deployment states, and back-filling older records from their history
+ */
+
+// Jest tests use global functions in Node.js ESM mode
+import { TokenCreator } from '../src/token-creator.js';
+import {
+  backfillLifecycle,
+  completeBroadcast,
+  describeLifecycle,
+  initialLifecycle,
+  isStaleBroadcast,
+  transition,
+  withLifecycle
+} from '../src/lifecycle.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('Token lifecycle', () => {
+  const testTokensDir = path.join(__dirname, '..', 'test-tokens');
+  const testKeysDir = path.join(__dirname, '..', 'test-keys');
+  let tokenCreator;
+
+  const createToken = (overrides = {}) => tokenCreator.createToken({
+    name: 'LifeCoin',
+    symbol: 'LIFE',
+    initialSupply: '1000',
+    recipientAddress: 'zt1test123456789',
+    ...overrides
+  });
+  const deploy = assetId => tokenCreator.deployToken(assetId, { useCli: false });
+
+  beforeEach(() => {
+    fs.rmSync(testTokensDir, { recursive: true, force: true });
+    fs.rmSync(testKeysDir, { recursive: true, force: true });
+    tokenCreator = new TokenCreator();
+    tokenCreator.tokensDir = testTokensDir;
+    tokenCreator.tokensFile = path.join(testTokensDir, 'created-tokens.json');
+    tokenCreator.keys.keysDir = testKeysDir;
+    tokenCreator.keys.keysFile = path.join(testKeysDir, 'issuance-keys.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(testTokensDir, { recursive: true, force: true });
+    fs.rmSync(testKeysDir, { recursive: true, force: true });
+  });
+
+  test('should keep a deployed token deployed while a new issuance waits to be broadcast', async () => {
+    const token = await createToken();
+    expect(token.lifecycle).toEqual({ deployment: 'pending', issuance: 'ready', finalization: 'open' });
+    await deploy(token.assetId);
+
+    const { token: issued } = await tokenCreator.issueMore(token.assetId, '500', 'zt1test123456789');
+    expect(issued.status).toBe('deployed');
+    expect(issued.lifecycle.issuance).toBe('ready');
+    expect(describeLifecycle(issued)).toBe('deployed, issuance ready to broadcast');
+
+    const redeployed = await deploy(token.assetId);
+    expect(redeployed.token.lifecycle).toEqual({ deployment: 'deployed', issuance: 'none', finalization: 'open' });
+    expect(redeployed.transaction.first_issuance).toBe(false);
+    // Only the queued bundle is broadcast, not the whole supply again
+    expect(redeployed.transaction.amount).toBe('500');
+    expect(redeployed.transaction.finalized).toBe(false);
+    await expect(deploy(token.assetId)).rejects.toThrow('already deployed and has no new issuance to broadcast');
+  });
+
+  test('should finalize separately from deployment', async () => {
+    const token = await createToken();
+    await deploy(token.assetId);
+
+    const { token: finalizing } = await tokenCreator.finalizeToken(token.assetId);
+    expect(finalizing.status).toBe('deployed');
+    expect(finalizing.finalized).toBe(true);
+    expect(finalizing.lifecycle.finalization).toBe('pending');
+    await expect(tokenCreator.issueMore(token.assetId, '1', 'zt1test123456789')).rejects.toThrow('LIFE is finalized');
+    await expect(tokenCreator.finalizeToken(token.assetId)).rejects.toThrow('already finalized');
+
+    const finalized = await deploy(token.assetId);
+    expect(finalized.transaction).toMatchObject({ amount: '0', finalized: true });
+    expect(tokenCreator.getTokenByAssetId(token.assetId).lifecycle.finalization).toBe('finalized');
+  });
+
+  test('should reject transfers and burns before deployment and changes to tracked tokens', async () => {
+    const token = await createToken();
+    await expect(tokenCreator.burnTokens(token.assetId, '1', { useCli: false }))
+      .rejects.toThrow('Cannot burn LIFE: the token has not been deployed yet (status pending)');
+    await expect(tokenCreator.transferToken(token.assetId, 'zt1recipient0001', '1', { useCli: false }))
+      .rejects.toThrow('has not been deployed yet');
+    const stored = tokenCreator.getTokenByAssetId(token.assetId);
+    expect(stored.status).toBe('pending');
+    expect(stored.burnedSupply).toBe('0');
+
+    const tracked = tokenCreator.trackToken({ name: 'Other', symbol: 'OTH' });
+    expect(tracked.lifecycle.deployment).toBe('tracked');
+    await expect(tokenCreator.issueMore(tracked.assetId, '1', 'zt1test123456789')).rejects.toThrow('can only be inspected');
+    await expect(deploy(tracked.assetId)).rejects.toThrow('can only be inspected');
+  });
+
+  test('should refuse transitions the lifecycle does not allow', async () => {
+    const token = await createToken();
+    expect(() => tokenCreator.updateTokenStatus(token.assetId, 'failed'))
+      .toThrow('cannot move deployment from pending to failed');
+    expect(() => tokenCreator.updateTokenStatus(token.assetId, 'pending_finalization')).toThrow('Unknown token status');
+
+    tokenCreator.updateTokenStatus(token.assetId, 'deploying');
+    expect(() => tokenCreator.updateTokenStatus(token.assetId, 'deploying')).toThrow('being broadcast');
+    expect(tokenCreator.updateTokenStatus(token.assetId, 'failed').lifecycle)
+      .toEqual({ deployment: 'failed', issuance: 'ready', finalization: 'open' });
+
+    // A broadcast without the finalize flag leaves a built finalization pending
+    const broadcasting = () => ({
+      symbol: 'X',
+      lifecycle: { deployment: 'deploying', issuance: 'broadcasting', finalization: 'pending' },
+      broadcast: { pid: process.pid, hostname: os.hostname(), startedAt: new Date().toISOString() }
+    });
+    expect(completeBroadcast(broadcasting()).lifecycle.finalization).toBe('pending');
+    expect(completeBroadcast(broadcasting(), { finalize: true }).lifecycle.finalization).toBe('finalized');
+
+    const record = { symbol: 'X', lifecycle: initialLifecycle({ finalize: true }) };
+    expect(() => transition(record, 'finalization', 'open')).toThrow('cannot move finalization from pending to open');
+    expect(transition(record, 'finalization', 'finalized').finalized).toBe(true);
+  });
+
+  test('should recover a broadcast left behind by a process that died', async () => {
+    const token = await createToken();
+    tokenCreator.updateTokenStatus(token.assetId, 'deploying');
+    expect(() => tokenCreator.updateTokenStatus(token.assetId, 'deploying')).toThrow('being broadcast');
+
+    // The owner exits without recording an outcome
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    const tokens = tokenCreator.getAllTokens();
+    tokens[0].broadcast.pid = pid;
+    tokenCreator.persistTokens(tokens);
+
+    const recovered = tokenCreator.getTokenByAssetId(token.assetId);
+    expect(recovered.lifecycle).toEqual({ deployment: 'failed', issuance: 'ready', finalization: 'open' });
+    expect(recovered.broadcast).toBeUndefined();
+    await deploy(token.assetId);
+    expect(tokenCreator.getTokenByAssetId(token.assetId).lifecycle.deployment).toBe('deployed');
+
+    // A broadcast from another host is given up only after a long wait
+    const remote = startedAt => ({
+      symbol: 'X',
+      lifecycle: { deployment: 'deployed', issuance: 'broadcasting', finalization: 'open' },
+      broadcast: { pid: 1, hostname: `${os.hostname()}-other`, startedAt }
+    });
+    expect(isStaleBroadcast(remote(new Date().toISOString()))).toBe(false);
+    expect(withLifecycle(remote('2024-01-01T00:00:00.000Z')).lifecycle)
+      .toEqual({ deployment: 'deployed', issuance: 'ready', finalization: 'open' });
+  });
+
+  test('should back-fill older records from their history', async () => {
+    const at = type => ({ type, timestamp: '2024-01-01T00:00:00.000Z' });
+
+    expect(backfillLifecycle({ status: 'pending', history: [at('creation')] }))
+      .toEqual({ deployment: 'pending', issuance: 'ready', finalization: 'open' });
+    expect(backfillLifecycle({ status: 'deployed', history: [{ ...at('creation'), finalized: true }, at('deployment')] }))
+      .toEqual({ deployment: 'deployed', issuance: 'none', finalization: 'finalized' });
+    expect(backfillLifecycle({ status: 'pending_finalization', finalized: true, history: [at('creation'), at('deployment'), at('finalization')] }))
+      .toEqual({ deployment: 'deployed', issuance: 'ready', finalization: 'pending' });
+    expect(backfillLifecycle({ status: 'failed', history: [at('creation'), at('deployment_failed')] }))
+      .toEqual({ deployment: 'failed', issuance: 'ready', finalization: 'open' });
+    // Burns used to force status deployed; history shows the token never was
+    expect(backfillLifecycle({ status: 'deployed', history: [at('creation'), at('burn')] }).deployment).toBe('pending');
+    expect(backfillLifecycle({ status: 'awaiting_signature', unsignedTransaction: {}, history: [at('creation')] }).issuance)
+      .toBe('awaiting_signature');
+    expect(backfillLifecycle({ status: 'tracked', tracked: true, history: [at('tracked')] }).deployment).toBe('tracked');
+
+    // Records in the store get their lifecycle, status and finalized flag on read
+    const token = await createToken();
+    await deploy(token.assetId);
+    await tokenCreator.finalizeToken(token.assetId);
+    const tokens = tokenCreator.getAllTokens();
+    delete tokens[0].lifecycle;
+    tokens[0].status = 'pending_finalization';
+    tokenCreator.persistTokens(tokens);
+
+    const legacy = tokenCreator.getTokenByAssetId(token.assetId);
+    expect(legacy.lifecycle).toEqual({ deployment: 'deployed', issuance: 'ready', finalization: 'pending' });
+    expect(legacy.status).toBe('deployed');
+  });
+});
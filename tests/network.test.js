@@ -0,0 +1,93 @@
+/**
+ * Tests for network parameters and cross-network checks
+ */
+
+// Jest tests use global functions in Node.js ESM mode
+import {
+  resolveNetwork,
+  assertSameNetwork,
+  detectAddressNetworks,
+  assertAddressNetwork
+} from '../src/network.js';
+import { WalletManager } from '../src/wallet.js';
+import { ZcashClient } from '../src/zcash-client.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('Network parameters', () => {
+  test('should resolve names, aliases and record labels', () => {
+    expect(resolveNetwork('mainnet').coinType).toBe(133);
+    expect(resolveNetwork('test').coinType).toBe(1);
+    expect(resolveNetwork('zcash-regtest').name).toBe('regtest');
+    expect(() => resolveNetwork('devnet')).toThrow('Unknown network');
+  });
+
+  test('should treat records without a network as testnet', () => {
+    expect(() => assertSameNetwork(undefined, 'testnet')).not.toThrow();
+    expect(() => assertSameNetwork('zcash-testnet', 'mainnet', 'Token ABC')).toThrow(
+      'Token ABC belongs to testnet, but the active network is mainnet'
+    );
+  });
+
+  test('should detect address networks from prefixes', () => {
+    expect(detectAddressNetworks('zs1abc')).toEqual(['mainnet']);
+    expect(detectAddressNetworks('utest1abc')).toEqual(['testnet']);
+    expect(detectAddressNetworks('tmAbc')).toEqual(['testnet', 'regtest']);
+    expect(detectAddressNetworks('ab'.repeat(43))).toEqual([]);
+    expect(() => assertAddressNetwork('zt1test123', 'mainnet')).toThrow('testnet address');
+    expect(() => assertAddressNetwork('ab'.repeat(43), 'mainnet')).not.toThrow();
+  });
+
+  test('should default RPC ports per network', () => {
+    const saved = { url: process.env.ZCASH_RPC_URL, testnetUrl: process.env.ZCASH_TESTNET_RPC_URL };
+    delete process.env.ZCASH_RPC_URL;
+    delete process.env.ZCASH_TESTNET_RPC_URL;
+    try {
+      expect(new ZcashClient({ network: 'mainnet' }).rpcUrl).toBe('http://localhost:8232');
+      expect(new ZcashClient({ network: 'regtest' }).rpcUrl).toBe('http://localhost:18232');
+      expect(new ZcashClient({ testnet: false }).testnet).toBe(false);
+    } finally {
+      if (saved.url !== undefined) process.env.ZCASH_RPC_URL = saved.url;
+      if (saved.testnetUrl !== undefined) process.env.ZCASH_TESTNET_RPC_URL = saved.testnetUrl;
+    }
+  });
+
+  describe('WalletManager', () => {
+    const testWalletsDir = path.join(__dirname, '..', 'test-wallets');
+
+    function walletManager(network) {
+      const manager = new WalletManager({ network });
+      manager.walletsDir = testWalletsDir;
+      manager.walletsFile = path.join(testWalletsDir, 'wallets.json');
+      manager.ensureWalletsDir();
+      return manager;
+    }
+
+    beforeEach(() => {
+      fs.rmSync(testWalletsDir, { recursive: true, force: true });
+    });
+
+    afterEach(() => {
+      fs.rmSync(testWalletsDir, { recursive: true, force: true });
+    });
+
+    test('should use network address prefixes', () => {
+      expect(walletManager('mainnet').generateAddress()).toMatch(/^zs1/);
+      expect(walletManager('testnet').generateAddress()).toMatch(/^ztestsapling1/);
+      expect(walletManager('regtest').generateAddress('unified')).toMatch(/^uregtest1/);
+    });
+
+    test('should refuse to add wallets from another network', () => {
+      const wallet = walletManager('regtest').createWallet('dev');
+
+      expect(wallet.network).toBe('regtest');
+      expect(() => walletManager('mainnet').createWallet('main')).toThrow(
+        'Wallet dev belongs to regtest, but the active network is mainnet'
+      );
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Tests for issue note rho/rseed derivation and note commitments
+ */
+
+// Jest tests use global functions in Node.js ESM mode
+import { IssuanceTransaction } from '../src/issuance.js';
+import { verifyBundle } from '../src/bundle-verifier.js';
+import { decodeTransaction, encodeTransaction } from '../src/transaction.js';
+import {
+  computeNoteCommitment,
+  deriveIssuedRho,
+  isValidRseed,
+  sampleIssuedRseed
+} from '../src/note-commitment.js';
+import { PALLAS_P, encodePallasPoint, pallasHashToCurve } from '../src/pallas.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Orchard raw address: 11-byte diversifier || pk_d (a valid Pallas point)
+const ORCHARD_ADDRESS = Buffer.concat([
+  Buffer.alloc(11, 7),
+  encodePallasPoint(pallasHashToCurve('test', Buffer.from('pk')))
+]).toString('hex');
+const NULLIFIER = '11'.repeat(32);
+const RSEED = '33'.repeat(32);
+
+describe('Issue note commitments', () => {
+  const testKeysDir = path.join(__dirname, '..', 'test-keys');
+  let issuance;
+
+  beforeEach(() => {
+    fs.rmSync(testKeysDir, { recursive: true, force: true });
+    issuance = new IssuanceTransaction();
+    issuance.keys.keysDir = testKeysDir;
+    issuance.keys.keysFile = path.join(testKeysDir, 'issuance-keys.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(testKeysDir, { recursive: true, force: true });
+  });
+
+  test('should derive rho in the base field, distinct per action and note', () => {
+    const rho = deriveIssuedRho(NULLIFIER, 0, 0);
+    expect(rho).toMatch(/^[0-9a-f]{64}$/);
+    expect(BigInt(`0x${Buffer.from(rho, 'hex').reverse().toString('hex')}`) < PALLAS_P).toBe(true);
+    expect(deriveIssuedRho(NULLIFIER, 0, 0)).toBe(rho);
+    expect(deriveIssuedRho(NULLIFIER, 0, 1)).not.toBe(rho);
+    expect(deriveIssuedRho(NULLIFIER, 1, 0)).not.toBe(rho);
+  });
+
+  test('should sample rseed at random with a nonzero esk', () => {
+    const rho = deriveIssuedRho(NULLIFIER, 0, 0);
+    const rseed = sampleIssuedRseed(rho);
+    expect(rseed).toMatch(/^[0-9a-f]{64}$/);
+    expect(isValidRseed(rseed, rho)).toBe(true);
+    expect(sampleIssuedRseed(rho)).not.toBe(rseed);
+    expect(sampleIssuedRseed(rho, () => Buffer.from(RSEED, 'hex'))).toBe(RSEED);
+  });
+
+  test('should compute cmx for Orchard raw addresses only (pinned from this implementation)', () => {
+    const note = {
+      recipientAddress: ORCHARD_ADDRESS,
+      value: '1000',
+      assetId: `00${'22'.repeat(64)}`,
+      rho: deriveIssuedRho(NULLIFIER, 0, 0),
+      rseed: RSEED
+    };
+    expect(computeNoteCommitment(note)).toBe('e3cf641bfe4e8e3d34093a21d36885cdc1547d5d49c49f4bc2e25b0db1369b2e');
+    expect(computeNoteCommitment({ ...note, value: '1001' })).not.toBe(computeNoteCommitment(note));
+    expect(computeNoteCommitment({ ...note, recipientAddress: 'zt1placeholder' })).toBe(null);
+    expect(computeNoteCommitment({ ...note, rseed: undefined })).toBe(null);
+  });
+
+  // The value above only catches drift; no upstream OrchardZSA vector is imported yet
+  test.todo('should match the cmx of an upstream OrchardZSA note commitment vector');
+
+  test('should give built notes deterministic rho, random rseed and a cmx that survive V6 encoding', () => {
+    const build = options => issuance.buildIssuanceTransaction(
+      { name: 'NoteCoin', symbol: 'NOTE' },
+      [{ address: ORCHARD_ADDRESS, amount: '500' }, { address: 'zt1placeholder', amount: '5' }],
+      false,
+      options
+    );
+    const tx = build({ firstIssuance: true });
+    const [reference, orchard, placeholder] = tx.issuanceBundle.actions[0].notes;
+
+    expect(tx.firstNullifier).toMatch(/^[0-9a-f]{64}$/);
+    expect(orchard.rho).toBe(deriveIssuedRho(tx.firstNullifier, 0, 1));
+    expect(orchard.cmx).toBe(computeNoteCommitment(orchard));
+    expect(reference.cmx).toBeUndefined();
+    expect(placeholder.cmx).toBeUndefined();
+    const rebuilt = build({ firstIssuance: true }).issuanceBundle.actions[0].notes[1];
+    expect(rebuilt.rho).toBe(orchard.rho);
+    expect(rebuilt.rseed).not.toBe(orchard.rseed);
+    expect(rebuilt.cmx).toBe(computeNoteCommitment(rebuilt));
+
+    const withNullifier = build({ firstIssuance: true, nullifier: NULLIFIER });
+    expect(withNullifier.firstNullifier).toBe(NULLIFIER);
+    expect(withNullifier.issuanceBundle.actions[0].notes[1].rho).toBe(deriveIssuedRho(NULLIFIER, 0, 1));
+
+    const decoded = decodeTransaction(encodeTransaction(tx)).issuanceBundle.actions[0].notes[1];
+    expect(decoded.rho).toBe(orchard.rho);
+    expect(decoded.rseed).toBe(orchard.rseed);
+    expect(verifyBundle(tx).checks.find(entry => entry.check === 'action 1 note commitments').status).toBe('pass');
+
+    const tampered = JSON.parse(JSON.stringify(tx));
+    tampered.issuanceBundle.actions[0].notes[1].cmx = '00'.repeat(32);
+    expect(verifyBundle(tampered).valid).toBe(false);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Tests for offline (air-gapped) signing of issuance bundles
+ */
+
+// Jest tests use global functions in Node.js ESM mode
+import { TokenCreator } from '../src/token-creator.js';
+import { IssuanceKeys } from '../src/keys.js';
+import {
+  signIssuanceFile,
+  summarizeIssuanceFile,
+  validateIssuanceFile
+} from '../src/offline-signing.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('Offline signing', () => {
+  let online;
+  let offlineKeys;
+  const testTokensDir = path.join(__dirname, '..', 'test-tokens');
+  const testKeysDir = path.join(__dirname, '..', 'test-keys');
+  const keysFile = path.join(testKeysDir, 'issuance-keys.json');
+
+  beforeEach(() => {
+    fs.rmSync(testTokensDir, { recursive: true, force: true });
+    fs.rmSync(testKeysDir, { recursive: true, force: true });
+
+    // The offline machine holds the keys; the online machine only sees the locked keystore
+    offlineKeys = new IssuanceKeys();
+    offlineKeys.keysDir = testKeysDir;
+    offlineKeys.keysFile = keysFile;
+    offlineKeys.createKeys({ keystorePassphrase: 'offline pass' });
+
+    online = new TokenCreator();
+    online.tokensDir = testTokensDir;
+    online.tokensFile = path.join(testTokensDir, 'created-tokens.json');
+    online.keys.keysDir = testKeysDir;
+    online.keys.keysFile = keysFile;
+    online.keys.keystorePassphrase = null;
+  });
+
+  afterEach(() => {
+    fs.rmSync(testTokensDir, { recursive: true, force: true });
+    fs.rmSync(testKeysDir, { recursive: true, force: true });
+  });
+
+  async function createOfflineToken() {
+    return online.createToken({
+      name: 'AirCoin',
+      symbol: 'AIR',
+      description: 'Signed offline',
+      initialSupply: '5000',
+      recipientAddress: 'zt1test123456789',
+      offline: true
+    });
+  }
+
+  test('should build an unsigned token without access to the isk', async () => {
+    const token = await createOfflineToken();
+
+    expect(online.keys.isUnlocked()).toBe(false);
+    expect(token.status).toBe('pending');
+    expect(token.lifecycle.issuance).toBe('awaiting_signature');
+    expect(token.transaction.issuanceBundle.signature).toBe(null);
+    await expect(online.deployToken(token.assetId, { useCli: false })).rejects.toThrow('awaiting an offline signature');
+  });
+
+  test('should export, sign offline, import and deploy', async () => {
+    const token = await createOfflineToken();
+    const exportFile = path.join(testTokensDir, 'air.unsigned.json');
+    const unsigned = online.exportUnsignedIssuance(token.assetId, exportFile);
+
+    const signed = signIssuanceFile(JSON.parse(fs.readFileSync(exportFile, 'utf8')), offlineKeys);
+    expect(signed.signedBy.name).toBe('default');
+
+    const imported = online.importSignedIssuance(signed);
+    expect(imported.status).toBe('pending');
+    expect(imported.unsignedTransaction).toBeUndefined();
+    expect(imported.transaction.issuanceBundle.signature).toMatch(/^[0-9a-f]{128}$/);
+    expect(imported.history.at(-1).type).toBe('offline_signature');
+    expect(unsigned.sighash).toBe(signed.sighash);
+
+    const deployed = await online.deployToken(token.assetId, { useCli: false });
+    expect(deployed.success).toBe(true);
+  });
+
+  test('should summarize what is being signed', async () => {
+    const token = await createOfflineToken();
+    const summary = summarizeIssuanceFile(online.exportUnsignedIssuance(token.assetId)).join('\n');
+
+    expect(summary).toContain('Purpose: creation');
+    expect(summary).toContain('AirCoin (AIR) - Signed offline');
+    expect(summary).toContain('Issue 5000 to zt1test123456789');
+    expect(summary).toContain('  Reference note (ZIP 227 first issuance, value 0)');
+    expect(summary).toContain(`Asset ID: ${token.assetId}`);
+  });
+
+  test('should refuse files whose bundle was altered after export', async () => {
+    const token = await createOfflineToken();
+    const file = online.exportUnsignedIssuance(token.assetId);
+
+    const altered = JSON.parse(JSON.stringify(file));
+    altered.transaction.issuanceBundle.actions[0].notes[1].value = '9999999';
+    expect(() => signIssuanceFile(altered, offlineKeys)).toThrow('sighash does not match');
+
+    const unreferenced = JSON.parse(JSON.stringify(file));
+    unreferenced.transaction.issuanceBundle.actions[0].notes.shift();
+    expect(() => validateIssuanceFile(unreferenced)).toThrow('lacks the ZIP 227 reference note');
+
+    const relabeled = JSON.parse(JSON.stringify(file));
+    relabeled.transaction.issuanceBundle.actions[0].assetDesc = 'Other|OTH|';
+    expect(() => validateIssuanceFile(relabeled)).toThrow('asset description does not match');
+
+    const misassigned = JSON.parse(JSON.stringify(file));
+    misassigned.transaction.issuanceBundle.actions[0].notes[1].assetId = '00'.repeat(65);
+    expect(() => validateIssuanceFile(misassigned)).toThrow("note 1 is for asset");
+
+    const rebased = JSON.parse(JSON.stringify(file));
+    rebased.transaction.issuanceBundle.actions[0].notes[1].assetBase = '44'.repeat(32);
+    expect(() => validateIssuanceFile(rebased)).toThrow("asset base does not match the action's asset");
+
+    const unvalued = JSON.parse(JSON.stringify(file));
+    unvalued.transaction.issuanceBundle.actions[0].notes[1].value = '-5';
+    expect(() => validateIssuanceFile(unvalued)).toThrow('Action 0 note 1 value');
+  });
+
+  test('should only import a signature for the pending issuance', async () => {
+    const token = await createOfflineToken();
+    const signed = signIssuanceFile(online.exportUnsignedIssuance(token.assetId), offlineKeys);
+    online.importSignedIssuance(signed);
+
+    await online.issueMore(token.assetId, '10', 'zt1test123456789', { offline: true });
+    expect(() => online.importSignedIssuance(signed)).toThrow('does not match the issuance awaiting a signature');
+    await expect(online.finalizeToken(token.assetId)).rejects.toThrow('awaiting an offline signature');
+
+    const next = signIssuanceFile(online.exportUnsignedIssuance(token.assetId), offlineKeys);
+    expect(online.importSignedIssuance(next).status).toBe('pending');
+  });
+
+  test('should sign a multi-asset bundle once for every token it issues', async () => {
+    const { tokens } = await online.issueBundle([
+      { name: 'Pup', symbol: 'PUP', recipients: [{ address: 'zt1test123456789', amount: '1' }] },
+      { name: 'Kit', symbol: 'KIT', recipients: [{ address: 'zt1test123456789', amount: '2' }] }
+    ], { offline: true });
+
+    const file = online.exportUnsignedIssuance(tokens[1].assetId);
+    expect(summarizeIssuanceFile(file).join('\n')).toContain('Action 2: Kit (KIT)');
+    online.importSignedIssuance(signIssuanceFile(file, offlineKeys));
+
+    tokens.forEach(token => {
+      const updated = online.getTokenByAssetId(token.assetId);
+      expect(updated.status).toBe('pending');
+      expect(updated.unsignedTransaction).toBeUndefined();
+    });
+  });
+});
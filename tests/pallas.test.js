@@ -0,0 +1,79 @@
+/**
+ * Tests for Pallas GroupHash (OrchardZSA asset base)
+ */
+
+// Jest tests use global functions in Node.js ESM mode
+import {
+  PallasPoint,
+  expandMessageXmd,
+  pallasHashToCurve,
+  encodePallasPoint,
+  decodePallasPoint
+} from '../src/pallas.js';
+import { blake2b } from '@noble/hashes/blake2.js';
+import { expand_message_xmd } from '@noble/curves/abstract/hash-to-curve.js';
+
+describe('Pallas GroupHash', () => {
+  // Same input as the pasta_curves hash_to_curve test; only membership on the curve is checked
+  test('should hash to a valid Pallas point', () => {
+    const point = pallasHashToCurve('z.cash:test', Buffer.from('Trans rights now!'));
+    const { x, y } = point.toAffine();
+    const p = PallasPoint.Fp.ORDER;
+
+    expect(point.is0()).toBe(false);
+    expect((y * y) % p).toBe((x * x * x + 5n) % p);
+  });
+
+  test('should expand messages with the 64-byte Z_pad pasta_curves uses', () => {
+    const dst = Buffer.from('z.cash:test-pallas_XMD:BLAKE2b_SSWU_RO_');
+    const message = Buffer.from('Trans rights now!');
+    const dstPrime = Buffer.concat([dst, Buffer.from([dst.length])]);
+    const b0 = blake2b(Buffer.concat([Buffer.alloc(64), message, Buffer.from([0, 128, 0]), dstPrime]));
+    const b1 = blake2b(Buffer.concat([b0, Buffer.from([1]), dstPrime]));
+
+    const [first, second] = expandMessageXmd(message, dst);
+    expect(first.toString('hex')).toBe(Buffer.from(b1).toString('hex'));
+    expect(second).toHaveLength(64);
+    // The IETF draft pads with a full 128-byte BLAKE2b block, which gives other field elements
+    const ietf = Buffer.from(expand_message_xmd(message, dst, 128, blake2b));
+    expect(ietf.subarray(0, 64).equals(first)).toBe(false);
+  });
+
+  // The upstream expected point could not be imported into this tree yet
+  test.todo('should give the pasta_curves expected point for "z.cash:test" / "Trans rights now!"');
+
+  test('should be deterministic and domain separated', () => {
+    const message = Buffer.alloc(64, 0xab);
+    const a = encodePallasPoint(pallasHashToCurve('z.cash:OrchardZSA', message));
+    const b = encodePallasPoint(pallasHashToCurve('z.cash:OrchardZSA', message));
+    const other = encodePallasPoint(pallasHashToCurve('z.cash:Orchard', message));
+
+    expect(a).toEqual(b);
+    expect(a).not.toEqual(other);
+  });
+
+  test('should round-trip compressed encoding', () => {
+    for (let i = 0; i < 4; i += 1) {
+      const point = pallasHashToCurve('z.cash:test', Buffer.from([i]));
+      const encoded = encodePallasPoint(point);
+
+      expect(encoded.length).toBe(32);
+      expect(decodePallasPoint(encoded).equals(point)).toBe(true);
+    }
+  });
+
+  test('should encode identity as zeros and the generator with its sign bit', () => {
+    expect(encodePallasPoint(PallasPoint.ZERO)).toEqual(Buffer.alloc(32));
+    expect(decodePallasPoint(Buffer.alloc(32)).is0()).toBe(true);
+
+    // Generator (-1, 2): y is even, so bit 255 stays clear
+    const encoded = encodePallasPoint(PallasPoint.BASE);
+    expect(encoded[31] & 0x80).toBe(0);
+    expect(decodePallasPoint(encoded).equals(PallasPoint.BASE)).toBe(true);
+  });
+
+  test('should reject invalid encodings', () => {
+    expect(() => decodePallasPoint(Buffer.alloc(31))).toThrow('32 bytes');
+    expect(() => decodePallasPoint(Buffer.alloc(32, 0xff))).toThrow();
+  });
+});
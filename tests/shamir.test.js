@@ -0,0 +1,51 @@
+/**
+ * Tests for Shamir seed shares (SLIP-39 style)
+ */
+
+// Jest tests use global functions in Node.js ESM mode
+import crypto from 'crypto';
+import { combineShares, decodeShare, encodeShare, splitSecret } from '../src/shamir.js';
+
+describe('Shamir seed shares', () => {
+  const secret = crypto.randomBytes(64);
+
+  test('should rebuild the secret from any k of n shares', () => {
+    const shares = splitSecret(secret, 3, 5);
+
+    expect(shares).toHaveLength(5);
+    expect(combineShares([shares[0], shares[2], shares[4]])).toEqual(secret);
+    expect(combineShares([shares[3], shares[1], shares[0]])).toEqual(secret);
+    expect(() => combineShares(shares.slice(0, 2))).toThrow('Need 3 distinct shares, have 2');
+  });
+
+  test('should round-trip shares through words with a checksum', () => {
+    const shares = splitSecret(secret, 2, 3);
+    const words = shares.map(encodeShare);
+    const decoded = words.map(decodeShare);
+
+    expect(decoded[1]).toEqual(shares[1]);
+    expect(combineShares(decoded.slice(1))).toEqual(secret);
+
+    const typo = words[0].split(' ');
+    typo[20] = typo[20] === 'zoo' ? 'zone' : 'zoo';
+    expect(() => decodeShare(typo.join(' '))).toThrow('checksum does not match');
+    expect(() => decodeShare(words[0].split(' ').slice(1).join(' '))).toThrow();
+  });
+
+  test('should detect a wrong share through the digest', () => {
+    const shares = splitSecret(secret, 2, 3);
+    const corrupted = { ...shares[0], value: Buffer.from(shares[0].value) };
+    corrupted.value[10] ^= 0xff;
+
+    expect(() => combineShares([corrupted, shares[1]])).toThrow('Share digest does not match');
+  });
+
+  test('should refuse to mix shares from different backups', () => {
+    const first = splitSecret(secret, 2, 3);
+    const second = splitSecret(secret, 2, 3);
+    second[1].identifier = (first[0].identifier + 1) & 0xffff;
+
+    expect(() => combineShares([first[0], second[1]])).toThrow('different backups');
+    expect(() => splitSecret(secret, 4, 3)).toThrow('Threshold must be between 1 and 3');
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Tests for the JSON and SQLite record stores, migrations, the JSON importer, atomic
+ * writes and the store lock
+ */
+
+// Jest tests use global functions in Node.js ESM mode
+import { TokenCreator } from '../src/token-creator.js';
+import { WalletManager } from '../src/wallet.js';
+import {
+  SCHEMA_VERSION,
+  acquireFileLock,
+  closeDatabase,
+  importJsonStores,
+  openDatabase,
+  resolveStorageBackend
+} from '../src/storage.js';
+import { spawn, spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('Storage', () => {
+  const testTokensDir = path.join(__dirname, '..', 'test-tokens');
+  const testKeysDir = path.join(__dirname, '..', 'test-keys');
+  const testWalletsDir = path.join(__dirname, '..', 'test-wallets');
+  const testDataDir = path.join(__dirname, '..', 'test-data');
+  const databaseFile = path.join(testDataDir, 'zsa.sqlite');
+
+  const tokenData = (symbol) => ({
+    name: `${symbol} Coin`,
+    symbol,
+    initialSupply: '1000',
+    recipientAddress: 'zt1test123456789'
+  });
+
+  const newTokenCreator = (storage) => {
+    const creator = new TokenCreator({ storage });
+    creator.tokensDir = testTokensDir;
+    creator.tokensFile = path.join(testTokensDir, 'created-tokens.json');
+    creator.databaseFile = databaseFile;
+    creator.keys.keysDir = testKeysDir;
+    creator.keys.keysFile = path.join(testKeysDir, 'issuance-keys.json');
+    return creator;
+  };
+
+  const newWalletManager = (storage) => {
+    const manager = new WalletManager({ storage });
+    manager.walletsDir = testWalletsDir;
+    manager.walletsFile = path.join(testWalletsDir, 'wallets.json');
+    manager.databaseFile = databaseFile;
+    manager.ensureWalletsDir();
+    return manager;
+  };
+
+  const clean = () => {
+    closeDatabase(databaseFile);
+    [testTokensDir, testKeysDir, testWalletsDir, testDataDir].forEach(dir =>
+      fs.rmSync(dir, { recursive: true, force: true })
+    );
+  };
+
+  beforeEach(clean);
+  afterEach(clean);
+
+  test('should keep tokens and wallets in SQLite without JSON files', async () => {
+    const creator = newTokenCreator('sqlite');
+    const first = await creator.createToken(tokenData('ONE'));
+    const second = await creator.createToken(tokenData('TWO'));
+    await creator.deployToken(first.assetId, { useCli: false });
+
+    expect(creator.getAllTokens().map(token => token.symbol)).toEqual(['ONE', 'TWO']);
+    expect(creator.getTokenByAssetId(first.assetId).status).toBe('deployed');
+    expect(creator.getTokenByAssetId(second.assetId).status).toBe('pending');
+    expect(fs.existsSync(creator.tokensFile)).toBe(false);
+    expect(fs.existsSync(path.join(testTokensDir, `${first.id}.json`))).toBe(false);
+
+    const wallets = newWalletManager('sqlite');
+    const wallet = wallets.createWallet('alice');
+    wallets.createWallet('bob');
+    expect(wallets.getWallet(wallet.address).name).toBe('alice');
+    wallets.deleteWallet('alice');
+    expect(wallets.getAllWallets().map(entry => entry.name)).toEqual(['bob']);
+    expect(fs.existsSync(wallets.walletsFile)).toBe(false);
+
+    // A new process sees the same records
+    closeDatabase(databaseFile);
+    expect(newTokenCreator('sqlite').getAllTokens()).toHaveLength(2);
+  });
+
+  test('should write the issued_assets state and handovers only once the SQLite transaction commits', async () => {
+    const creator = newTokenCreator('sqlite');
+    const token = await creator.createToken(tokenData('ONE'));
+    const stateFile = creator.getIssuedAssetsFile();
+
+    const seedAndHandover = () => {
+      const state = creator.loadIssuedAssets();
+      state.seed(token.assetId, { balance: '1000' });
+      state.save();
+      creator.persistHandovers([{ id: 'handover' }]);
+      // Reads under the lock see the writes held back for the commit
+      expect(creator.loadIssuedAssets().get(token.assetId).balance).toBe('1000');
+      expect(creator.getHandovers()).toEqual([{ id: 'handover' }]);
+    };
+
+    expect(() => creator.withTokenLock(() => {
+      seedAndHandover();
+      creator.updateToken(token.assetId, updated => { updated.name = 'Renamed'; });
+      throw new Error('broadcast failed');
+    })).toThrow('broadcast failed');
+    expect(fs.existsSync(stateFile)).toBe(false);
+    expect(fs.existsSync(creator.getHandoversFile())).toBe(false);
+    expect(creator.getTokenByAssetId(token.assetId).name).toBe('ONE Coin');
+
+    creator.withTokenLock(seedAndHandover);
+    expect(fs.existsSync(stateFile)).toBe(true);
+    expect(creator.loadIssuedAssets().get(token.assetId).balance).toBe('1000');
+    expect(creator.getHandovers()).toEqual([{ id: 'handover' }]);
+  });
+
+  test('should migrate new databases and refuse ones from a newer schema', () => {
+    const db = openDatabase(databaseFile);
+    expect(db.pragma('user_version', { simple: true })).toBe(SCHEMA_VERSION);
+    const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(row => row.name);
+    expect(tables).toEqual(expect.arrayContaining(['tokens', 'wallets']));
+
+    db.pragma(`user_version = ${SCHEMA_VERSION + 1}`);
+    closeDatabase(databaseFile);
+    expect(() => openDatabase(databaseFile)).toThrow('newer than this tool supports');
+
+    expect(resolveStorageBackend('SQLite')).toBe('sqlite');
+    expect(() => resolveStorageBackend('mongo')).toThrow('Unknown storage backend');
+  });
+
+  test('should rewrite only changed JSON record files', async () => {
+    const creator = newTokenCreator('json');
+    const first = await creator.createToken(tokenData('ONE'));
+    const second = await creator.createToken(tokenData('TWO'));
+
+    // Mark the first record file; an untouched record must not be rewritten
+    const firstFile = path.join(testTokensDir, `${first.id}.json`);
+    fs.writeFileSync(firstFile, JSON.stringify({ ...first, marker: true }, null, 2));
+    await creator.deployToken(second.assetId, { useCli: false });
+
+    expect(JSON.parse(fs.readFileSync(firstFile, 'utf8')).marker).toBe(true);
+    expect(JSON.parse(fs.readFileSync(path.join(testTokensDir, `${second.id}.json`), 'utf8')).status).toBe('deployed');
+  });
+
+  test('should import the JSON stores once, recovering records missing from the index', async () => {
+    const creator = newTokenCreator('json');
+    const first = await creator.createToken(tokenData('ONE'));
+    const second = await creator.createToken(tokenData('TWO'));
+    newWalletManager('json').createWallet('alice');
+
+    // Simulate a crash that left the index without the second token
+    fs.writeFileSync(creator.tokensFile, JSON.stringify([first], null, 2));
+
+    const summary = importJsonStores({ tokensDir: testTokensDir, walletsDir: testWalletsDir, databaseFile });
+    expect(summary.tokens).toEqual({ imported: 2, recovered: 1 });
+    expect(summary.wallets).toEqual({ imported: 1, recovered: 0 });
+
+    const imported = newTokenCreator('sqlite');
+    expect(imported.getAllTokens().map(token => token.id)).toEqual([first.id, second.id]);
+    expect(imported.getTokenByAssetId(second.assetId).transaction).toEqual(second.transaction);
+    expect(newWalletManager('sqlite').getWallet('alice')).toBeDefined();
+
+    expect(() => importJsonStores({ tokensDir: testTokensDir, walletsDir: testWalletsDir, databaseFile }))
+      .toThrow('already holds 2 record(s) in tokens');
+  });
+
+  test('should refuse a corrupt index instead of reading it as empty', async () => {
+    const creator = newTokenCreator('json');
+    await creator.createToken(tokenData('ONE'));
+
+    // A crash in the middle of a plain write used to leave a truncated index
+    fs.writeFileSync(creator.tokensFile, '[{"id": "trunc');
+    expect(() => creator.getAllTokens()).toThrow('is unreadable');
+    await expect(creator.createToken(tokenData('TWO'))).rejects.toThrow('is unreadable');
+    expect(fs.readFileSync(creator.tokensFile, 'utf8')).toBe('[{"id": "trunc');
+
+    fs.writeFileSync(creator.tokensFile, '{}');
+    expect(() => creator.getAllTokens()).toThrow('expected an array of records');
+  });
+
+  test('should wait for a live lock holder and break a lock left by a dead process', async () => {
+    const creator = newTokenCreator('json');
+    await creator.createToken(tokenData('ONE'));
+    const lockFile = `${creator.tokensFile}.lock`;
+    const holder = { hostname: os.hostname(), acquiredAt: new Date().toISOString(), token: 'other' };
+
+    fs.writeFileSync(lockFile, JSON.stringify({ ...holder, pid: process.pid }));
+    expect(() => acquireFileLock(lockFile, { timeoutMs: 200 })).toThrow(`is held by process ${process.pid}`);
+
+    const exited = spawnSync(process.execPath, ['-e', '']).pid;
+    fs.writeFileSync(lockFile, JSON.stringify({ ...holder, pid: exited }));
+    await creator.createToken(tokenData('TWO'));
+    expect(creator.getAllTokens()).toHaveLength(2);
+    expect(fs.existsSync(lockFile)).toBe(false);
+    expect(fs.readdirSync(testTokensDir).filter(name => name.endsWith('.tmp'))).toEqual([]);
+  });
+
+  test('should keep every record when two processes write at once', async () => {
+    // Keys are created once up front; each process then only adds tokens
+    await newTokenCreator('json').createToken(tokenData('ZERO'));
+
+    const script = `
+      import path from 'path';
+      import { TokenCreator } from ${JSON.stringify(new URL('../src/token-creator.js', import.meta.url).href)};
+      const creator = new TokenCreator({ storage: 'json' });
+      creator.tokensDir = ${JSON.stringify(testTokensDir)};
+      creator.tokensFile = path.join(creator.tokensDir, 'created-tokens.json');
+      creator.keys.keysDir = ${JSON.stringify(testKeysDir)};
+      creator.keys.keysFile = path.join(creator.keys.keysDir, 'issuance-keys.json');
+      for (let i = 0; i < 3; i += 1) {
+        await creator.createToken({
+          name: 'Racer', symbol: process.argv[1] + i, initialSupply: '10', recipientAddress: 'zt1test123456789'
+        });
+      }
+    `;
+    const run = prefix => new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, ['--input-type=module', '-e', script, prefix], { stdio: ['ignore', 'ignore', 'pipe'] });
+      let stderr = '';
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.on('error', reject);
+      child.on('exit', code => (code === 0 ? resolve() : reject(new Error(stderr))));
+    });
+    await Promise.all([run('AA'), run('BB')]);
+
+    const symbols = newTokenCreator('json').getAllTokens().map(token => token.symbol).sort();
+    expect(symbols).toEqual(['AA0', 'AA1', 'AA2', 'BB0', 'BB1', 'BB2', 'ZERO']);
+  }, 60000);
+});
@@ -4,6 +4,7 @@
 
 // Jest tests use global functions in Node.js ESM mode
 import { TokenCreator } from '../src/token-creator.js';
+import { computeTxId } from '../src/transaction.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -110,6 +111,55 @@ describe('TokenCreator', () => {
     expect(token.history[0].amount).toBe('1000000');
   });
 
+  test('should start a new token with the ZIP 227 reference note', async () => {
+    const token = await tokenCreator.createToken({
+      name: 'TestCoin',
+      symbol: 'TEST',
+      initialSupply: '1000',
+      recipientAddress: 'zt1test123456789'
+    });
+    const notes = token.transaction.issuanceBundle.actions[0].notes;
+
+    expect(notes).toHaveLength(2);
+    expect(notes[0].reference).toBe(true);
+    expect(notes[0].value).toBe('0');
+    expect(notes[1].recipientAddress).toBe('zt1test123456789');
+  });
+
+  test('should record the issuer account that signed each token', async () => {
+    const account = tokenCreator.keys.createAccount('second-project');
+    const base = { description: 'Test', initialSupply: '1000', recipientAddress: 'zt1test123456789' };
+
+    const first = await tokenCreator.createToken({ ...base, name: 'First', symbol: 'ONE' });
+    const second = await tokenCreator.createToken({ ...base, name: 'Second', symbol: 'TWO', account: 'second-project' });
+
+    expect(first.issuerAccount).toEqual({ index: 0, name: 'default' });
+    expect(second.issuerAccount).toEqual({ index: 1, name: 'second-project' });
+    expect(second.issuer).toBe(account.issuer);
+    expect(second.transaction.issuanceBundle.issuer).toBe(account.issuer);
+    expect(second.issuer).not.toBe(first.issuer);
+
+    const { transaction } = await tokenCreator.issueMore(second.assetId, '5', 'zt1test123456789');
+    expect(transaction.assetId).toBe(second.assetId);
+  });
+
+  test('should refuse to mix token records from different networks', async () => {
+    const base = { description: 'Test', initialSupply: '1000', recipientAddress: 'zt1test123456789' };
+    const token = await tokenCreator.createToken({ ...base, name: 'First', symbol: 'ONE' });
+    expect(token.network).toBe('zcash-testnet');
+
+    const mainnetCreator = new TokenCreator({ network: 'mainnet' });
+    mainnetCreator.tokensDir = testTokensDir;
+    mainnetCreator.tokensFile = tokenCreator.tokensFile;
+
+    await expect(mainnetCreator.finalizeToken(token.assetId)).rejects.toThrow(
+      'Token ONE belongs to testnet, but the active network is mainnet'
+    );
+    await expect(
+      tokenCreator.createToken({ ...base, name: 'Second', symbol: 'TWO', recipientAddress: 'zs1abcdef' })
+    ).rejects.toThrow('mainnet address');
+  });
+
   test('should reject token creation with missing required fields', async () => {
     const tokenData = {
       name: 'TestCoin',
@@ -269,7 +319,8 @@ describe('TokenCreator', () => {
     const result = await tokenCreator.finalizeToken(token.assetId);
     
     expect(result.token.finalized).toBe(true);
-    expect(result.token.status).toBe('pending_finalization');
+    expect(result.token.status).toBe('pending');
+    expect(result.token.lifecycle.finalization).toBe('pending');
     expect(result.token.history.length).toBe(2);
     expect(result.token.history[1].type).toBe('finalization');
   });
@@ -334,6 +385,7 @@ describe('TokenCreator', () => {
     };
 
     const token = await tokenCreator.createToken(tokenData);
+    await tokenCreator.deployToken(token.assetId, { useCli: false });
     const burnResult = await tokenCreator.burnTokens(token.assetId, '250000', { useCli: false });
 
     expect(burnResult).toBeDefined();
@@ -346,4 +398,97 @@ describe('TokenCreator', () => {
     expect(updatedToken.history[updatedToken.history.length - 1].type).toBe('burn');
     expect(updatedToken.history[updatedToken.history.length - 1].recipient).toBe(tokenCreator.getIncineratorAddress());
   });
+
+  test('should track and inspect assets but refuse issuance in a watch-only profile', async () => {
+    const token = await tokenCreator.createToken({
+      name: 'TestCoin',
+      symbol: 'TEST',
+      description: 'Watched',
+      initialSupply: '1000',
+      recipientAddress: 'zt1test123456789'
+    });
+    const profile = tokenCreator.keys.exportWatchOnlyProfile();
+    tokenCreator.keys.importWatchOnly(profile, { overwrite: true });
+
+    expect(tokenCreator.getTokenByAssetId(token.assetId).name).toBe('TestCoin');
+    expect(tokenCreator.describeAsset({ name: 'TestCoin', symbol: 'TEST', description: 'Watched' }).assetId)
+      .toBe(token.assetId);
+
+    const tracked = tokenCreator.trackToken({ name: 'Other', symbol: 'oth' });
+    expect(tracked.status).toBe('tracked');
+    expect(tracked.issuer).toBe(token.issuer);
+    expect(tokenCreator.getAllTokens()).toHaveLength(2);
+
+    const data = { name: 'New', symbol: 'NEW', initialSupply: '1', recipientAddress: 'zt1test123456789' };
+    await expect(tokenCreator.createToken(data)).rejects.toThrow('Cannot create a token: this is a watch-only profile');
+    await expect(tokenCreator.issueMore(token.assetId, '1', 'zt1test123456789')).rejects.toThrow('watch-only');
+    await expect(tokenCreator.finalizeToken(token.assetId)).rejects.toThrow('watch-only');
+    await expect(tokenCreator.deployToken(token.assetId, { useCli: false })).rejects.toThrow('watch-only');
+    await expect(tokenCreator.burnTokens(token.assetId, '1', { useCli: false })).rejects.toThrow('watch-only');
+    await expect(tokenCreator.rotateIssuer({ newAccountName: 'next' })).rejects.toThrow('watch-only');
+  });
+
+  test('should issue a family of tokens in one bundle and update every record', async () => {
+    const existing = await tokenCreator.createToken({
+      name: 'TestCoin',
+      symbol: 'TEST',
+      initialSupply: '1000',
+      recipientAddress: 'zt1test123456789'
+    });
+
+    const result = await tokenCreator.issueBundle([
+      {
+        name: 'Pup',
+        symbol: 'PUP',
+        recipients: [{ address: 'zt1test123456789', amount: '300' }, { address: 'zt1other987654321', amount: '200' }]
+      },
+      { name: 'Kit', symbol: 'KIT', recipients: [{ address: 'zt1test123456789', amount: '50' }], finalize: true },
+      { assetId: existing.assetId, recipients: [{ address: 'zt1test123456789', amount: '25' }] }
+    ]);
+
+    expect(result.transaction.issuanceBundle.actions).toHaveLength(3);
+    expect(result.tokens.map(t => t.symbol)).toEqual(['PUP', 'KIT', 'TEST']);
+
+    const pup = tokenCreator.getTokenByAssetId(result.tokens[0].assetId);
+    expect(pup.totalSupply).toBe('500');
+    expect(pup.history.filter(e => e.bundleId === result.bundleId)).toHaveLength(2);
+    expect(tokenCreator.getTokenByAssetId(result.tokens[1].assetId).finalized).toBe(true);
+    expect(tokenCreator.getTokenByAssetId(existing.assetId).totalSupply).toBe('1025');
+    expect(tokenCreator.getAllTokens()).toHaveLength(3);
+
+    const deployed = await tokenCreator.deployToken(pup.assetId, { useCli: false });
+    expect(deployed.token.status).toBe('deployed');
+    expect(deployed.transactionId).toBe(computeTxId(result.transaction));
+    result.tokens.forEach(token => {
+      const updated = tokenCreator.getTokenByAssetId(token.assetId);
+      expect(updated.status).toBe('deployed');
+      expect(updated.transactionId).toBe(deployed.transactionId);
+    });
+  });
+
+  test('should not deploy a bundle the issued_assets state rejects', async () => {
+    const result = await tokenCreator.issueBundle([
+      { name: 'Pup', symbol: 'PUP', recipients: [{ address: 'zt1test123456789', amount: '300' }] },
+      { name: 'Kit', symbol: 'KIT', recipients: [{ address: 'zt1test123456789', amount: '50' }] }
+    ]);
+    const kit = result.tokens[1];
+    const state = tokenCreator.loadIssuedAssets();
+    state.seed(kit.assetId, { balance: '0', isFinalized: true });
+    state.save();
+
+    await expect(tokenCreator.deployToken(kit.assetId, { useCli: false })).rejects.toThrow('finalized');
+    result.tokens.forEach(token => {
+      expect(tokenCreator.getTokenByAssetId(token.assetId).lifecycle)
+        .toEqual({ deployment: 'pending', issuance: 'ready', finalization: 'open' });
+    });
+  });
+
+  test('should reject a bundle without touching the store when one asset is invalid', async () => {
+    const before = tokenCreator.getAllTokens().length;
+    await expect(tokenCreator.issueBundle([
+      { name: 'Pup', symbol: 'PUP', recipients: [{ address: 'zt1test123456789', amount: '1' }] },
+      { name: 'Kit', symbol: 'KIT', recipients: [] }
+    ])).rejects.toThrow('Asset KIT needs at least one recipient');
+    expect(tokenCreator.getAllTokens()).toHaveLength(before);
+  });
 });
@@ -0,0 +1,99 @@
+/**
+ * Tests for V6 transaction serialization (ZIP 230 / ZIP 244)
+ */
+
+// Jest tests use global functions in Node.js ESM mode
+import {
+  encodeTransaction,
+  decodeTransaction,
+  computeTxId,
+  V6_VERSION_GROUP_ID,
+  NU7_CONSENSUS_BRANCH_ID
+} from '../src/transaction.js';
+import { IssuanceTransaction, verifyIssuanceBundle } from '../src/issuance.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('V6 Transaction Serialization', () => {
+  let issuance;
+  const testKeysDir = path.join(__dirname, '..', 'test-keys');
+
+  beforeEach(() => {
+    fs.rmSync(testKeysDir, { recursive: true, force: true });
+    issuance = new IssuanceTransaction();
+    issuance.keys.keysDir = testKeysDir;
+    issuance.keys.keysFile = path.join(testKeysDir, 'issuance-keys.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(testKeysDir, { recursive: true, force: true });
+  });
+
+  function buildTx() {
+    return issuance.buildIssuanceTransaction(
+      { name: 'TestCoin', symbol: 'TEST', description: 'Test description' },
+      [{ address: 'ab'.repeat(43), amount: '1000000' }],
+      false
+    );
+  }
+
+  test('should encode V6 header fields', () => {
+    const raw = encodeTransaction(buildTx());
+
+    expect(raw.readUInt32LE(0)).toBe(0x80000006);
+    expect(raw.readUInt32LE(4)).toBe(V6_VERSION_GROUP_ID);
+    expect(raw.readUInt32LE(8)).toBe(NU7_CONSENSUS_BRANCH_ID);
+  });
+
+  test('should round-trip transaction bytes', () => {
+    const tx = buildTx();
+    const raw = encodeTransaction(tx);
+    const decoded = decodeTransaction(raw.toString('hex'));
+
+    expect(decoded.version).toBe(6);
+    expect(decoded.issuanceBundle.issuer).toBe(tx.issuanceBundle.issuer);
+    expect(decoded.issuanceBundle.actions[0].assetId).toBe(tx.assetId);
+    expect(decoded.issuanceBundle.actions[0].notes[0].recipientAddress).toBe('ab'.repeat(43));
+    expect(decoded.issuanceBundle.actions[0].notes[0].value).toBe('1000000');
+    expect(encodeTransaction(decoded)).toEqual(raw);
+    expect(decoded.txid).toBe(computeTxId(tx));
+  });
+
+  test('should keep issuer signature verifiable after decoding', () => {
+    const decoded = decodeTransaction(encodeTransaction(buildTx()));
+
+    expect(verifyIssuanceBundle(decoded.issuanceBundle)).toBe(true);
+  });
+
+  test('should encode a transaction without an issuance bundle', () => {
+    const decoded = decodeTransaction(encodeTransaction({ version: 6 }));
+
+    expect(decoded.issuanceBundle).toBe(null);
+    expect(decoded.txid).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('should change txid when branch id or bundle changes', () => {
+    const tx = buildTx();
+    const txid = computeTxId(tx);
+
+    expect(computeTxId({ ...tx, consensusBranchId: 0xc2d6d0b4 })).not.toBe(txid);
+    expect(computeTxId({ ...tx, issuanceBundle: null })).not.toBe(txid);
+  });
+
+  test('should reject malformed transaction bytes', () => {
+    const raw = encodeTransaction(buildTx());
+
+    expect(() => decodeTransaction(raw.subarray(0, raw.length - 1))).toThrow('Unexpected end of data');
+    expect(() => decodeTransaction(Buffer.concat([raw, Buffer.from([0])]))).toThrow('Trailing data');
+    expect(() => encodeTransaction({ version: 5 })).toThrow('version 6');
+
+    // Transparent, Sapling and Orchard parts are not parsed; tx_in_count follows the 20-byte header
+    const withInputs = Buffer.from(raw);
+    withInputs[20] = 1;
+    expect(() => decodeTransaction(withInputs)).toThrow('Transaction has transparent inputs; only issuance-only V6');
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * ZIP 227 / ZIP 32 conformance vectors for keys.js and crypto.js
+ * Every JSON file in tests/vectors is loaded; its field names decide which checks it feeds.
+ * Files use the zcash-test-vectors JSON layout.
+ */
+
+// Jest tests use global functions in Node.js ESM mode
+import { IssuanceKeys } from '../src/keys.js';
+import {
+  computeAssetDescHash,
+  computeAssetId,
+  computeAssetDigest,
+  computeAssetBase
+} from '../src/crypto.js';
+import { loadVectorDirectory, assertVectorField, describeHexMismatch } from './helpers.js';
+
+const KEY_FIELDS = ['seed', 'account', 'master_sk', 'master_chain_code', 'isk', 'normalized_isk', 'ik', 'issuer'];
+const ASSET_FIELDS = ['issuer', 'asset_desc', 'asset_desc_hash', 'asset_id', 'asset_digest', 'asset_base'];
+
+const files = loadVectorDirectory();
+const hasFields = (file, fields) => fields.every(field => file.fields.includes(field));
+const vectorsWith = fields => files
+  .filter(file => hasFields(file, fields))
+  .flatMap(file => file.vectors.map((vector, index) => [file.file, index, vector]));
+
+// test.each rejects an empty table, so a check with no vector file yet is listed as a todo
+const eachVector = (fields, check) => {
+  const rows = vectorsWith(fields);
+  if (rows.length === 0) {
+    test.todo(`upstream vectors with ${fields.join(', ')}`);
+    return;
+  }
+  test.each(rows)('%s vector %i', check);
+};
+
+describe('ZIP 227 test vectors', () => {
+  const keys = new IssuanceKeys();
+
+  test('should find a check for every vector file', () => {
+    const unchecked = files
+      .filter(file => !hasFields(file, KEY_FIELDS) && !hasFields(file, ASSET_FIELDS))
+      .map(file => `${file.file} (${file.fields.join(', ')})`);
+    expect(unchecked).toEqual([]);
+  });
+
+  describe('issuance key derivation', () => {
+    eachVector(KEY_FIELDS, (file, index, v) => {
+      const seed = Buffer.from(v.seed, 'hex');
+      const { masterKey, chainCode } = keys.generateMasterKey(seed);
+      assertVectorField('master_sk', masterKey, v.master_sk);
+      assertVectorField('master_chain_code', chainCode, v.master_chain_code);
+
+      const { isk } = keys.deriveIssuanceKey(masterKey, chainCode, v.account);
+      assertVectorField('isk', isk, v.isk);
+
+      const { ik, normalizedISK } = keys.deriveValidatingKey(isk);
+      assertVectorField('normalized_isk', normalizedISK, v.normalized_isk);
+      assertVectorField('ik', ik, v.ik);
+      assertVectorField('issuer', keys.encodeIssuer(ik), v.issuer);
+    });
+  });
+
+  describe('asset identifiers', () => {
+    eachVector(ASSET_FIELDS, (file, index, v) => {
+      const assetDesc = Buffer.from(v.asset_desc, 'hex').toString('utf8');
+      assertVectorField('asset_desc_hash', computeAssetDescHash(assetDesc), v.asset_desc_hash);
+
+      const { assetId } = computeAssetId(v.issuer, assetDesc);
+      assertVectorField('asset_id', assetId, v.asset_id);
+
+      const digest = computeAssetDigest(assetId);
+      assertVectorField('asset_digest', digest, v.asset_digest);
+      assertVectorField('asset_base', computeAssetBase(digest), v.asset_base);
+    });
+  });
+
+  test('should report the first differing byte on mismatch', () => {
+    const message = describeHexMismatch('ik', 'aabbccdd', 'aabbcedd');
+
+    expect(message).toContain('ik mismatch at byte 2');
+    expect(message).toContain('expected: aabbccdd');
+    expect(message).toContain('actual:   aabbcedd');
+    expect(() => assertVectorField('ik', Buffer.from('aabbcedd', 'hex'), 'aabbccdd')).toThrow('mismatch at byte 2');
+  });
+});